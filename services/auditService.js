@@ -6,9 +6,20 @@
 window.auditService = (function () {
     const DB_NAME = 'PDF_UNLOCKER_DB';
     const STORE_NAME = 'logs';
-    const DB_VERSION = 1;
+    const KEY_STORE_NAME = 'keys';
+    const DB_VERSION = 3; // Incremented for the logs timestamp and type indexes
+    const DEFAULT_PAGE_SIZE = 50;
+
+    // prevHash of the first chained entry
+    const GENESIS_HASH = '0'.repeat(64);
+    // Keys store record holding the hash of the last entry removed by purgeLogsBefore()
+    const CHAIN_ANCHOR_ID = 'chain-anchor';
+    // Attempts to append before giving up when another tab keeps appending first
+    const MAX_APPEND_ATTEMPTS = 5;
 
     let db = null;
+    // Appends run one at a time so each links to the entry written before it
+    let appendQueue = Promise.resolve();
 
     /**
      * Initialize the database.
@@ -28,8 +39,19 @@ window.auditService = (function () {
 
             request.onupgradeneeded = (event) => {
                 const dbInstance = event.target.result;
-                if (!dbInstance.objectStoreNames.contains(STORE_NAME)) {
-                    dbInstance.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                const logsStore = dbInstance.objectStoreNames.contains(STORE_NAME)
+                    ? event.target.transaction.objectStore(STORE_NAME)
+                    : dbInstance.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                // Logs indexes (v3): timestamp and type, for queryLogs()
+                if (!logsStore.indexNames.contains('timestamp')) {
+                    logsStore.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+                if (!logsStore.indexNames.contains('type')) {
+                    logsStore.createIndex('type', 'type', { unique: false });
+                }
+                // Keys store: id, privateKey (non-extractable CryptoKey), publicKey, createdAt
+                if (!dbInstance.objectStoreNames.contains(KEY_STORE_NAME)) {
+                    dbInstance.createObjectStore(KEY_STORE_NAME, { keyPath: 'id' });
                 }
             };
 
@@ -46,28 +68,103 @@ window.auditService = (function () {
     }
 
     /**
-     * Log an event to IndexedDB.
-     * @param {string} type - 'INFO' | 'SUCCESS' | 'ERROR'
-     * @param {object} details - Event metadata
+     * JSON with object keys sorted, so an entry hashes the same however its
+     * fields were ordered when it was written or read back.
+     * @param {*} value 
+     * @returns {string}
      */
-    async function logEvent(type, details) {
-        try {
-            const dbInstance = await initDB();
-            const transaction = dbInstance.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
+    function canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => item === undefined ? 'null' : canonicalJson(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const fields = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+            return `{${fields.join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
 
-            const entry = {
-                timestamp: new Date().toISOString(),
-                type,
-                details
-            };
+    /**
+     * Content hash of an entry: SHA-256 over everything but its id and own hash.
+     * @param {{timestamp: string, type: string, details: object, prevHash: string}} entry 
+     * @returns {Promise<string>}
+     */
+    async function hashEntry({ timestamp, type, details, prevHash }) {
+        return sha256Hex(canonicalJson({ timestamp, type, details, prevHash }));
+    }
 
-            return new Promise((resolve, reject) => {
-                const request = store.add(entry);
-                request.onsuccess = () => resolve();
-                request.onerror = (event) => reject(event.target.error);
+    async function sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Read the newest entry, or null when the log is empty.
+     * @param {IDBObjectStore} store 
+     * @returns {Promise<object|null>}
+     */
+    function readLastEntry(store) {
+        return new Promise((resolve, reject) => {
+            const request = store.openCursor(null, 'prev');
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Add an entry to the chain. Hashing is async and would end an IndexedDB
+     * transaction, so the entry is hashed against the current last entry first,
+     * then added only if that is still the last entry (another tab may have
+     * appended in between); otherwise it is re-linked and retried.
+     * @param {string} type 
+     * @param {object} details 
+     */
+    async function appendEntry(type, details) {
+        const dbInstance = await initDB();
+        const timestamp = new Date().toISOString();
+
+        for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+            const last = await readLastEntry(dbInstance.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME));
+            // Entries written before the log was chained carry no hash; the chain starts after them.
+            // An empty log continues from the anchor left by a retention purge, if any.
+            const prevHash = last ? (last.hash || GENESIS_HASH) : ((await readChainAnchor())?.hash || GENESIS_HASH);
+            const entry = { timestamp, type, details, prevHash };
+            entry.hash = await hashEntry(entry);
+
+            const isAdded = await new Promise((resolve, reject) => {
+                const transaction = dbInstance.transaction([STORE_NAME], 'readwrite');
+                const store = transaction.objectStore(STORE_NAME);
+                const cursorRequest = store.openCursor(null, 'prev');
+                cursorRequest.onsuccess = () => {
+                    const current = cursorRequest.result ? cursorRequest.result.value : null;
+                    if ((current?.id ?? null) !== (last?.id ?? null)) return resolve(false);
+
+                    const request = store.add(entry);
+                    request.onsuccess = () => resolve(true);
+                    request.onerror = (event) => reject(event.target.error);
+                };
+                cursorRequest.onerror = (event) => reject(event.target.error);
                 transaction.onerror = (event) => reject(event.target.error);
             });
+            if (isAdded) return;
+        }
+        throw new Error('The audit log kept changing while this entry was being added.');
+    }
+
+    /**
+     * Log an event to IndexedDB. Each entry carries the hash of the entry before
+     * it (`prevHash`) and its own content hash (`hash`), see verifyChain().
+     * @param {string} type - 'INFO' | 'SUCCESS' | 'ERROR'
+     * @param {object} details - Event metadata
+     */
+    async function logEvent(type, details) {
+        const append = appendQueue.then(() => appendEntry(type, details));
+        appendQueue = append.catch(() => {});
+        try {
+            await append;
         } catch (error) {
             console.error("AuditService: Failed to log event", error);
             // Non-blocking error
@@ -95,8 +192,353 @@ window.auditService = (function () {
         }
     }
 
+    /**
+     * Whether an entry carries a hash starting with `hash`: its output or input
+     * SHA-256, a split part's, or the entry's own chain hash.
+     * @param {object} log 
+     * @param {string} hash - Lowercase hex.
+     */
+    function matchesHash(log, hash) {
+        const details = log.details || {};
+        const hashes = [details.hash, details.inputHash, log.hash, ...(details.parts || []).map(part => part.hash)];
+        return hashes.some(value => typeof value === 'string' && value.toLowerCase().startsWith(hash));
+    }
+
+    /**
+     * Page through the log, newest first. Time ranges are served by the timestamp
+     * index and type-only queries by the type index; the remaining filters are
+     * applied while walking the cursor, so only matching entries are kept in memory.
+     * @param {object} [filters]
+     * @param {string} [filters.type] - e.g. 'SUCCESS' or 'ERROR'.
+     * @param {string} [filters.from] - ISO timestamp, inclusive.
+     * @param {string} [filters.to] - ISO timestamp, inclusive.
+     * @param {string} [filters.file] - Case-insensitive substring of the file name.
+     * @param {string} [filters.hash] - Hex prefix of any SHA-256 on the entry, see matchesHash().
+     * @param {object} [page]
+     * @param {number} [page.limit=50]
+     * @param {object|null} [page.after] - `next` from the previous page.
+     * @returns {Promise<{entries: Array<object>, next: object|null}>} `next` is null on the last page.
+     */
+    async function queryLogs({ type, from, to, file, hash } = {}, { limit = DEFAULT_PAGE_SIZE, after = null } = {}) {
+        const dbInstance = await initDB();
+        const store = dbInstance.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME);
+
+        const useTypeIndex = Boolean(type) && !from && !to;
+        const index = store.index(useTypeIndex ? 'type' : 'timestamp');
+        let range = null;
+        if (useTypeIndex) {
+            range = IDBKeyRange.only(type);
+        } else {
+            // Resuming narrows the range to the last key returned, newest first
+            const upper = after && (!to || after.key < to) ? after.key : to;
+            if (from && upper) range = IDBKeyRange.bound(from, upper);
+            else if (from) range = IDBKeyRange.lowerBound(from);
+            else if (upper) range = IDBKeyRange.upperBound(upper);
+        }
+
+        const fileQuery = file ? file.toLowerCase() : null;
+        const hashQuery = hash ? hash.toLowerCase() : null;
+        const matches = (log) => (!type || log.type === type) &&
+            (!fileQuery || String(log.details?.file || '').toLowerCase().includes(fileQuery)) &&
+            (!hashQuery || matchesHash(log, hashQuery));
+
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            let isPositioned = !after;
+            const request = index.openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve({ entries, next: null });
+
+                // Entries sharing a key come in descending id order: skip those already returned
+                if (!isPositioned) {
+                    if (cursor.key === after.key && cursor.primaryKey > after.id) {
+                        isPositioned = true;
+                        return cursor.continuePrimaryKey(after.key, after.id);
+                    }
+                    isPositioned = true;
+                }
+                if (after && cursor.key === after.key && cursor.primaryKey >= after.id) {
+                    return cursor.continue();
+                }
+
+                if (matches(cursor.value)) {
+                    entries.push(cursor.value);
+                    if (entries.length >= limit) {
+                        return resolve({ entries, next: { key: cursor.key, id: cursor.primaryKey } });
+                    }
+                }
+                cursor.continue();
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Check the hash chain from the oldest entry to the newest. Entries written
+     * before the log was chained are skipped; any edit, deletion, insertion or
+     * reordering after that breaks a link. Removing the newest entries leaves
+     * an intact (shorter) chain, so exported copies are needed to catch that.
+     * @returns {Promise<{valid: boolean, total: number, unchained: number,
+     *   brokenAt: {id: number, timestamp: string, reason: 'modified' | 'link' | 'unhashed'} | null}>}
+     *   `reason` is 'modified' when the entry's content no longer matches its hash, 'link' when
+     *   its prevHash does not match the entry before it (something was removed or inserted), and
+     *   'unhashed' for an entry without hashes inside the chain.
+     */
+    async function verifyChain() {
+        const logs = (await getLogs()).slice().sort((a, b) => a.id - b.id);
+        const chainStart = logs.findIndex(log => log.hash);
+        const unchained = chainStart === -1 ? logs.length : chainStart;
+        const result = { valid: true, total: logs.length, unchained, brokenAt: null };
+
+        // After a retention purge the chain continues from the last removed entry
+        const anchor = await readChainAnchor();
+        let prevHash = anchor?.hash || GENESIS_HASH;
+        for (const log of logs.slice(unchained)) {
+            let reason = null;
+            if (!log.hash || !log.prevHash) {
+                reason = 'unhashed';
+            } else if (log.prevHash !== prevHash) {
+                reason = 'link';
+            } else if (await hashEntry(log) !== log.hash) {
+                reason = 'modified';
+            }
+            if (reason) {
+                return { ...result, valid: false, brokenAt: { id: log.id, timestamp: log.timestamp, reason } };
+            }
+            prevHash = log.hash;
+        }
+        return result;
+    }
+
+    function readChainAnchor() {
+        return initDB().then(dbInstance => new Promise((resolve, reject) => {
+            const request = dbInstance.transaction([KEY_STORE_NAME], 'readonly').objectStore(KEY_STORE_NAME).get(CHAIN_ANCHOR_ID);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = (event) => reject(event.target.error);
+        }));
+    }
+
+    // --- Retention ---
+
+    /**
+     * Delete entries older than `before`, oldest first, stopping at the first
+     * newer one so the remaining entries stay one unbroken chain. The hash of
+     * the last removed entry is kept as the chain anchor, so verifyChain() still
+     * catches edits to what remains, and the purge itself is logged.
+     * @param {string} before - ISO timestamp, exclusive.
+     * @returns {Promise<number>} Number of entries removed.
+     */
+    async function purgeLogsBefore(before) {
+        const dbInstance = await initDB();
+        // Queued behind pending appends so none links to an entry being removed
+        const purge = appendQueue.then(() => new Promise((resolve, reject) => {
+            const transaction = dbInstance.transaction([STORE_NAME, KEY_STORE_NAME], 'readwrite');
+            const keyStore = transaction.objectStore(KEY_STORE_NAME);
+            let lastRemoved = null;
+            let removed = 0;
+
+            const request = transaction.objectStore(STORE_NAME).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && cursor.value.timestamp < before) {
+                    lastRemoved = cursor.value;
+                    removed++;
+                    cursor.delete();
+                    return cursor.continue();
+                }
+                if (!lastRemoved) return resolve(0);
+
+                const anchorRequest = keyStore.get(CHAIN_ANCHOR_ID);
+                anchorRequest.onsuccess = () => {
+                    const previous = anchorRequest.result;
+                    const putRequest = keyStore.put({
+                        id: CHAIN_ANCHOR_ID,
+                        hash: lastRemoved.hash || previous?.hash || GENESIS_HASH,
+                        throughId: lastRemoved.id,
+                        throughTimestamp: lastRemoved.timestamp,
+                        purged: (previous?.purged || 0) + removed,
+                        updatedAt: new Date().toISOString()
+                    });
+                    putRequest.onsuccess = () => resolve(removed);
+                    putRequest.onerror = (event) => reject(event.target.error);
+                };
+                anchorRequest.onerror = (event) => reject(event.target.error);
+            };
+            request.onerror = (event) => reject(event.target.error);
+        }));
+        appendQueue = purge.catch(() => {});
+
+        const removed = await purge;
+        if (removed > 0) {
+            await logEvent('PURGE', { removed, before });
+        }
+        return removed;
+    }
+
+    /**
+     * Number of entries and their approximate size (as JSON) in bytes.
+     * @returns {Promise<{count: number, bytes: number}>}
+     */
+    async function getStats() {
+        const dbInstance = await initDB();
+        return new Promise((resolve, reject) => {
+            const stats = { count: 0, bytes: 0 };
+            const request = dbInstance.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(stats);
+                stats.count++;
+                stats.bytes += JSON.stringify(cursor.value).length;
+                cursor.continue();
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // --- Export ---
+
+    const BUNDLE_FORMAT = 'pdf-unlocker-audit-bundle';
+    const SIGNING_KEY_ID = 'audit-export';
+    const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+    const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+    const CSV_FIELDS = ['id', 'timestamp', 'type', 'file', 'mode', 'hash', 'inputHash', 'prevHash', 'entryHash', 'details'];
+
+    function toBase64(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    function toCsvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // A leading quote stops spreadsheets from running file names as formulas
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Load the export signing key pair, generating it on first use. The private
+     * key is non-extractable: it can sign inside this browser profile but can
+     * never be read out, even from devtools.
+     * @returns {Promise<{privateKey: CryptoKey, publicKey: CryptoKey}>}
+     */
+    async function getSigningKey() {
+        const dbInstance = await initDB();
+        const readStore = (mode) => dbInstance.transaction([KEY_STORE_NAME], mode).objectStore(KEY_STORE_NAME);
+
+        const stored = await new Promise((resolve, reject) => {
+            const request = readStore('readonly').get(SIGNING_KEY_ID);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+        if (stored) return stored;
+
+        const keyPair = await crypto.subtle.generateKey(SIGNING_ALGORITHM, false, ['sign', 'verify']);
+        const record = { id: SIGNING_KEY_ID, privateKey: keyPair.privateKey, publicKey: keyPair.publicKey, createdAt: new Date().toISOString() };
+        await new Promise((resolve, reject) => {
+            const request = readStore('readwrite').put(record);
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+        });
+        return record;
+    }
+
+    /**
+     * Sign the full log, with its chain status, as a self-contained bundle. The
+     * signed bytes are the UTF-8 `payload` string exactly as included, so it can be
+     * verified offline with the embedded public key (JWK, P-256) and any WebCrypto
+     * or OpenSSL setup; the signature is raw r||s (IEEE P1363), base64-encoded.
+     * @param {Array<object>} logs 
+     * @returns {Promise<object>}
+     */
+    async function buildSignedBundle(logs) {
+        const { privateKey, publicKey } = await getSigningKey();
+        const publicJwk = await crypto.subtle.exportKey('jwk', publicKey);
+        // Hash of the key's required JWK members, as for an RFC 7638 thumbprint
+        const { crv, kty, x, y } = publicJwk;
+        const keyId = (await sha256Hex(canonicalJson({ crv, kty, x, y }))).slice(0, 16);
+
+        const payload = JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            chain: await verifyChain(),
+            entries: logs
+        });
+        const signature = await crypto.subtle.sign(SIGNATURE_PARAMS, privateKey, new TextEncoder().encode(payload));
+
+        return {
+            format: BUNDLE_FORMAT,
+            version: 1,
+            payload,
+            signature: {
+                algorithm: 'ECDSA-P256-SHA256',
+                keyId,
+                publicKey: publicJwk,
+                value: toBase64(signature)
+            }
+        };
+    }
+
+    /**
+     * Check a signed bundle against the public key it carries. Pin `signature.keyId`
+     * against a previous export to tell that it also came from the same browser.
+     * @param {object} bundle - As produced by exportLogs('bundle').
+     * @returns {Promise<boolean>}
+     */
+    async function verifyBundle(bundle) {
+        if (bundle?.format !== BUNDLE_FORMAT || typeof bundle.payload !== 'string' || !bundle.signature) {
+            return false;
+        }
+        try {
+            const publicKey = await crypto.subtle.importKey('jwk', bundle.signature.publicKey, SIGNING_ALGORITHM, false, ['verify']);
+            return await crypto.subtle.verify(SIGNATURE_PARAMS, publicKey,
+                fromBase64(bundle.signature.value), new TextEncoder().encode(bundle.payload));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Export the full audit log, oldest entry first.
+     * @param {'jsonl' | 'csv' | 'bundle'} format - JSON Lines (one stored entry per line),
+     *   CSV, or a signed JSON bundle (see buildSignedBundle()).
+     * @returns {Promise<Blob>}
+     */
+    async function exportLogs(format) {
+        const logs = (await getLogs()).slice().sort((a, b) => a.id - b.id);
+
+        if (format === 'jsonl') {
+            const lines = logs.map(log => `${JSON.stringify(log)}\n`);
+            return new Blob(lines, { type: 'application/x-ndjson' });
+        }
+        if (format === 'csv') {
+            const rows = logs.map(log => {
+                const details = log.details || {};
+                return [log.id, log.timestamp, log.type, details.file, details.mode, details.hash,
+                    details.inputHash, log.prevHash, log.hash, details];
+            });
+            const csv = [CSV_FIELDS, ...rows].map(cells => cells.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+            return new Blob([csv], { type: 'text/csv' });
+        }
+        if (format === 'bundle') {
+            const bundle = await buildSignedBundle(logs);
+            return new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        }
+        throw new Error(`Unknown audit export format: ${format}`);
+    }
+
     return {
         logEvent,
-        getLogs
+        getLogs,
+        queryLogs,
+        verifyChain,
+        exportLogs,
+        verifyBundle,
+        purgeLogsBefore,
+        getStats
     };
 })();
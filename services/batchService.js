@@ -6,9 +6,212 @@
  */
 
 const MAX_ZIP_SIZE_BYTES = 1024 * 1024 * 1024; // 1GB limit
+const MAX_MERGE_SIZE_BYTES = 1024 * 1024 * 1024; // Matches the per-file engine limit
+const DEFAULT_NAME_TEMPLATE = '{name}_unlocked';
 
 const batchService = (function() {
     
+    // Characters most file systems (and ZIP extractors on Windows) reject in names
+    const UNSAFE_NAME_CHARS = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+    function formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Build an output filename from a template such as "{name}_unlocked".
+     * Tokens: {name} (input name without .pdf), {date} (YYYY-MM-DD), {hash8} (first
+     * 8 hex digits of the output SHA-256), {index} (1-based position in the batch)
+     * and {jobId}. Unknown tokens are left as typed.
+     * @param {string} [template] - Falls back to DEFAULT_NAME_TEMPLATE when blank.
+     * @param {object} values - { name, date, hash, index, jobId }; missing values render empty.
+     * @param {string} [extension='.pdf']
+     * @returns {string}
+     */
+    function formatOutputName(template, { name, date = new Date(), hash = null, index = null, jobId = null }, extension = '.pdf') {
+        const baseName = name.toLowerCase().endsWith('.pdf') ? name.slice(0, -4) : name;
+        const tokens = {
+            name: baseName,
+            date: formatDate(date),
+            hash8: hash ? hash.slice(0, 8) : '',
+            index: index !== null && index !== undefined ? String(index) : '',
+            jobId: jobId !== null && jobId !== undefined ? String(jobId) : ''
+        };
+
+        const pattern = (template || '').trim() || DEFAULT_NAME_TEMPLATE;
+        const formatted = pattern
+            .replace(/\{(\w+)\}/g, (token, key) => (Object.hasOwn(tokens, key) ? tokens[key] : token))
+            .replace(/\.pdf$/i, '')
+            .replace(UNSAFE_NAME_CHARS, '_')
+            .replace(/^[\s.]+|[\s.]+$/g, '');
+        return `${formatted || baseName || 'document'}${extension}`;
+    }
+
+    /**
+     * Return `name`, or the first of "name (2).pdf", "name (3).pdf"... not in `takenNames`.
+     * Compared case-insensitively, as on most file systems.
+     * @param {string} name 
+     * @param {Iterable<string>} takenNames 
+     * @returns {string}
+     */
+    function makeUniqueName(name, takenNames) {
+        const taken = new Set(Array.from(takenNames, used => used.toLowerCase()));
+        if (!taken.has(name.toLowerCase())) return name;
+
+        const dot = name.lastIndexOf('.');
+        const stem = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+        let candidate = name;
+        for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+            candidate = `${stem} (${i})${extension}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Resolve duplicate names in order, so no two entries of a batch share a name.
+     * @param {string[]} names 
+     * @returns {string[]}
+     */
+    function resolveNameCollisions(names) {
+        const used = [];
+        return names.map(name => {
+            const unique = makeUniqueName(name, used);
+            used.push(unique);
+            return unique;
+        });
+    }
+
+    // --- Job config ---
+
+    /**
+     * The part of a batch's WorkerPool config saved on its job, so an interrupted
+     * job resumes with the settings it was started with rather than whatever the
+     * Output Settings show after a reload. Passwords are never stored.
+     * @param {object} config - WorkerPool config of the batch.
+     * @returns {object}
+     */
+    function toJobConfig(config) {
+        return {
+            ...(config.mode ? { mode: config.mode } : {}),
+            ...(config.split ? { split: { pages: config.split.pages, every: config.split.every } } : {}),
+            ...(config.sanitize ? { sanitize: true } : {}),
+            ...(config.linearize ? { linearize: true } : {}),
+            ...(config.profile ? { profile: config.profile } : {})
+        };
+    }
+
+    /**
+     * Rebuild the WorkerPool config of an interrupted job from what it saved.
+     * A re-encrypt job cannot finish: its passwords were never stored; nor can a
+     * split job saved without its page settings.
+     * @param {object} job - Job record with `mode` and optional `config` (see toJobConfig()).
+     * @returns {{config: object|null, reason: string|null}} `config` is null when the
+     *   job's remaining files cannot be processed as requested; `reason` says why.
+     */
+    function getResumeConfig(job) {
+        const saved = job.config || {};
+        if ((saved.mode || job.mode) === 'reencrypt') {
+            return { config: null, reason: 'Re-encrypt passwords are never stored. Add the file again to re-encrypt it.' };
+        }
+        if ((saved.mode || job.mode) === 'split' && !saved.split) {
+            return { config: null, reason: 'The page settings of this split were not saved. Add the file again to split it.' };
+        }
+        return { config: { returnBlob: true, ...saved }, reason: null };
+    }
+
+    // The worker records each input's SHA-256; records saved before it did are hashed
+    // here in one read, so very large ones are skipped.
+    const MAX_MANIFEST_HASH_BYTES = 250 * 1024 * 1024;
+    const MANIFEST_FIELDS = ['originalName', 'originalSize', 'inputSha256', 'outputName', 'outputSha256', 'mode', 'timestamp', 'status'];
+
+    async function sha256Hex(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', new Uint8Array(await blob.arrayBuffer()));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function toCsvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        // Keep spreadsheet apps from evaluating names like "=cmd|..." as formulas
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build the batch manifest: one row per output, plus one per file that produced none
+     * (failed, cancelled...). Rows come from the job's persisted file records when
+     * `jobId` is given, so failures are listed; ZIP entries without a record (nothing
+     * persisted) are listed as completed.
+     * @param {Array<{name: string, fileId?: number, sourceFileId?: number, partName?: string, hash?: string}>} files - The ZIP entries;
+     *   split parts carry the worker's `partName`, as `name` has been through the name template.
+     * @param {string[]} names - Entry names after collision resolution, in the same order.
+     * @param {number|null} [jobId]
+     * @returns {Promise<{json: string, csv: string}>}
+     */
+    async function buildManifest(files, names, jobId = null) {
+        const records = jobId && typeof window !== 'undefined' && window.persistenceService
+            ? await window.persistenceService.getFilesByJob(jobId)
+            : [];
+        const listed = new Set();
+        const rows = [];
+
+        const findEntry = (matches) => {
+            const i = files.findIndex((file, index) => !listed.has(index) && matches(file));
+            if (i === -1) return null;
+            listed.add(i);
+            return names[i];
+        };
+
+        for (const record of records) {
+            const inputBlob = record.originalBlob;
+            const inputSha256 = record.inputHash ||
+                (inputBlob && inputBlob.size <= MAX_MANIFEST_HASH_BYTES ? await sha256Hex(inputBlob) : null);
+            const isCompleted = record.status === 'completed';
+            // Split parts are entries of their own, matched by their source record and the part name the worker gave them
+            const isPartOf = (file, part) => !file.fileId && file.partName === part.name &&
+                (file.sourceFileId === undefined || file.sourceFileId === record.id);
+            const outputs = record.parts
+                ? record.parts.map(part => ({ name: findEntry(file => isPartOf(file, part)), hash: part.hash }))
+                : [{ name: findEntry(file => file.fileId === record.id), hash: record.hash }];
+
+            for (const output of outputs) {
+                rows.push({
+                    originalName: record.name,
+                    originalSize: inputBlob ? inputBlob.size : null,
+                    inputSha256,
+                    outputName: output.name,
+                    outputSha256: isCompleted ? output.hash || null : null,
+                    mode: record.mode || null,
+                    timestamp: new Date(record.updatedAt || record.timestamp || Date.now()).toISOString(),
+                    status: record.status
+                });
+            }
+        }
+
+        files.forEach((file, i) => {
+            if (listed.has(i)) return;
+            rows.push({
+                originalName: file.originalName || null,
+                originalSize: null,
+                inputSha256: null,
+                outputName: names[i],
+                outputSha256: file.hash || null,
+                mode: null,
+                timestamp: new Date().toISOString(),
+                status: 'completed'
+            });
+        });
+
+        const generatedAt = new Date().toISOString();
+        const json = JSON.stringify({ generatedAt, jobId, files: rows }, null, 2);
+        const csv = [MANIFEST_FIELDS, ...rows.map(row => MANIFEST_FIELDS.map(field => row[field]))]
+            .map(cells => cells.map(toCsvCell).join(','))
+            .join('\r\n') + '\r\n';
+        return { json, csv };
+    }
+
     /**
      * Iterates through files with a throttle. 
      * The actual download triggering is handled by the caller via a callback.
@@ -24,13 +227,21 @@ const batchService = (function() {
     }
 
     /**
-     * Packages multiple blobs into a single ZIP file.
-     * @param {Array<{blob: Blob, name: string}>} files 
+     * Packages multiple blobs into a single ZIP file, with manifest.json and
+     * manifest.csv listing every file of the batch.
+     * @param {Array<{blob: Blob, name: string, fileId?: number, hash?: string, attachments?: Array<{blob: Blob, name: string}>}>} files 
+     * @param {object} [options]
+     * @param {boolean} [options.includeAttachments] - Add each file's extracted attachments
+     *   in a folder named after it.
+     * @param {number|null} [options.jobId] - Persisted job the files belong to; its failed
+     *   files are listed in the manifest too.
      * @returns {Promise<Blob>}
      * @throws {Error} if total size exceeds limit
      */
-    async function packageAsZip(files) {
-        const totalSize = files.reduce((acc, file) => acc + file.blob.size, 0);
+    async function packageAsZip(files, { includeAttachments = false, jobId = null } = {}) {
+        const getAttachments = (file) => (includeAttachments && file.attachments) || [];
+        const totalSize = files.reduce((acc, file) => 
+            getAttachments(file).reduce((sum, attachment) => sum + attachment.blob.size, acc + file.blob.size), 0);
         
         if (totalSize > MAX_ZIP_SIZE_BYTES) {
             throw new Error(`Batch size (${(totalSize / 1024 / 1024).toFixed(1)}MB) exceeds 1GB limit for ZIP generation.`);
@@ -41,17 +252,256 @@ const batchService = (function() {
         }
 
         const zip = new JSZip();
-        files.forEach(file => {
-            zip.file(file.name, file.blob);
+        const names = resolveNameCollisions(files.map(file => file.name));
+        files.forEach((file, i) => {
+            zip.file(names[i], file.blob);
+
+            const attachments = getAttachments(file);
+            if (attachments.length > 0) {
+                const folder = zip.folder(`${names[i].replace(/\.pdf$/i, '')}_attachments`);
+                attachments.forEach(attachment => folder.file(attachment.name, attachment.blob));
+            }
         });
 
+        const manifest = await buildManifest(files, names, jobId);
+        zip.file('manifest.json', manifest.json);
+        zip.file('manifest.csv', manifest.csv);
+
         return await zip.generateAsync({ type: 'blob' });
     }
 
+    // Streaming ZIP writer. Entries are stored uncompressed: unlocked PDFs are
+    // already compressed, and storing keeps each entry a single pass over its blob.
+    const ZIP64_LIMIT = 0xFFFFFFFF;
+    const ZIP_READ_CHUNK_BYTES = 4 * 1024 * 1024;
+    // General purpose flags: bit 3 (sizes and CRC follow the data), bit 11 (UTF-8 names)
+    const ZIP_ENTRY_FLAGS = 0x0808;
+
+    let crcTable = null;
+
+    function crc32(bytes, crc = 0) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        crc = crc ^ 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Little-endian record builder for ZIP headers.
+     * @param {number} length 
+     */
+    function createRecord(length) {
+        const bytes = new Uint8Array(length);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        return {
+            bytes,
+            u16(value) { view.setUint16(offset, value, true); offset += 2; return this; },
+            u32(value) { view.setUint32(offset, value, true); offset += 4; return this; },
+            u64(value) { view.setBigUint64(offset, BigInt(value), true); offset += 8; return this; },
+            raw(data) { bytes.set(data, offset); offset += data.length; return this; }
+        };
+    }
+
+    /**
+     * Output PDFs kept in IndexedDB are read back one at a time, so only the
+     * entry being written has to be held in memory.
+     * @param {{blob: Blob, fileId?: number}} file 
+     * @returns {Promise<Blob>}
+     */
+    async function readEntryBlob(file) {
+        if (file.fileId && typeof window !== 'undefined' && window.persistenceService) {
+            const record = await window.persistenceService.getFile(file.fileId);
+            if (record?.outputBlob) return record.outputBlob;
+        }
+        return file.blob;
+    }
+
+    /**
+     * Writes a ZIP archive entry by entry to a writable stream, such as a
+     * FileSystemWritableFileStream from showSaveFilePicker(). Unlike packageAsZip()
+     * the archive is never held in memory, so there is no size limit; entries and
+     * offsets past 4 GB are written as ZIP64.
+     * @param {Array<{blob: Blob, name: string, fileId?: number, attachments?: Array<{blob: Blob, name: string}>}>} files 
+     * @param {WritableStream} writable - Closed when the archive is complete, aborted if writing fails.
+     * @param {object} [options]
+     * @param {boolean} [options.includeAttachments] - As for packageAsZip().
+     * @param {number|null} [options.jobId] - As for packageAsZip().
+     * @param {Function} [options.onProgress] - (bytesWritten, totalBytes) => void, after each chunk.
+     * @returns {Promise<void>}
+     */
+    async function packageAsZipStream(files, writable, { includeAttachments = false, jobId = null, onProgress } = {}) {
+        const writer = writable.getWriter();
+        const encoder = new TextEncoder();
+        const { time, date } = toDosDateTime(new Date());
+        const centralEntries = [];
+        let totalBytes = files.reduce((acc, file) => acc + file.blob.size +
+            ((includeAttachments && file.attachments) || []).reduce((sum, attachment) => sum + attachment.blob.size, 0), 0);
+        let offset = 0;
+        let dataWritten = 0;
+
+        const write = async (bytes) => {
+            await writer.write(bytes);
+            offset += bytes.length;
+        };
+
+        const writeEntry = async (name, blob) => {
+            const nameBytes = encoder.encode(name);
+            const headerOffset = offset;
+            const size = blob.size;
+            const isZip64 = size >= ZIP64_LIMIT || headerOffset >= ZIP64_LIMIT;
+
+            // Sizes and CRC are only known after the data, so the local header carries
+            // zeros (and a zeroed ZIP64 field) and the data descriptor the real values.
+            await write(createRecord(30 + nameBytes.length + (isZip64 ? 20 : 0))
+                .u32(0x04034b50).u16(isZip64 ? 45 : 20).u16(ZIP_ENTRY_FLAGS).u16(0)
+                .u16(time).u16(date).u32(0)
+                .u32(isZip64 ? ZIP64_LIMIT : 0).u32(isZip64 ? ZIP64_LIMIT : 0)
+                .u16(nameBytes.length).u16(isZip64 ? 20 : 0)
+                .raw(nameBytes)
+                .raw(isZip64 ? createRecord(20).u16(0x0001).u16(16).u64(0).u64(0).bytes : [])
+                .bytes);
+
+            let crc = 0;
+            for (let start = 0; start < size; start += ZIP_READ_CHUNK_BYTES) {
+                const chunk = new Uint8Array(await blob.slice(start, start + ZIP_READ_CHUNK_BYTES).arrayBuffer());
+                crc = crc32(chunk, crc);
+                await write(chunk);
+                dataWritten += chunk.length;
+                if (onProgress) onProgress(dataWritten, totalBytes);
+            }
+
+            await write(isZip64
+                ? createRecord(24).u32(0x08074b50).u32(crc).u64(size).u64(size).bytes
+                : createRecord(16).u32(0x08074b50).u32(crc).u32(size).u32(size).bytes);
+
+            centralEntries.push({ nameBytes, crc, size, headerOffset });
+        };
+
+        const names = resolveNameCollisions(files.map(file => file.name));
+
+        try {
+            const manifest = await buildManifest(files, names, jobId);
+            const manifestBlobs = [
+                ['manifest.json', new Blob([manifest.json], { type: 'application/json' })],
+                ['manifest.csv', new Blob([manifest.csv], { type: 'text/csv' })]
+            ];
+            totalBytes += manifestBlobs.reduce((acc, [, blob]) => acc + blob.size, 0);
+
+            for (const [i, file] of files.entries()) {
+                await writeEntry(names[i], await readEntryBlob(file));
+
+                const attachments = (includeAttachments && file.attachments) || [];
+                for (const attachment of attachments) {
+                    await writeEntry(`${names[i].replace(/\.pdf$/i, '')}_attachments/${attachment.name}`, attachment.blob);
+                }
+            }
+            for (const [name, blob] of manifestBlobs) {
+                await writeEntry(name, blob);
+            }
+
+            const centralOffset = offset;
+            for (const entry of centralEntries) {
+                const isLarge = entry.size >= ZIP64_LIMIT;
+                const isFar = entry.headerOffset >= ZIP64_LIMIT;
+                // The ZIP64 field holds only the values that did not fit, in this order
+                const extraLength = (isLarge || isFar) ? 4 + (isLarge ? 16 : 0) + (isFar ? 8 : 0) : 0;
+                const record = createRecord(46 + entry.nameBytes.length + extraLength)
+                    .u32(0x02014b50).u16(45).u16(extraLength ? 45 : 20).u16(ZIP_ENTRY_FLAGS).u16(0)
+                    .u16(time).u16(date).u32(entry.crc)
+                    .u32(isLarge ? ZIP64_LIMIT : entry.size).u32(isLarge ? ZIP64_LIMIT : entry.size)
+                    .u16(entry.nameBytes.length).u16(extraLength).u16(0).u16(0).u16(0).u32(0)
+                    .u32(isFar ? ZIP64_LIMIT : entry.headerOffset)
+                    .raw(entry.nameBytes);
+                if (extraLength) {
+                    record.u16(0x0001).u16(extraLength - 4);
+                    if (isLarge) record.u64(entry.size).u64(entry.size);
+                    if (isFar) record.u64(entry.headerOffset);
+                }
+                await write(record.bytes);
+            }
+            const centralSize = offset - centralOffset;
+            const count = centralEntries.length;
+
+            if (count >= 0xFFFF || centralOffset >= ZIP64_LIMIT || centralSize >= ZIP64_LIMIT) {
+                const zip64EndOffset = offset;
+                await write(createRecord(56)
+                    .u32(0x06064b50).u64(44).u16(45).u16(45).u32(0).u32(0)
+                    .u64(count).u64(count).u64(centralSize).u64(centralOffset)
+                    .bytes);
+                await write(createRecord(20).u32(0x07064b50).u32(0).u64(zip64EndOffset).u32(1).bytes);
+            }
+            await write(createRecord(22)
+                .u32(0x06054b50).u16(0).u16(0)
+                .u16(Math.min(count, 0xFFFF)).u16(Math.min(count, 0xFFFF))
+                .u32(Math.min(centralSize, ZIP64_LIMIT)).u32(Math.min(centralOffset, ZIP64_LIMIT))
+                .u16(0)
+                .bytes);
+
+            await writer.close();
+        } catch (error) {
+            await writer.abort(error).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Combines multiple unlocked PDFs into a single document, in the given order.
+     * The merge itself runs in a PDF worker, supplied by the caller.
+     * @param {Array<{blob: Blob, name: string}>} files - In page order.
+     * @param {Function} merge Merges the files: (files) => Promise<Blob|null>
+     * @returns {Promise<Blob>}
+     * @throws {Error} if there are fewer than two files, the total size exceeds the limit, or the merge fails
+     */
+    async function packageAsMerged(files, merge) {
+        if (files.length < 2) {
+            throw new Error('At least two documents are needed to merge.');
+        }
+
+        const totalSize = files.reduce((acc, file) => acc + file.blob.size, 0);
+        
+        if (totalSize > MAX_MERGE_SIZE_BYTES) {
+            throw new Error(`Batch size (${(totalSize / 1024 / 1024).toFixed(1)}MB) exceeds 1GB limit for merging.`);
+        }
+
+        const merged = await merge(files);
+        if (!merged) {
+            throw new Error('The documents could not be merged.');
+        }
+        return merged;
+    }
+
     return {
+        formatOutputName,
+        makeUniqueName,
+        resolveNameCollisions,
+        toJobConfig,
+        getResumeConfig,
         processIndividually,
         packageAsZip,
-        MAX_ZIP_SIZE_BYTES
+        packageAsZipStream,
+        packageAsMerged,
+        MAX_ZIP_SIZE_BYTES,
+        MAX_MERGE_SIZE_BYTES,
+        DEFAULT_NAME_TEMPLATE
     };
 })();
 
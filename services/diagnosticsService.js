@@ -12,7 +12,20 @@ window.diagnosticsService = (function () {
         totalBytesProcessed: 0,
         totalDurationMs: 0,
         errorCount: 0,
-        workerStarts: 0
+        workerStarts: 0,
+        workerRespawns: 0,
+        sizeOptimizedFiles: 0,
+        sizeOptimizedOriginalBytes: 0,
+        sizeOptimizedOutputBytes: 0
+    };
+
+    // Live WorkerPool sizing, pushed by pdfService on every scheduling pass
+    const poolStats = {
+        poolSize: 0,
+        maxPoolSize: 0,
+        busyWorkers: 0,
+        inFlightBytes: 0,
+        byteBudget: 0
     };
 
     /**
@@ -27,6 +40,29 @@ window.diagnosticsService = (function () {
         saveToPersistence(event);
     }
 
+    /**
+     * Record a worker being terminated and replaced by the pool.
+     * @param {string} reason - 'crash', 'timeout' or 'cancel'.
+     */
+    function recordWorkerRespawn(reason) {
+        stats.workerRespawns++;
+        const event = {
+            type: 'worker_respawn',
+            timestamp: Date.now(),
+            reason
+        };
+        saveToPersistence(event);
+    }
+
+    /**
+     * Update the live WorkerPool sizing snapshot.
+     * Not persisted: it changes on every task and only the current value matters.
+     * @param {Object} snapshot - poolSize, maxPoolSize, busyWorkers, inFlightBytes, byteBudget.
+     */
+    function updatePoolStats(snapshot) {
+        Object.assign(poolStats, snapshot);
+    }
+
     /**
      * Record a successful file processing event.
      * @param {number} fileSize - Size of the file in bytes.
@@ -50,6 +86,25 @@ window.diagnosticsService = (function () {
         saveToPersistence(event);
     }
 
+    /**
+     * Record the result of the "optimize size" output profile for one file.
+     * @param {Object} report - originalSize and outputSize in bytes, savedPercent.
+     */
+    function recordSizeOptimization(report) {
+        stats.sizeOptimizedFiles++;
+        stats.sizeOptimizedOriginalBytes += report.originalSize;
+        stats.sizeOptimizedOutputBytes += report.outputSize;
+
+        const event = {
+            type: 'size_optimized',
+            timestamp: Date.now(),
+            originalSize: report.originalSize,
+            outputSize: report.outputSize,
+            savedPercent: report.savedPercent
+        };
+        saveToPersistence(event);
+    }
+
     /**
      * Record an error event.
      * @param {string} context - Where the error occurred.
@@ -103,12 +158,16 @@ window.diagnosticsService = (function () {
     function getStats() {
         return {
             ...stats,
+            ...poolStats,
             averageSpeedMBps: stats.totalDurationMs > 0 
                 ? (stats.totalBytesProcessed / 1024 / 1024) / (stats.totalDurationMs / 1000) 
                 : 0,
             averageDurationPerFile: stats.totalFilesProcessed > 0 
                 ? stats.totalDurationMs / stats.totalFilesProcessed 
                 : 0,
+            sizeSavedPercent: stats.sizeOptimizedOriginalBytes > 0 
+                ? (1 - stats.sizeOptimizedOutputBytes / stats.sizeOptimizedOriginalBytes) * 100 
+                : 0,
             errorRate: stats.totalFilesProcessed > 0 
                 ? (stats.errorCount / (stats.totalFilesProcessed + stats.errorCount)) * 100 
                 : 0
@@ -117,7 +176,10 @@ window.diagnosticsService = (function () {
 
     return {
         recordWorkerStart,
+        recordWorkerRespawn,
+        updatePoolStats,
         recordProcessComplete,
+        recordSizeOptimization,
         recordError,
         getStats
     };
@@ -9,6 +9,28 @@
 window.pdfService = (function () {
     const MAX_FILE_SIZE_MB = 1024; // Increased to 1GB to leverage WorkerFS zero-copy mounting
     const MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_MB * 1024 * 1024;
+    const DEFAULT_TASK_TIMEOUT_MS = 10 * 60 * 1000; // Watchdog for a wedged callMain
+
+    // Pool sizing. Each worker carries its own qpdf WASM heap, so memory, not
+    // core count, is what limits how many can run side by side.
+    const GB = 1024 * 1024 * 1024;
+    const WORKER_MEMORY_ESTIMATE_BYTES = 512 * 1024 * 1024; // WASM heap + working set per busy worker
+    const DEFAULT_BYTE_BUDGET = 1 * GB; // In-flight bytes when the browser exposes no memory hints
+    const IN_FLIGHT_MULTIPLIER = 2; // Input and output are both held in memory while processing
+    const IDLE_WORKER_TIMEOUT_MS = 60 * 1000;
+    const MIN_WORKERS = 1; // Kept warm so the engine stays ready between batches
+
+    // Queue orderings for tasks of equal priority. Explicit priorities (config.priority,
+    // moveToFront, setQueueOrder) always take precedence over the policy.
+    const SCHEDULING_POLICIES = {
+        'fifo': (a, b) => a.id - b.id,
+        'smallest-first': (a, b) => (a.file?.size || 0) - (b.file?.size || 0) || a.id - b.id
+    };
+
+    // Worker message type per task mode; everything else is a plain 'process'
+    const WORKER_COMMANDS = { split: 'split', organize: 'organize', count: 'count_pages', attachments: 'attachments', inspect: 'inspect' };
+    // Modes that work on an existing output and never add a file record of their own
+    const EDIT_MODES = ['organize', 'count', 'attachments', 'inspect'];
     
     let wasmSupportStatus = 'pending'; // 'pending' | 'supported' | 'blocked'
 
@@ -17,54 +39,197 @@ window.pdfService = (function () {
      * Manages a collection of Web Workers for parallel PDF processing.
      */
     const WorkerPool = (function () {
-        let poolSize = navigator.hardwareConcurrency || 4;
+        let maxWorkers = 1;
+        let nextWorkerId = 0;
+        let byteBudgetOverride = null;
+        let schedulingPolicy = 'fifo';
+        let isSchedulePersistPending = false;
         const workers = [];
         const taskQueue = [];
+        const activeTasks = new Map(); // taskId -> task, until the task settles
+        let nextTaskId = 1;
+        let nextQueueIndex = 1; // 1-based position of a file in the current batch, for the {index} name token
+        const downloadedNames = []; // Auto-downloaded filenames, kept unique for the session
+        let taskTimeoutMs = DEFAULT_TASK_TIMEOUT_MS;
         let isInitialized = false;
         let currentJobId = null;
 
         /**
          * Initialize the worker pool.
+         * Only MIN_WORKERS are started up front; more are spawned on demand by
+         * processQueue(), up to the limit from computeMaxWorkers().
          */
         function init() {
             if (isInitialized) return;
             
-            // Re-check pool size in case navigator.hardwareConcurrency was mocked
-            poolSize = navigator.hardwareConcurrency || 4;
-
-            for (let i = 0; i < poolSize; i++) {
-                const worker = new Worker('services/pdfWorker.js');
-                const workerObj = {
-                    id: i,
-                    worker: worker,
-                    isReady: false,
-                    isBusy: false,
-                    currentTask: null
-                };
-                
-                setupWorker(workerObj);
-                workers.push(workerObj);
-                
-                // Record worker initialization event
-                if (window.diagnosticsService) {
-                    window.diagnosticsService.recordWorkerStart();
-                }
+            // Computed here rather than at load in case navigator was mocked
+            maxWorkers = computeMaxWorkers();
 
-                // Start WASM initialization for each worker
-                worker.postMessage({ type: 'init' });
+            for (let i = 0; i < MIN_WORKERS; i++) {
+                createWorker();
             }
             
             isInitialized = true;
             wasmSupportStatus = 'supported';
+            reportPoolStats();
+        }
+
+        /**
+         * Upper bound on concurrent workers: one per core, further capped by
+         * navigator.deviceMemory (in GB) so that half the device stays free.
+         * @returns {number}
+         */
+        function computeMaxWorkers() {
+            const cores = navigator.hardwareConcurrency || 4;
+            if (!navigator.deviceMemory) return cores;
+
+            const byMemory = Math.floor((navigator.deviceMemory * GB) / 2 / WORKER_MEMORY_ESTIMATE_BYTES);
+            return Math.max(1, Math.min(cores, byMemory));
+        }
+
+        /**
+         * How many bytes of input may be in flight across all workers at once.
+         * Re-evaluated on every scheduling pass because heap usage changes.
+         * @returns {number}
+         */
+        function getByteBudget() {
+            if (byteBudgetOverride !== null) return byteBudgetOverride;
+
+            // Chromium only: remaining headroom in this tab's heap
+            const memory = performance.memory;
+            if (memory && memory.jsHeapSizeLimit) {
+                return Math.max(0, (memory.jsHeapSizeLimit - memory.usedJSHeapSize) / 2);
+            }
+            if (navigator.deviceMemory) {
+                return (navigator.deviceMemory * GB) / 4;
+            }
+            return DEFAULT_BYTE_BUDGET;
+        }
+
+        /**
+         * Override the automatic in-flight byte budget.
+         * @param {number|null} bytes - null restores automatic sizing.
+         */
+        function setByteBudget(bytes) {
+            byteBudgetOverride = bytes;
+            processQueue();
+        }
+
+        function estimateTaskBytes(task) {
+            return (task.file?.size || 0) * IN_FLIGHT_MULTIPLIER;
+        }
+
+        function getInFlightBytes() {
+            return workers.reduce((total, w) => total + (w.currentTask ? estimateTaskBytes(w.currentTask) : 0), 0);
+        }
+
+        /**
+         * Add a new worker to the pool.
+         * @returns {object} The pool slot.
+         */
+        function createWorker() {
+            const workerObj = {
+                id: nextWorkerId++,
+                worker: null,
+                isReady: false,
+                isBusy: false,
+                currentTask: null,
+                idleTimer: null
+            };
+            
+            spawnWorker(workerObj);
+            workers.push(workerObj);
+            return workerObj;
+        }
+
+        /**
+         * Terminate a worker that has been idle for IDLE_WORKER_TIMEOUT_MS to give its
+         * WASM heap back, keeping at least MIN_WORKERS alive.
+         * @param {object} workerObj 
+         */
+        function scheduleRetire(workerObj) {
+            clearTimeout(workerObj.idleTimer);
+            workerObj.idleTimer = setTimeout(() => {
+                workerObj.idleTimer = null;
+                if (workerObj.isBusy || workers.length <= MIN_WORKERS) return;
+
+                workerObj.worker.onmessage = null;
+                workerObj.worker.onerror = null;
+                workerObj.worker.terminate();
+                workers.splice(workers.indexOf(workerObj), 1);
+                reportPoolStats();
+            }, IDLE_WORKER_TIMEOUT_MS);
+        }
+
+        /**
+         * Publish live pool sizing to diagnosticsService.getStats().
+         */
+        function reportPoolStats() {
+            if (window.diagnosticsService) {
+                window.diagnosticsService.updatePoolStats({
+                    poolSize: workers.length,
+                    maxPoolSize: maxWorkers,
+                    busyWorkers: workers.filter(w => w.isBusy).length,
+                    inFlightBytes: getInFlightBytes(),
+                    byteBudget: getByteBudget()
+                });
+            }
+        }
+
+        /**
+         * Start a fresh pdfWorker.js instance for a pool slot and begin WASM initialization.
+         * @param {object} workerObj 
+         */
+        function spawnWorker(workerObj) {
+            workerObj.worker = new Worker('services/pdfWorker.js');
+            workerObj.isReady = false;
+            setupWorker(workerObj);
+
+            // Record worker initialization event
+            if (window.diagnosticsService) {
+                window.diagnosticsService.recordWorkerStart();
+            }
+
+            workerObj.worker.postMessage({ type: 'init' });
+        }
+
+        /**
+         * Terminate a (possibly wedged) worker and replace it with a fresh one.
+         * The slot is released so queued tasks can run once the new worker is ready.
+         * @param {object} workerObj 
+         * @param {'crash'|'timeout'|'cancel'} reason - Recorded in diagnostics.
+         */
+        function replaceWorker(workerObj, reason) {
+            workerObj.worker.onmessage = null;
+            workerObj.worker.onerror = null;
+            workerObj.worker.terminate();
+
+            if (window.diagnosticsService) {
+                window.diagnosticsService.recordWorkerRespawn(reason);
+            }
+
+            spawnWorker(workerObj);
+            cleanupWorker(workerObj);
+        }
+
+        /**
+         * Set the default watchdog timeout applied to every task.
+         * Individual tasks can override it with `config.timeoutMs`.
+         * @param {number} ms 
+         */
+        function setTaskTimeout(ms) {
+            taskTimeoutMs = ms;
         }
 
         /**
          * Explicitly start a new job batch.
          * @param {number} totalFiles 
+         * @param {object} [details] - Extra fields for the job record, e.g. { mode: 'merge' }.
          */
-        async function startJob(totalFiles) {
+        async function startJob(totalFiles, details = {}) {
+            nextQueueIndex = 1;
             if (window.persistenceService) {
-                currentJobId = await window.persistenceService.createJob({ totalFiles });
+                currentJobId = await window.persistenceService.createJob({ totalFiles, ...details });
                 return currentJobId;
             }
             return null;
@@ -83,7 +248,7 @@ window.pdfService = (function () {
          */
         function setupWorker(workerObj) {
             workerObj.worker.onmessage = (e) => {
-                const { type, state, main, sub, blob, name, hash, streamed } = e.data;
+                const { type, state, main, sub } = e.data;
 
                 switch (type) {
                     case 'ready':
@@ -103,6 +268,11 @@ window.pdfService = (function () {
                         break;
 
                     case 'chunk':
+                        // Chunks of a split part, or of a task without a file record, stay in memory
+                        if (workerObj.currentTask && (e.data.part || !workerObj.currentTask.persistenceFileId)) {
+                            workerObj.currentTask.memoryChunks.push(e.data.data);
+                            break;
+                        }
                         // Handle incoming chunk (Task 06-02)
                         if (workerObj.currentTask?.persistenceFileId && window.persistenceService) {
                             window.persistenceService.saveChunk(
@@ -124,74 +294,528 @@ window.pdfService = (function () {
                         break;
 
                     case 'success':
-                        handleWorkerSuccess(workerObj, blob, name, hash, streamed);
+                        // A split delivers one success per part; only the last one ends the task
+                        if (e.data.part && e.data.part.index < e.data.part.count - 1) {
+                            if (workerObj.currentTask) collectPart(workerObj.currentTask, e.data);
+                            break;
+                        }
+                        if (workerObj.currentTask) {
+                            // Too late to cancel once the worker has delivered its output
+                            clearWatchdog(workerObj.currentTask);
+                            workerObj.currentTask.isFinishing = true;
+                        }
+                        handleWorkerSuccess(workerObj, e.data);
+                        break;
+
+                    case 'password_required':
+                        handlePasswordRequired(workerObj, e.data.retry);
+                        break;
+
+                    case 'page_count':
+                        resolveQuery(workerObj, { pageCount: e.data.count });
+                        break;
+
+                    case 'attachments':
+                        resolveQuery(workerObj, {
+                            attachments: e.data.attachments.map(attachment => ({
+                                name: attachment.name,
+                                blob: new Blob([attachment.data])
+                            }))
+                        });
+                        break;
+
+                    case 'inspection':
+                        resolveQuery(workerObj, { report: e.data.report });
                         break;
 
                     case 'error':
-                        handleWorkerError(workerObj, main, sub);
+                        if (workerObj.currentTask && e.data.engineLog) {
+                            workerObj.currentTask.engineLog = e.data.engineLog;
+                        }
+                        handleWorkerError(workerObj, main, sub, e.data.fatal === true);
                         break;
                 }
             };
 
             workerObj.worker.onerror = (error) => {
                 console.error(`Worker ${workerObj.id} error:`, error);
-                handleWorkerError(workerObj, 'Worker Error', 'A background processing error occurred.');
+                handleWorkerError(workerObj, 'Worker Error', 'A background processing error occurred.', true);
             };
         }
 
         /**
          * Enqueue a file for processing.
          * @param {File} file 
+         * @param {object} callbacks - onStatus(state, main, sub), plus optional
+         *   onPasswordRequired(isRetry) resolving to a password or null to skip,
+         *   onEnqueued(taskId) for use with cancel(), and onEngineLog(lines) with
+         *   the worker's qpdf output when the task fails.
+         * @param {object} config - { returnBlob, mode: 'unlock' | 'reencrypt', encryption, linearize,
+         *   profile: 'speed' | 'size', sanitize, timeoutMs, priority, nameTemplate }. nameTemplate names
+         *   the auto-downloaded file when returnBlob is false, see batchService.formatOutputName(); {index}
+         *   counts files since startJob(), and a name already downloaded this session gets a " (2)" suffix.
+         *   fileRecordId resumes an interrupted job's file on its existing record.
+         *   The re-encrypt profile is only forwarded to the worker, never persisted.
+         */
+        async function enqueue(file, callbacks, config = { returnBlob: false }) {
+            return submitTask({ file }, callbacks, config);
+        }
+
+        /**
+         * Enqueue a merge of already-unlocked PDFs into a single document.
+         * Runs on a worker like any other task and is persisted as one `kind: 'merge'`
+         * file record on the current job.
+         * @param {Array<{blob: Blob, name: string}>} inputs - In page order.
+         * @param {string} outputName 
+         * @param {object} callbacks - As for enqueue().
+         * @param {object} config - { returnBlob, timeoutMs, priority }.
+         */
+        async function merge(inputs, outputName, callbacks, config = { returnBlob: true }) {
+            const size = inputs.reduce((total, input) => total + input.blob.size, 0);
+            const file = { name: outputName, size, type: 'application/pdf' };
+            return submitTask({ file, inputs }, callbacks, { ...config, mode: 'merge' });
+        }
+
+        /**
+         * Enqueue a page reorder/rotate of an already-unlocked output.
+         * The edited output replaces the stored one when `fileId` is given.
+         * @param {Blob} blob - The current output.
+         * @param {string} name - Output file name.
+         * @param {Array<{page: number, rotate: number}>} pages - Source pages in their new order.
+         * @param {object} callbacks - As for enqueue().
+         * @param {object} [options] - { fileId: persistenceService file record holding the output,
+         *   linearize: keep a web-optimized output linearized }.
+         */
+        async function organize(blob, name, pages, callbacks, { fileId = null, linearize = false } = {}) {
+            const file = new File([blob], name, { type: 'application/pdf' });
+            return submitTask({ file }, callbacks, { 
+                returnBlob: true, 
+                mode: 'organize', 
+                pages, 
+                fileId, 
+                ...(linearize ? { linearize } : {}) 
+            });
+        }
+
+        /**
+         * Count the pages of an already-unlocked output.
+         * @param {Blob} blob 
+         * @param {string} name 
+         * @returns {Promise<{pageCount: number}|null>}
+         */
+        async function countPages(blob, name) {
+            const file = new File([blob], name, { type: 'application/pdf' });
+            return submitTask({ file }, {}, { mode: 'count' });
+        }
+
+        /**
+         * Read the structure of a document for the inspector. The original
+         * file works as well as an unlocked output; a user password is asked
+         * for through callbacks.onPasswordRequired, as for enqueue().
+         * @param {Blob} blob 
+         * @param {string} name 
+         * @param {object} [callbacks] - onStatus and onPasswordRequired, as for enqueue().
+         * @returns {Promise<{report: object}|null>}
+         */
+        async function inspect(blob, name, callbacks = {}) {
+            const file = blob instanceof File ? blob : new File([blob], name, { type: 'application/pdf' });
+            // The user is waiting on the modal, so run ahead of any queued batch work
+            const priority = Math.max(0, ...taskQueue.map(t => t.priority)) + 1;
+            return submitTask({ file }, callbacks, { mode: 'inspect', priority });
+        }
+
+        /**
+         * Extract the embedded files of an already-unlocked output.
+         * @param {Blob} blob 
+         * @param {string} name 
+         * @returns {Promise<{attachments: Array<{name: string, blob: Blob}>}|null>}
+         */
+        async function extractAttachments(blob, name) {
+            const file = new File([blob], name, { type: 'application/pdf' });
+            return submitTask({ file }, {}, { mode: 'attachments' });
+        }
+
+        /**
+         * Create, persist and queue a task.
+         * @param {object} work - { file } for a single document, plus `inputs` for a merge.
          * @param {object} callbacks 
          * @param {object} config 
          */
-        async function enqueue(file, callbacks, config = { returnBlob: false }) {
+        async function submitTask({ file, inputs = null }, callbacks, config) {
             if (!isInitialized) init();
 
+            const task = { 
+                id: nextTaskId++, 
+                file, 
+                inputs,
+                callbacks, 
+                config, 
+                priority: config?.priority || 0,
+                queueIndex: inputs || EDIT_MODES.includes(config?.mode) ? null : nextQueueIndex++,
+                resolve: null, 
+                jobId: currentJobId, 
+                persistenceFileId: null 
+            };
+            const promise = new Promise((resolve) => {
+                task.resolve = resolve;
+            });
+            activeTasks.set(task.id, task);
+            if (callbacks?.onEnqueued) callbacks.onEnqueued(task.id);
+
             let persistenceFileId = null;
-            const jobId = currentJobId;
+            const jobId = task.jobId;
 
-            if (window.persistenceService && jobId) {
+            task.isPersisting = true;
+            if (window.persistenceService && jobId && !EDIT_MODES.includes(config?.mode)) {
                 try {
-                    persistenceFileId = await window.persistenceService.addFile({
-                        jobId,
-                        name: file.name,
-                        originalBlob: file,
-                        status: 'processing'
-                    });
+                    if (inputs) {
+                        await cancelStaleMerges(jobId);
+                        persistenceFileId = await window.persistenceService.addFile({
+                            jobId,
+                            name: file.name,
+                            kind: 'merge',
+                            originalBlob: null,
+                            status: 'processing'
+                        });
+                    } else if (config?.fileRecordId) {
+                        // A resumed file keeps its record, so its saved queue position still applies
+                        persistenceFileId = config.fileRecordId;
+                        await window.persistenceService.updateFile(persistenceFileId, { status: 'processing' });
+                    } else {
+                        persistenceFileId = await window.persistenceService.addFile({
+                            jobId,
+                            name: file.name,
+                            originalBlob: file,
+                            mode: config?.mode || 'unlock',
+                            status: 'processing'
+                        });
+                    }
                 } catch (err) {
                     console.error("Failed to persist file record:", err);
                 }
             }
 
-            const task = { file, callbacks, config, resolve: null, jobId, persistenceFileId };
-            const promise = new Promise((resolve) => {
-                task.resolve = resolve;
-            });
+            task.persistenceFileId = persistenceFileId;
+            task.isPersisting = false;
+
+            // Cancelled while the file record was being written
+            if (task.isCancelled) {
+                await abortTask(task, 'cancelled');
+                return promise;
+            }
 
             taskQueue.push(task);
             processQueue();
-            
+            persistSchedule();
+
             return promise;
         }
 
         /**
-         * Attempt to assign tasks from the queue to idle workers.
+         * A merge interrupted by a reload never finishes; close its record so the
+         * resumed job can still reach 'completed' once the new merge succeeds.
+         * @param {number} jobId 
+         */
+        async function cancelStaleMerges(jobId) {
+            const jobFiles = await window.persistenceService.getFilesByJob(jobId);
+            const staleMerges = jobFiles.filter(f => f.kind === 'merge' && !window.persistenceService.FINAL_FILE_STATUSES.includes(f.status));
+            for (const record of staleMerges) {
+                await window.persistenceService.updateFile(record.id, { status: 'cancelled' });
+            }
+        }
+
+        /**
+         * Cancel a queued, waiting or running task.
+         * A running task's worker is terminated and replaced with a fresh one.
+         * @param {number} taskId 
+         * @returns {boolean} False if the task is unknown or already finishing.
+         */
+        function cancel(taskId) {
+            const task = activeTasks.get(taskId);
+            if (!task || task.isFinishing || task.isCancelled) return false;
+            task.isCancelled = true;
+
+            // Not yet in the queue: enqueue() aborts it once its file record exists
+            if (task.isPersisting) return true;
+
+            const queueIndex = taskQueue.indexOf(task);
+            if (queueIndex !== -1) taskQueue.splice(queueIndex, 1);
+
+            const workerObj = workers.find(w => w.currentTask === task);
+            if (workerObj) replaceWorker(workerObj, 'cancel');
+
+            abortTask(task, 'cancelled');
+            return true;
+        }
+
+        /**
+         * Cancel every unfinished task belonging to a job.
+         * @param {number} jobId 
+         * @returns {number} Number of tasks cancelled.
+         */
+        function cancelJob(jobId) {
+            const jobTaskIds = Array.from(activeTasks.values())
+                .filter(task => task.jobId === jobId)
+                .map(task => task.id);
+            return jobTaskIds.filter(taskId => cancel(taskId)).length;
+        }
+
+        /**
+         * Watchdog callback: the worker has not finished within its time budget.
+         * @param {object} workerObj 
+         */
+        function handleTaskTimeout(workerObj) {
+            const task = workerObj.currentTask;
+            if (!task || task.isFinishing) return;
+            task.isCancelled = true;
+
+            console.error(`WorkerPool: Task ${task.id} timed out on worker ${workerObj.id}, respawning worker.`);
+            replaceWorker(workerObj, 'timeout');
+            abortTask(task, 'timed_out');
+        }
+
+        function clearWatchdog(task) {
+            if (task?.watchdog) {
+                clearTimeout(task.watchdog);
+                task.watchdog = null;
+            }
+        }
+
+        /**
+         * Settle a task that was cancelled or timed out.
+         * @param {object} task 
+         * @param {'cancelled'|'timed_out'} status 
+         */
+        async function abortTask(task, status) {
+            clearWatchdog(task);
+            delete task.password;
+            activeTasks.delete(task.id);
+
+            const isTimeout = status === 'timed_out';
+            const main = isTimeout ? 'Timed Out' : 'Cancelled';
+            const sub = isTimeout 
+                ? 'The processing engine stopped responding and was restarted.' 
+                : 'Processing was cancelled.';
+
+            if (isTimeout && window.diagnosticsService) {
+                window.diagnosticsService.recordError(`WorkerPool: ${main}`, sub);
+            }
+
+            if (window.auditService) {
+                window.auditService.logEvent(isTimeout ? 'TIMEOUT' : 'CANCELLED', {
+                    file: task.file?.name,
+                    error: main,
+                    details: sub
+                });
+            }
+
+            if (window.persistenceService && task.persistenceFileId) {
+                try {
+                    await window.persistenceService.updateFile(task.persistenceFileId, { status });
+                    await updateJobProgress(task.jobId);
+                } catch (err) {
+                    console.error(`Failed to update persistence on ${status}:`, err);
+                }
+            }
+
+            if (task.callbacks?.onStatus) {
+                task.callbacks.onStatus(isTimeout ? 'error' : 'cancelled', main, sub);
+            }
+            task.resolve(null);
+        }
+
+        /**
+         * Close the records of an interrupted job's files that will not be resumed,
+         * logging why, so the job can still reach 'completed'.
+         * @param {number} jobId 
+         * @param {number[]} fileIds - persistenceService file records.
+         * @param {string} reason 
+         */
+        async function cancelInterruptedFiles(jobId, fileIds, reason) {
+            if (!window.persistenceService) return;
+            for (const fileId of fileIds) {
+                const record = await window.persistenceService.getFile(fileId);
+                await window.persistenceService.updateFile(fileId, { status: 'cancelled' });
+                if (window.auditService) {
+                    window.auditService.logEvent('CANCELLED', {
+                        file: record?.name,
+                        error: 'Not Resumed',
+                        details: reason
+                    });
+                }
+            }
+            await updateJobProgress(jobId);
+        }
+
+        /**
+         * Recompute a job's processedCount and completion from its file records.
+         * @param {number} jobId 
+         */
+        async function updateJobProgress(jobId) {
+            const jobFiles = await window.persistenceService.getFilesByJob(jobId);
+            const processed = jobFiles.filter(f => window.persistenceService.FINAL_FILE_STATUSES.includes(f.status)).length;
+            
+            await window.persistenceService.updateJob(jobId, {
+                processedCount: processed,
+                status: processed === jobFiles.length ? 'completed' : 'processing'
+            });
+        }
+
+        /**
+         * Attempt to assign tasks from the queue to idle workers, spawning new
+         * workers up to maxWorkers while the in-flight byte budget allows.
          */
         function processQueue() {
-            if (taskQueue.length === 0) return;
+            taskQueue.sort(compareTasks);
+
+            while (taskQueue.length > 0) {
+                const taskIndex = findAdmissibleTask();
+                if (taskIndex === -1) break;
+
+                let idleWorker = workers.find(w => !w.isBusy);
+                if (!idleWorker) {
+                    if (workers.length >= maxWorkers) break;
+                    idleWorker = createWorker();
+                }
+
+                const [task] = taskQueue.splice(taskIndex, 1);
+                clearTimeout(idleWorker.idleTimer);
+                idleWorker.idleTimer = null;
+                idleWorker.isBusy = true;
+                idleWorker.currentTask = task;
 
-            const idleWorker = workers.find(w => !w.isBusy);
-            if (!idleWorker) return;
+                if (idleWorker.isReady) {
+                    startTask(idleWorker);
+                }
+                // If not ready, it will startTask when 'ready' message is received
+            }
+            reportPoolStats();
+        }
 
-            const task = taskQueue.shift();
-            idleWorker.isBusy = true;
-            idleWorker.currentTask = task;
+        function compareTasks(a, b) {
+            return (b.priority - a.priority) || SCHEDULING_POLICIES[schedulingPolicy](a, b);
+        }
 
-            if (idleWorker.isReady) {
-                startTask(idleWorker);
+        /**
+         * Choose how queued tasks of equal priority are ordered.
+         * @param {'fifo'|'smallest-first'} policy 
+         */
+        function setSchedulingPolicy(policy) {
+            if (!SCHEDULING_POLICIES[policy]) {
+                console.warn(`WorkerPool: Unknown scheduling policy "${policy}", keeping "${schedulingPolicy}".`);
+                return;
             }
-            // If not ready, it will startTask when 'ready' message is received
+            schedulingPolicy = policy;
+            processQueue();
+            persistSchedule();
+        }
+
+        /**
+         * Set the explicit priority of a queued task. Higher runs first.
+         * @param {number} taskId 
+         * @param {number} priority 
+         * @returns {boolean} False if the task is not waiting in the queue.
+         */
+        function setPriority(taskId, priority) {
+            const task = taskQueue.find(t => t.id === taskId);
+            if (!task) return false;
+
+            task.priority = priority;
+            processQueue();
+            persistSchedule();
+            return true;
+        }
+
+        /**
+         * Make a queued task the next one to be dispatched.
+         * @param {number} taskId 
+         * @returns {boolean} False if the task is not waiting in the queue.
+         */
+        function moveToFront(taskId) {
+            const topPriority = Math.max(0, ...taskQueue.map(t => t.priority));
+            return setPriority(taskId, topPriority + 1);
+        }
+
+        /**
+         * Pin an explicit order for some queued tasks, ahead of everything else.
+         * Used when the user rearranges cards in the bento grid.
+         * @param {number[]} taskIds - Highest priority first.
+         */
+        function setQueueOrder(taskIds) {
+            const topPriority = Math.max(0, ...taskQueue.map(t => t.priority));
+            taskIds.forEach((taskId, index) => {
+                const task = taskQueue.find(t => t.id === taskId);
+                if (task) task.priority = topPriority + taskIds.length - index;
+            });
+            processQueue();
+            persistSchedule();
+        }
+
+        /**
+         * Task ids waiting in the queue, in the order they will be dispatched
+         * (ignoring byte-budget admission).
+         * @returns {number[]}
+         */
+        function getQueueOrder() {
+            return [...taskQueue].sort(compareTasks).map(t => t.id);
+        }
+
+        /**
+         * Record the current policy and file order (as file record ids) on the job,
+         * so a resumed job keeps its order. Writes are coalesced to one per tick.
+         */
+        function persistSchedule() {
+            if (isSchedulePersistPending || !window.persistenceService || !currentJobId) return;
+            isSchedulePersistPending = true;
+
+            setTimeout(async () => {
+                isSchedulePersistPending = false;
+                const jobId = currentJobId;
+                if (!jobId) return;
+
+                // Files already on a worker come first, in dispatch order, then the queue
+                const jobTasks = Array.from(activeTasks.values())
+                    .filter(t => t.jobId === jobId && !EDIT_MODES.includes(t.config?.mode));
+                const dispatched = jobTasks
+                    .filter(t => t.startTime && !taskQueue.includes(t))
+                    .sort((a, b) => a.startTime - b.startTime);
+                const queued = jobTasks.filter(t => taskQueue.includes(t)).sort(compareTasks);
+
+                try {
+                    await window.persistenceService.updateJob(jobId, {
+                        schedulingPolicy,
+                        queueOrder: [...dispatched, ...queued].map(t => t.persistenceFileId).filter(Boolean)
+                    });
+                } catch (err) {
+                    console.error("Failed to persist queue order:", err);
+                }
+            }, 0);
+        }
+
+        /**
+         * Pick the first queued task that fits in the remaining byte budget, so large
+         * files wait while smaller ones keep flowing. With nothing in flight the head
+         * of the queue is always admitted, however large, to guarantee progress.
+         * @returns {number} Index into taskQueue, or -1.
+         */
+        function findAdmissibleTask() {
+            const inFlightBytes = getInFlightBytes();
+            if (inFlightBytes === 0) return 0;
+
+            const budget = getByteBudget();
+            return taskQueue.findIndex(task => inFlightBytes + estimateTaskBytes(task) <= budget);
+        }
+
+        /**
+         * Extract the processing options the worker needs from an enqueue config.
+         * `returnBlob`, `timeoutMs`, `priority`, `fileId`, `fileRecordId` and `nameTemplate` only affect the pool itself, so they stay here.
+         * @param {object} config 
+         * @returns {object|undefined}
+         */
+        function getWorkerOptions(config) {
+            if (!config) return undefined;
+            const { returnBlob, timeoutMs, priority, fileId, fileRecordId, nameTemplate, ...options } = config;
+            return Object.keys(options).length > 0 ? options : undefined;
         }
 
         /**
@@ -200,46 +824,80 @@ window.pdfService = (function () {
         async function startTask(workerObj) {
             const { file } = workerObj.currentTask;
             workerObj.currentTask.startTime = performance.now();
+            // Reset on every attempt so a crash retry does not duplicate split parts
+            workerObj.currentTask.parts = [];
+            workerObj.currentTask.memoryChunks = [];
+
+            const timeoutMs = workerObj.currentTask.config?.timeoutMs || taskTimeoutMs;
+            if (timeoutMs > 0) {
+                workerObj.currentTask.watchdog = setTimeout(() => handleTaskTimeout(workerObj), timeoutMs);
+            }
             
             try {
                 // Task 1 Refactor: Send File object directly to leverage WorkerFS zero-copy mounting
                 // No more await file.arrayBuffer() which consumes 1x file size in main thread memory
-                workerObj.worker.postMessage({ 
-                    type: 'process', 
-                    file: file, 
-                    name: file.name 
-                });
+                if (workerObj.currentTask.inputs) {
+                    workerObj.worker.postMessage({ 
+                        type: 'merge', 
+                        files: workerObj.currentTask.inputs, 
+                        name: file.name 
+                    });
+                } else {
+                    workerObj.worker.postMessage({ 
+                        type: WORKER_COMMANDS[workerObj.currentTask.config?.mode] || 'process', 
+                        file: file, 
+                        name: file.name,
+                        password: workerObj.currentTask.password,
+                        options: getWorkerOptions(workerObj.currentTask.config)
+                    });
+                }
             } catch (error) {
                 console.error("WorkerPool: Failed to start task:", error);
                 handleWorkerError(workerObj, 'Task Error', 'Failed to read file for processing.');
             }
         }
 
+        /**
+         * Store one output of a split task until the worker has sent them all.
+         * @param {object} task 
+         * @param {object} result - The worker's `success` message for this part.
+         */
+        function collectPart(task, result) {
+            const blob = result.streamed
+                ? new Blob(task.memoryChunks, { type: "application/pdf" })
+                : new Blob([result.blob], { type: "application/pdf" });
+            task.memoryChunks = [];
+            task.parts.push({ blob, name: result.name, hash: result.hash, inputHash: result.inputHash, pages: result.part.pages, linearized: result.linearized });
+        }
+
         /**
          * Handle successful task completion.
+         * @param {object} workerObj 
+         * @param {object} result - The worker's `success` message.
          */
-        async function handleWorkerSuccess(workerObj, outputBuffer, fileName, hash, streamed = false) {
+        async function handleWorkerSuccess(workerObj, result) {
             const { currentTask } = workerObj;
             if (!currentTask) return;
 
+            const { blob: outputBuffer, name: fileName, hash, inputHash, streamed = false, encryption = null, mode = 'unlock', linearized, sizeReport, repairWarnings, warnings, sanitized, engineLog } = result;
+
             const duration = performance.now() - currentTask.startTime;
 
             // Record diagnostics
             if (window.diagnosticsService) {
                 window.diagnosticsService.recordProcessComplete(currentTask.file.size, duration);
-            }
-
-            // Audit Log
-            if (window.auditService) {
-                window.auditService.logEvent('SUCCESS', {
-                    file: fileName,
-                    hash: hash
-                });
+                if (sizeReport && !sizeReport.skipped) window.diagnosticsService.recordSizeOptimization(sizeReport);
             }
 
             let outputBlob;
-            if (!streamed && outputBuffer) {
+            let parts = null;
+            if (result.part) {
+                collectPart(currentTask, result);
+                parts = currentTask.parts;
+            } else if (!streamed && outputBuffer) {
                 outputBlob = new Blob([outputBuffer], { type: "application/pdf" });
+            } else if (streamed && !currentTask.persistenceFileId) {
+                outputBlob = new Blob(currentTask.memoryChunks, { type: "application/pdf" });
             } else if (streamed && window.persistenceService && currentTask.persistenceFileId) {
                 // If streamed, we need to reassemble from IndexedDB chunks (Task 06-02)
                 if (currentTask.callbacks?.onStatus) {
@@ -248,39 +906,97 @@ window.pdfService = (function () {
                 outputBlob = await window.persistenceService.assembleFileFromChunks(currentTask.persistenceFileId);
             }
 
-            if (!outputBlob) {
+            if (!outputBlob && !parts) {
                 handleWorkerError(workerObj, 'Assembly Failed', 'Failed to retrieve or reassemble processed file.');
                 return;
             }
 
+            // Audit Log
+            if (window.auditService) {
+                window.auditService.logEvent('SUCCESS', parts ? {
+                    file: currentTask.file.name,
+                    ...(inputHash ? { inputHash } : {}),
+                    parts: parts.map(part => ({ file: part.name, hash: part.hash })),
+                    mode: mode,
+                    ...(engineLog ? { engineLog } : {})
+                } : {
+                    file: fileName,
+                    ...(inputHash ? { inputHash } : {}),
+                    hash: hash,
+                    mode: mode,
+                    ...(repairWarnings ? { repairWarnings: repairWarnings.length } : {}),
+                    ...(warnings ? { warnings: warnings.length } : {}),
+                    ...(sanitized ? { sanitized } : {}),
+                    ...(engineLog ? { engineLog } : {})
+                });
+            }
+
+            const resultHash = parts ? null : hash;
+
             // Persistence update
             if (window.persistenceService && currentTask.persistenceFileId) {
                 try {
                     await window.persistenceService.updateFile(currentTask.persistenceFileId, {
                         status: 'completed',
-                        outputBlob: outputBlob,
-                        hash: hash
+                        outputBlob: outputBlob || null,
+                        ...(parts ? { parts } : {}),
+                        ...(inputHash ? { inputHash } : {}),
+                        hash: resultHash,
+                        encryption: encryption,
+                        mode: mode,
+                        ...(linearized !== undefined ? { linearized } : {}),
+                        ...(sizeReport ? { sizeReport } : {}),
+                        ...(repairWarnings ? { repairWarnings } : {}),
+                        ...(warnings ? { warnings } : {}),
+                        ...(sanitized ? { sanitized } : {}),
+                        ...(engineLog ? { engineLog } : {})
                     });
 
                     // Update job progress
-                    const jobFiles = await window.persistenceService.getFilesByJob(currentTask.jobId);
-                    const processed = jobFiles.filter(f => f.status === 'completed' || f.status === 'failed').length;
-                    
-                    await window.persistenceService.updateJob(currentTask.jobId, {
-                        processedCount: processed,
-                        status: processed === jobFiles.length ? 'completed' : 'processing'
-                    });
+                    await updateJobProgress(currentTask.jobId);
                 } catch (err) {
                     console.error("Failed to update persistence on success:", err);
                 }
+            } else if (window.persistenceService && mode === 'organize' && currentTask.config?.fileId) {
+                try {
+                    await window.persistenceService.replaceOutput(currentTask.config.fileId, outputBlob, hash, linearized);
+                } catch (err) {
+                    console.error("Failed to replace edited output:", err);
+                }
             }
             
-            if (currentTask.config?.returnBlob) {
-                currentTask.resolve({ blob: outputBlob, hash: hash });
+            // Drop the user password as soon as it is no longer needed
+            delete currentTask.password;
+            activeTasks.delete(currentTask.id);
+
+            if (currentTask.config?.returnBlob || parts) {
+                currentTask.resolve({
+                    blob: outputBlob || null,
+                    hash: resultHash,
+                    ...(inputHash ? { inputHash } : {}),
+                    encryption: encryption,
+                    mode: mode,
+                    linearized,
+                    sizeReport,
+                    repairWarnings,
+                    warnings,
+                    sanitized,
+                    engineLog,
+                    fileId: currentTask.persistenceFileId,
+                    ...(parts ? { parts } : {})
+                });
             } else {
                 // Auto-download (legacy behavior support)
                 const nameWithoutExt = fileName.toLowerCase().endsWith('.pdf') ? fileName.slice(0, -4) : fileName;
-                const newFilename = `${nameWithoutExt}_unlocked.pdf`;
+                const newFilename = window.batchService
+                    ? window.batchService.makeUniqueName(window.batchService.formatOutputName(currentTask.config?.nameTemplate, {
+                        name: fileName,
+                        hash,
+                        index: currentTask.queueIndex,
+                        jobId: currentTask.jobId
+                    }), downloadedNames)
+                    : `${nameWithoutExt}_unlocked.pdf`;
+                downloadedNames.push(newFilename);
                 const url = URL.createObjectURL(outputBlob);
                 const a = document.createElement('a');
                 a.href = url;
@@ -293,56 +1009,165 @@ window.pdfService = (function () {
                 if (currentTask.callbacks?.onStatus) {
                     currentTask.callbacks.onStatus('success', 'Success! Downloading...', `${newFilename} is ready.`);
                 }
-                currentTask.resolve({ blob: null, hash: hash });
+                currentTask.resolve({ blob: null, hash: hash, ...(inputHash ? { inputHash } : {}), encryption: encryption, mode: mode });
             }
 
             cleanupWorker(workerObj);
         }
 
         /**
-         * Handle task error.
+         * Handle a user-password lock reported by the worker.
+         * The worker is released while the user is prompted, and the task is
+         * re-enqueued at the front of the queue once a password is supplied.
+         * @param {object} workerObj 
+         * @param {boolean} isRetry - True if a supplied password was rejected.
          */
-        async function handleWorkerError(workerObj, main, sub) {
+        async function handlePasswordRequired(workerObj, isRetry) {
             const { currentTask } = workerObj;
-            if (currentTask) {
-                // Record diagnostics error
-                if (window.diagnosticsService) {
-                    window.diagnosticsService.recordError(`WorkerPool: ${main}`, sub);
-                }
+            cleanupWorker(workerObj);
+            if (!currentTask) return;
 
-                // Audit Log
-                if (window.auditService) {
-                    window.auditService.logEvent('ERROR', {
-                        file: currentTask.file?.name,
-                        error: main,
-                        details: sub
-                    });
-                }
+            delete currentTask.password;
 
-                // Persistence update
-                if (window.persistenceService && currentTask.persistenceFileId) {
-                    try {
-                        await window.persistenceService.updateFile(currentTask.persistenceFileId, {
-                            status: 'failed'
-                        });
+            if (!currentTask.callbacks?.onPasswordRequired) {
+                await failTask(currentTask, 'Password Required', 'This document is protected by a user password.');
+                return;
+            }
 
-                        // Update job progress
-                        const jobFiles = await window.persistenceService.getFilesByJob(currentTask.jobId);
-                        const processed = jobFiles.filter(f => f.status === 'completed' || f.status === 'failed').length;
-                        
-                        await window.persistenceService.updateJob(currentTask.jobId, {
-                            processedCount: processed,
-                            status: processed === jobFiles.length ? 'completed' : 'processing'
-                        });
-                    } catch (err) {
-                        console.error("Failed to update persistence on error:", err);
+            if (window.persistenceService && currentTask.persistenceFileId) {
+                window.persistenceService.updateFile(currentTask.persistenceFileId, {
+                    status: 'password_required'
+                }).catch(err => console.error("Failed to update persistence on password prompt:", err));
+            }
+
+            let password = null;
+            try {
+                password = await currentTask.callbacks.onPasswordRequired(isRetry);
+            } catch (err) {
+                console.error("WorkerPool: Password prompt failed:", err);
+            }
+
+            // cancel() already settled the task while the prompt was open
+            if (currentTask.isCancelled) return;
+
+            if (!password) {
+                await failTask(currentTask, 'Password Required', 'No password was provided for this document.');
+                return;
+            }
+
+            if (window.persistenceService && currentTask.persistenceFileId) {
+                window.persistenceService.updateFile(currentTask.persistenceFileId, {
+                    status: 'processing'
+                }).catch(err => console.error("Failed to update persistence on password retry:", err));
+            }
+
+            currentTask.password = password;
+            taskQueue.unshift(currentTask);
+            processQueue();
+        }
+
+        /**
+         * Handle task error.
+         * A fatal error means the worker itself is poisoned (uncaught exception, WASM
+         * abort or OOM): it is replaced, and the task is retried once via WorkerFS,
+         * which keeps the input out of the WASM heap.
+         * @param {object} workerObj 
+         * @param {string} main 
+         * @param {string} sub 
+         * @param {boolean} [isFatal=false]
+         */
+        async function handleWorkerError(workerObj, main, sub, isFatal = false) {
+            const { currentTask } = workerObj;
+
+            // Without a task this is an init failure; respawning would just loop
+            if (isFatal && currentTask) {
+                console.error(`WorkerPool: Worker ${workerObj.id} crashed (${main}), respawning.`);
+                clearWatchdog(currentTask);
+
+                if (!currentTask.crashRetried) {
+                    currentTask.crashRetried = true;
+                    currentTask.config = { ...currentTask.config, forceWorkerFS: true };
+                    if (currentTask.callbacks?.onStatus) {
+                        currentTask.callbacks.onStatus('processing', 'Retrying...', 'The engine crashed; retrying with a safer strategy.');
                     }
+                    taskQueue.unshift(currentTask);
+                    replaceWorker(workerObj, 'crash');
+                    return;
                 }
 
-                if (currentTask.callbacks?.onStatus) {
-                    currentTask.callbacks.onStatus('error', main, sub);
+                currentTask.isFinishing = true;
+                replaceWorker(workerObj, 'crash');
+                await failTask(currentTask, main, sub);
+                return;
+            }
+
+            if (currentTask) {
+                currentTask.isFinishing = true;
+                await failTask(currentTask, main, sub);
+            }
+            cleanupWorker(workerObj);
+        }
+
+        /**
+         * Record a failed task and resolve its promise with null.
+         * @param {object} task 
+         * @param {string} main 
+         * @param {string} sub 
+         */
+        async function failTask(task, main, sub) {
+            clearWatchdog(task);
+            delete task.password;
+            activeTasks.delete(task.id);
+
+            // Record diagnostics error
+            if (window.diagnosticsService) {
+                window.diagnosticsService.recordError(`WorkerPool: ${main}`, sub);
+            }
+
+            // Audit Log
+            if (window.auditService) {
+                window.auditService.logEvent('ERROR', {
+                    file: task.file?.name,
+                    error: main,
+                    details: sub,
+                    ...(task.engineLog ? { engineLog: task.engineLog } : {})
+                });
+            }
+
+            // Persistence update
+            if (window.persistenceService && task.persistenceFileId) {
+                try {
+                    await window.persistenceService.updateFile(task.persistenceFileId, {
+                        status: 'failed',
+                        ...(task.engineLog ? { engineLog: task.engineLog } : {})
+                    });
+
+                    // Update job progress
+                    await updateJobProgress(task.jobId);
+                } catch (err) {
+                    console.error("Failed to update persistence on error:", err);
                 }
-                currentTask.resolve(null);
+            }
+
+            if (task.engineLog && task.callbacks?.onEngineLog) {
+                task.callbacks.onEngineLog(task.engineLog);
+            }
+            if (task.callbacks?.onStatus) {
+                task.callbacks.onStatus('error', main, sub);
+            }
+            task.resolve(null);
+        }
+
+        /**
+         * Settle a task whose worker command answers with data instead of an
+         * output file (page count, attachments, inspection).
+         */
+        function resolveQuery(workerObj, value) {
+            const task = workerObj.currentTask;
+            if (task) {
+                clearWatchdog(task);
+                activeTasks.delete(task.id);
+                task.resolve(value);
             }
             cleanupWorker(workerObj);
         }
@@ -351,18 +1176,40 @@ window.pdfService = (function () {
          * Reset worker state and move to next task.
          */
         function cleanupWorker(workerObj) {
+            clearWatchdog(workerObj.currentTask);
             workerObj.isBusy = false;
             workerObj.currentTask = null;
             processQueue();
+            if (!workerObj.isBusy && workers.includes(workerObj)) {
+                scheduleRetire(workerObj);
+            }
         }
 
         return {
             init,
             enqueue,
+            merge,
+            organize,
+            countPages,
+            extractAttachments,
+            inspect,
+            cancel,
+            cancelJob,
+            setTaskTimeout,
+            setByteBudget,
+            setSchedulingPolicy,
+            setPriority,
+            moveToFront,
+            setQueueOrder,
+            getQueueOrder,
             startJob,
             setCurrentJobId,
+            cancelInterruptedFiles,
             get activeWorkerCount() { return workers.filter(w => w.isBusy).length; },
-            get poolSize() { return workers.length; }
+            get poolSize() { return workers.length; },
+            get maxPoolSize() { return maxWorkers; },
+            get inFlightBytes() { return getInFlightBytes(); },
+            get schedulingPolicy() { return schedulingPolicy; }
         };
     })();
 
@@ -420,6 +1267,9 @@ window.pdfService = (function () {
         },
         processFile,
         startJob: (...args) => WorkerPool.startJob(...args),
+        mergeFiles: (inputs, outputName, callbacks) => WorkerPool.merge(inputs, outputName, callbacks),
+        cancelJob: (jobId) => WorkerPool.cancelJob(jobId),
+        cancelInterruptedFiles: (...args) => WorkerPool.cancelInterruptedFiles(...args),
         resumeJob: (jobId) => {
             WorkerPool.setCurrentJobId(jobId);
         },
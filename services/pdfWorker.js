@@ -11,6 +11,37 @@ importScripts('../assets/vendor/qpdf/qpdf.js');
 
 let qpdfModule = null;
 
+// When set, qpdf stdout/stderr lines are collected here instead of going to the console
+let stdoutCapture = null;
+let stderrCapture = null;
+let logCaptured = false;
+
+// qpdf output of the task being run, sent with its final success/error message.
+// Command lines are never logged, so passwords cannot end up here.
+const MAX_ENGINE_LOG_LINES = 500;
+let engineLog = null;
+let droppedLogLines = 0;
+
+// qpdf JSON `capabilities` keys mapped to user-facing permission names
+const PERMISSION_KEYS = {
+    print: 'printlow',
+    printHighRes: 'printhigh',
+    modify: 'modifyother',
+    extract: 'extract',
+    annotate: 'modifyannotations',
+    fillForms: 'modifyforms',
+    assemble: 'modifyassembly'
+};
+
+// qpdf encryption method names mapped to display algorithms
+const ENCRYPTION_METHODS = {
+    none: 'None',
+    mixed: 'Mixed',
+    RC4: 'RC4',
+    AESv2: 'AES-128',
+    AESv3: 'AES-256'
+};
+
 /**
  * Helper to convert buffer to hex string.
  * @param {ArrayBuffer} buffer 
@@ -21,6 +52,105 @@ function bufferToHex(buffer) {
     return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Incremental SHA-256. WebCrypto only digests whole buffers, so files too large
+ * to hold in memory are fed through this one chunk at a time instead.
+ * @returns {{update: function(Uint8Array): void, digestHex: function(): string}}
+ */
+function createSha256() {
+    const state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const words = new Uint32Array(64);
+    const pending = new Uint8Array(64);
+    let pendingLength = 0;
+    let totalLength = 0;
+
+    function compress(bytes, offset) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+        }
+
+        let a = state[0], b = state[1], c = state[2], d = state[3];
+        let e = state[4], f = state[5], g = state[6], h = state[7];
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+        state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+        state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+    }
+
+    function update(bytes) {
+        totalLength += bytes.length;
+        let offset = 0;
+        if (pendingLength > 0) {
+            offset = Math.min(64 - pendingLength, bytes.length);
+            pending.set(bytes.subarray(0, offset), pendingLength);
+            pendingLength += offset;
+            if (pendingLength < 64) return;
+            compress(pending, 0);
+            pendingLength = 0;
+        }
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            compress(bytes, offset);
+        }
+        pending.set(bytes.subarray(offset));
+        pendingLength = bytes.length - offset;
+    }
+
+    function digestHex() {
+        const bitLength = totalLength * 8;
+        // 0x80, zeros up to 56 bytes into a block, then the 64-bit big-endian bit length
+        const padding = new Uint8Array((pendingLength < 56 ? 64 : 128) - pendingLength);
+        const view = new DataView(padding.buffer);
+        padding[0] = 0x80;
+        view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+        update(padding);
+        return Array.from(state, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    return { update, digestHex };
+}
+
+/**
+ * SHA-256 of a File or Blob read in slices, so no full-file buffer is needed.
+ * @param {Blob} blob 
+ * @returns {Promise<string>} Hex digest.
+ */
+async function hashBlobInChunks(blob) {
+    const HASH_CHUNK_SIZE = 16 * 1024 * 1024; // 16MB
+    const hasher = createSha256();
+    for (let start = 0; start < blob.size; start += HASH_CHUNK_SIZE) {
+        hasher.update(new Uint8Array(await blob.slice(start, start + HASH_CHUNK_SIZE).arrayBuffer()));
+    }
+    return hasher.digestHex();
+}
+
 /**
  * Initialize the QPDF WebAssembly module.
  */
@@ -55,7 +185,7 @@ async function initWasm() {
                     .then(result => receiveInstance(result.instance))
                     .catch(error => {
                         console.error("Worker: SRI Validation or WASM instantiation failed:", error);
-                        self.postMessage({ 
+                        postResult({ 
                             type: 'error', 
                             main: 'Security Error', 
                             sub: 'The PDF engine failed integrity validation and was blocked.' 
@@ -63,8 +193,27 @@ async function initWasm() {
                     });
                 return {}; // instantiateWasm is asynchronous
             },
-            print: (text) => console.log('Worker stdout:', text),
-            printErr: (text) => console.error('Worker stderr:', text)
+            print: (text) => {
+                // Output captured for parsing (probes, JSON dumps) stays out of the engine log
+                if (stdoutCapture) {
+                    stdoutCapture.push(text);
+                    if (engineLog && logCaptured) appendEngineLog('stdout', text);
+                } else if (engineLog) {
+                    appendEngineLog('stdout', text);
+                } else {
+                    console.log('Worker stdout:', text);
+                }
+            },
+            printErr: (text) => {
+                if (stderrCapture) {
+                    stderrCapture.push(text);
+                    if (engineLog && logCaptured) appendEngineLog('stderr', text);
+                } else if (engineLog) {
+                    appendEngineLog('stderr', text);
+                } else {
+                    console.error('Worker stderr:', text);
+                }
+            }
         });
 
         self.postMessage({ type: 'ready' });
@@ -72,7 +221,7 @@ async function initWasm() {
         console.error("Worker: Failed to initialize QPDF WASM:", error);
         // Avoid sending duplicate error if already sent in instantiateWasm
         if (!qpdfModule) {
-            self.postMessage({ 
+            postResult({ 
                 type: 'error', 
                 main: 'Engine Error', 
                 sub: 'Failed to initialize the PDF processing engine.' 
@@ -81,193 +230,1276 @@ async function initWasm() {
     }
 }
 
+function appendEngineLog(stream, text) {
+    if (engineLog.length < MAX_ENGINE_LOG_LINES) {
+        engineLog.push({ stream, text });
+    } else {
+        droppedLogLines++;
+    }
+}
+
 /**
- * Process a PDF file using MEMFS (≤150MB) or WorkerFS (>150MB).
+ * Post a task's final `success` or `error` message, with its engine log so far attached.
+ * @param {object} message 
+ * @param {Transferable[]} [transfer] 
+ */
+function postResult(message, transfer) {
+    if (engineLog) {
+        const lines = [...engineLog];
+        if (droppedLogLines > 0) lines.push({ stream: 'stderr', text: `(${droppedLogLines} more lines not kept)` });
+        message = { ...message, engineLog: lines };
+    }
+    if (transfer) {
+        self.postMessage(message, transfer);
+    } else {
+        self.postMessage(message);
+    }
+}
+
+/**
+ * Run a qpdf command and collect everything it prints to stdout and stderr.
+ * @param {string[]} args 
+ * @param {object} [options]
+ * @param {boolean} [options.log] - Also keep the output in the task's engine log
+ *   (for write commands; probes are left out so their dumps do not crowd it).
+ * @returns {{exitCode: number, stdout: string, stderr: string}}
+ */
+function callMainCaptured(args, { log = false } = {}) {
+    stdoutCapture = [];
+    stderrCapture = [];
+    logCaptured = log;
+    try {
+        const exitCode = qpdfModule.callMain(args);
+        return { exitCode, stdout: stdoutCapture.join('\n'), stderr: stderrCapture.join('\n') };
+    } finally {
+        stdoutCapture = null;
+        stderrCapture = null;
+        logCaptured = false;
+    }
+}
+
+/**
+ * Inspect the encryption dictionary of a PDF before it is decrypted.
+ * Uses qpdf's JSON output (`--json-key=encrypt`), the structured form of `--show-encryption`.
+ * @param {string} inputPath - Path of the input file in the WASM FS.
+ * @param {string[]} passwordArgs - `--password=` argument, if any.
+ * @returns {object|null} Encryption report, or null if qpdf could not produce one.
+ */
+function inspectEncryption(inputPath, passwordArgs) {
+    try {
+        const { stdout } = callMainCaptured(["--json=2", "--json-key=encrypt", ...passwordArgs, inputPath]);
+        if (!stdout) return null;
+
+        const encrypt = JSON.parse(stdout).encrypt;
+        if (!encrypt) return null;
+
+        const parameters = encrypt.parameters || {};
+        const capabilities = encrypt.capabilities || {};
+        const permissions = {};
+        Object.keys(PERMISSION_KEYS).forEach(name => {
+            permissions[name] = capabilities[PERMISSION_KEYS[name]] !== false;
+        });
+
+        const encrypted = Boolean(encrypt.encrypted);
+        return {
+            encrypted,
+            algorithm: ENCRYPTION_METHODS[parameters.method] || 'Unknown',
+            keyBits: parameters.bits || 0,
+            revision: parameters.R || 0,
+            version: parameters.V || 0,
+            // Reaching this point without a password means the empty user password matched
+            hasUserPassword: encrypted && (passwordArgs.length > 0 || encrypt.userpasswordmatched === false),
+            permissions
+        };
+    } catch (error) {
+        console.warn('Worker: Encryption inspection failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Build the qpdf `--encrypt ... --` block for the re-encrypt mode.
+ * Permissions mirror the encryption report keys; anything not explicitly false is allowed.
+ * @param {object} profile - { userPassword, ownerPassword, keyLength, permissions }
+ * @returns {string[]}
+ */
+function buildEncryptArgs(profile) {
+    const { userPassword = '', ownerPassword, permissions = {} } = profile;
+    const keyLength = [40, 128, 256].includes(Number(profile.keyLength)) ? Number(profile.keyLength) : 256;
+    const allow = (key) => permissions[key] !== false;
+    const yn = (key) => allow(key) ? 'y' : 'n';
+
+    const args = ["--encrypt", `--owner-password=${ownerPassword}`, `--bits=${keyLength}`];
+    if (userPassword) args.push(`--user-password=${userPassword}`);
+
+    if (keyLength === 40) {
+        // 40-bit RC4 only knows four permission bits
+        args.push(`--print=${yn('print')}`, `--modify=${yn('modify')}`, `--extract=${yn('extract')}`, `--annotate=${yn('annotate')}`);
+    } else {
+        let print = 'none';
+        if (allow('print')) print = allow('printHighRes') ? 'full' : 'low';
+        args.push(
+            `--print=${print}`,
+            `--modify-other=${yn('modify')}`,
+            `--extract=${yn('extract')}`,
+            `--annotate=${yn('annotate')}`,
+            `--form=${yn('fillForms')}`,
+            `--assemble=${yn('assemble')}`
+        );
+        // Prefer AES over RC4 for 128-bit keys
+        if (keyLength === 128) args.push("--use-aes=y");
+    }
+    args.push("--");
+
+    // qpdf refuses to write RC4 output unless weak crypto is explicitly allowed
+    return keyLength === 40 ? ["--allow-weak-crypto", ...args] : args;
+}
+
+/**
+ * Whether an exception means the WASM instance itself is unusable (an abort or
+ * heap exhaustion) rather than the document being bad. Emscripten does not
+ * recover from these, so the pool must replace this worker.
+ * @param {*} error 
+ * @returns {boolean}
+ */
+function isFatalEngineError(error) {
+    if (typeof WebAssembly.RuntimeError === 'function' && error instanceof WebAssembly.RuntimeError) {
+        return true;
+    }
+    const message = String(error?.message || error);
+    return /Aborted\(|out of memory|Cannot enlarge memory|Array buffer allocation failed/i.test(message);
+}
+
+/**
+ * Send a finished qpdf output back to the main thread and remove it from MEMFS.
+ * Outputs over 250MB are streamed in 64MB chunks instead of one transfer.
+ * @param {string} outputName - Path of the output in MEMFS.
+ * @param {string} fileName - Display name reported with the result.
+ * @param {object} details - Extra fields for the success message (encryption, mode, part, inputHash).
+ */
+async function postOutput(outputName, fileName, details) {
+    self.postMessage({ 
+        type: 'status', 
+        state: 'processing', 
+        main: 'Finalizing...', 
+        sub: 'Preparing output.' 
+    });
+
+    // Constants for chunked streaming (Task 06-02)
+    const CHUNK_SIZE = 64 * 1024 * 1024; // 64MB
+    const STREAM_THRESHOLD = 250 * 1024 * 1024; // 250MB
+
+    const outputStats = qpdfModule.FS.stat(outputName);
+    const outputSize = outputStats.size;
+
+    if (outputSize > STREAM_THRESHOLD) {
+        self.postMessage({ 
+            type: 'status', 
+            state: 'processing', 
+            main: 'Streaming output...', 
+            sub: `Large file (${(outputSize / (1024 * 1024)).toFixed(1)} MB) detected. Using chunked transfer.` 
+        });
+
+        const fd = qpdfModule.FS.open(outputName, 'r');
+        const totalChunks = Math.ceil(outputSize / CHUNK_SIZE);
+        // Each chunk is hashed before it is transferred away, so the full output
+        // never has to be held at once
+        const hasher = createSha256();
+        
+        for (let i = 0; i < totalChunks; i++) {
+            const buffer = new Uint8Array(Math.min(CHUNK_SIZE, outputSize - i * CHUNK_SIZE));
+            qpdfModule.FS.read(fd, buffer, 0, buffer.length, i * CHUNK_SIZE);
+            hasher.update(buffer);
+            
+            const chunkBuffer = buffer.buffer;
+            self.postMessage({
+                type: 'chunk',
+                chunkIndex: i,
+                totalChunks: totalChunks,
+                data: chunkBuffer,
+                part: details.part
+            }, [chunkBuffer]);
+        }
+        
+        qpdfModule.FS.close(fd);
+
+        postResult({ 
+            type: 'success', 
+            streamed: true,
+            name: fileName,
+            hash: hasher.digestHex(),
+            ...details
+        });
+    } else {
+        // Read the result from MEMFS (output is in MEMFS)
+        const outputFile = qpdfModule.FS.readFile(outputName);
+        
+        // Calculate SHA-256 hash of the output
+        const hashBuffer = await self.crypto.subtle.digest('SHA-256', outputFile);
+        const hashHex = bufferToHex(hashBuffer);
+
+        // Send back the processed file using Transferable Objects
+        const outputBuffer = new Uint8Array(outputFile).buffer;
+        
+        postResult({ 
+            type: 'success', 
+            blob: outputBuffer, 
+            name: fileName,
+            hash: hashHex,
+            ...details
+        }, [outputBuffer]);
+    }
+
+    // Cleanup output from MEMFS immediately
+    try {
+        qpdfModule.FS.unlink(outputName);
+    } catch (e) {
+        console.warn('Worker: Failed to unlink output file:', e);
+    }
+}
+
+/**
+ * Report an exception from a qpdf run, flagging engine crashes as fatal so the
+ * pool replaces this worker.
+ * @param {*} error 
+ * @param {string} main - Message for an ordinary (document) failure.
+ * @param {string} sub 
+ */
+function postFailure(error, main, sub) {
+    if (isFatalEngineError(error)) {
+        postResult({ 
+            type: 'error', 
+            main: 'Engine Crashed', 
+            sub: 'The PDF engine ran out of memory or aborted while processing this file.',
+            fatal: true
+        });
+    } else {
+        postResult({ type: 'error', main, sub });
+    }
+}
+
+// Page selections accepted by splitFile(): comma-separated pages or ranges,
+// where z is the last page and rN counts from the end (e.g. "1-3,7,10-z").
+const PAGE_RANGE_PATTERN = /^(r?\d+|z)(-(r?\d+|z))?(,(r?\d+|z)(-(r?\d+|z))?)*$/i;
+
+/**
+ * Whether every page a PAGE_RANGE_PATTERN selection names exists in the document.
+ * @param {string} pages 
+ * @param {number} pageCount 
+ * @returns {boolean}
+ */
+function isPageRangeInDocument(pages, pageCount) {
+    return pages.split(/[,-]/).every(page => {
+        if (/^z$/i.test(page)) return true;
+        const number = parseInt(page.replace(/^r/i, ''), 10);
+        return number >= 1 && number <= pageCount;
+    });
+}
+
+const INPUT_MOUNT_POINT = '/mnt';
+
+/**
+ * Validate the PDF signature and make the file readable by qpdf, via MEMFS
+ * (≤150MB) or a WorkerFS mount (larger files, or when a crash retry forces it).
  * MEMFS keeps the file entirely in the WASM heap for fast random-access I/O.
  * WorkerFS is used as a fallback for very large files to avoid OOM.
+ * @param {File|Blob} file 
+ * @param {object} options - Processing options; only `forceWorkerFS` is read.
+ * @param {{path: string, isMounted: boolean, hash?: string}} input - Filled in as soon as anything
+ *   needs cleaning up, so releaseInput() works even if loading throws.
+ * @param {object} [loadOptions]
+ * @param {boolean} [loadOptions.hash] - Also set `input.hash` to the file's SHA-256, taken from
+ *   the MEMFS copy or, for WorkerFS inputs, read incrementally in slices.
+ * @returns {Promise<boolean>} False if the file is not a PDF (an error has been posted).
+ */
+async function loadInput(file, options, input, { hash = false } = {}) {
+    // Magic-byte validation using minimal memory (only 4 bytes)
+    const headerBuffer = await file.slice(0, 4).arrayBuffer();
+    const header = new Uint8Array(headerBuffer);
+    
+    if (header.length < 4 ||
+        header[0] !== 0x25 || header[1] !== 0x50 ||
+        header[2] !== 0x44 || header[3] !== 0x46) {
+        postResult({ 
+            type: 'error', 
+            main: 'Invalid PDF', 
+            sub: 'File header does not match a valid PDF signature.' 
+        });
+        return false;
+    }
+
+    const USE_MEMFS_THRESHOLD = 150 * 1024 * 1024; // 150MB
+
+    if (file.size <= USE_MEMFS_THRESHOLD && !options.forceWorkerFS) {
+        self.postMessage({ 
+            type: 'status', 
+            state: 'processing', 
+            main: 'Loading into memory...', 
+            sub: 'Optimizing for high-performance processing.' 
+        });
+        const arrayBuffer = await file.arrayBuffer();
+        const uint8Array = new Uint8Array(arrayBuffer);
+        input.path = `input_${Date.now()}.pdf`;
+        qpdfModule.FS.writeFile(input.path, uint8Array);
+        if (hash) input.hash = bufferToHex(await self.crypto.subtle.digest('SHA-256', uint8Array));
+        // Security: zero source buffer after writing to WASM FS
+        uint8Array.fill(0);
+    } else {
+        try {
+            qpdfModule.FS.mkdir(INPUT_MOUNT_POINT);
+        } catch (e) {
+            if (e.errno !== 17) console.warn('Worker: FS.mkdir error:', e);
+        }
+        qpdfModule.FS.mount(qpdfModule.WORKERFS, { files: [file] }, INPUT_MOUNT_POINT);
+        input.isMounted = true;
+        input.path = `${INPUT_MOUNT_POINT}/${file.name}`;
+
+        if (hash) {
+            self.postMessage({ 
+                type: 'status', 
+                state: 'processing', 
+                main: 'Fingerprinting input...', 
+                sub: 'Computing the SHA-256 of the original file.' 
+            });
+            input.hash = await hashBlobInChunks(file);
+        }
+        
+        self.postMessage({ 
+            type: 'status', 
+            state: 'processing', 
+            main: 'Unlocking locally...', 
+            sub: 'Accessing file via WorkerFS zero-copy mounting.' 
+        });
+    }
+    return true;
+}
+
+/**
+ * Unmount or unlink an input prepared by loadInput() to free memory and mount points.
+ * @param {{path: string, isMounted: boolean}} input 
+ */
+function releaseInput(input) {
+    if (input.isMounted) {
+        try {
+            qpdfModule.FS.unmount(INPUT_MOUNT_POINT);
+        } catch (e) {
+            console.warn('Worker: Failed to unmount WorkerFS:', e);
+        }
+    } else if (input.path && input.path.startsWith('input_')) {
+        try {
+            qpdfModule.FS.unlink(input.path);
+        } catch (e) {
+            console.warn('Worker: Failed to unlink MEMFS input file:', e);
+        }
+    }
+}
+
+/**
+ * Build the qpdf password arguments for an input, or ask the pool for a user
+ * password if the file cannot be opened without one.
+ * @param {string} inputPath 
+ * @param {string} fileName 
+ * @param {string} [password] 
+ * @returns {string[]|null} Arguments for callMain, or null if a password_required message was posted.
+ */
+function getPasswordArgs(inputPath, fileName, password) {
+    // qpdf only accepts the user password as a CLI argument; it never touches the FS.
+    const passwordArgs = password ? [`--password=${password}`] : [];
+
+    // --requires-password exits 0 when the file cannot be opened with the
+    // supplied (or empty) password. This separates a user-password lock
+    // from real corruption, which would otherwise fail the decrypt below.
+    if (qpdfModule.callMain(["--requires-password", ...passwordArgs, inputPath]) === 0) {
+        self.postMessage({ 
+            type: 'password_required', 
+            name: fileName,
+            retry: Boolean(password)
+        });
+        return null;
+    }
+    return passwordArgs;
+}
+
+// qpdf write options used instead of the output profile when a normal write fails (exit 2):
+// rewrite every object outside object streams and re-encode streams, so objects
+// recovered from a rebuilt xref table and streams with bad /Length values are
+// written out cleanly. --warning-exit-0 keeps recovery warnings from failing the run.
+const REPAIR_ARGS = [
+    "--object-streams=disable",
+    "--decode-level=generalized",
+    "--compress-streams=y",
+    "--warning-exit-0"
+];
+
+// Upper bound on warnings sent back per file; badly damaged files can produce thousands
+const MAX_REPAIR_WARNINGS = 50;
+
+// qpdf write options per output profile for processFile(). Speed is the default.
+const OUTPUT_PROFILES = {
+    // Maximum performance:
+    // --preserve-unreferenced-resources: skip object cleanup pass
+    // --compress-streams=n: skip recompression of streams (biggest perf win)
+    // --decode-level=none: skip stream decoding entirely
+    // --object-streams=preserve: keep existing object stream structure
+    speed: [
+        "--preserve-unreferenced-resources",
+        "--compress-streams=n",
+        "--decode-level=none",
+        "--object-streams=preserve"
+    ],
+    // Smallest output:
+    // --object-streams=generate: pack non-stream objects into compressed object streams
+    // --compress-streams=y, --recompress-flate, --compression-level=9: recompress every stream
+    // --decode-level=generalized: decode LZW/RunLength/ASCII filters so they can be re-flated
+    // --remove-unreferenced-resources=yes: drop fonts and images no page uses
+    // Unreferenced objects are dropped because --preserve-unreferenced is not passed; this is
+    // what removes the duplicate stream copies that incremental saves leave behind.
+    size: [
+        "--object-streams=generate",
+        "--compress-streams=y",
+        "--recompress-flate",
+        "--compression-level=9",
+        "--decode-level=generalized",
+        "--remove-unreferenced-resources=yes"
+    ]
+};
+
+/**
+ * Turn qpdf's stderr into warning lines for the card.
+ * @param {string} stderr 
+ * @param {string} inputPath 
+ * @param {string} fileName - Replaces the WASM FS path in warning text.
+ * @returns {string[]}
+ */
+function parseWarnings(stderr, inputPath, fileName) {
+    return stderr.split('\n')
+        .map(line => line.trim())
+        // Drop qpdf's own summary line ("qpdf: operation succeeded with warnings...")
+        .filter(line => line && !line.startsWith('qpdf:'))
+        .map(line => line.replace(/^(WARNING|ERROR):\s*/, '').split(inputPath).join(fileName));
+}
+
+/**
+ * Confirm that an output was linearized, for the "Web-optimized" badge.
+ * qpdf exits 0 both for a clean linearized file and for a file that is not
+ * linearized at all, so the verdict comes from its report.
+ * @param {string} outputPath 
+ * @param {string[]} [passwordArgs] - Needed when the output has a user password.
+ * @returns {boolean}
+ */
+function checkLinearization(outputPath, passwordArgs = []) {
+    try {
+        const { exitCode, stdout } = callMainCaptured(["--check-linearization", ...passwordArgs, outputPath]);
+        return exitCode === 0 && /no linearization errors/i.test(stdout);
+    } catch (e) {
+        console.warn('Worker: Linearization check failed:', e);
+        return false;
+    }
+}
+
+// Catalog entries dropped by the sanitize pass, with the label reported for each
+const SANITIZE_CATALOG_KEYS = {
+    '/Metadata': 'XMP metadata stream',
+    '/OpenAction': 'Document open action',
+    '/AA': 'Document additional actions'
+};
+
+const OBJECT_REF_PATTERN = /^\d+ \d+ R$/;
+
+/**
+ * Recursively blank the script of every JavaScript action dictionary in a
+ * qpdf JSON v2 value. Returns a copy, or the same value when nothing changed.
+ */
+function stripScriptActions(value) {
+    if (Array.isArray(value)) {
+        const items = value.map(stripScriptActions);
+        return items.some((item, i) => item !== value[i]) ? items : value;
+    }
+    if (!value || typeof value !== 'object') return value;
+
+    let changed = false;
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = stripScriptActions(item);
+        if (result[key] !== item) changed = true;
+    }
+    if (value['/S'] === '/JavaScript' && value['/JS'] !== 'u:') {
+        result['/JS'] = 'u:';
+        changed = true;
+    }
+    return changed ? result : value;
+}
+
+/**
+ * Inspect the document with `qpdf --json` and build an object update for
+ * `--update-from-json` that removes the Info dictionary, the XMP metadata
+ * stream, document-level actions and JavaScript. Nothing is written here;
+ * the update is applied by the main write so the output is only written once.
+ * @param {string} inputPath
+ * @param {string[]} passwordArgs
+ * @returns {{update: object|null, removed: string[]}} update is null when the document has nothing to remove.
+ */
+function planSanitize(inputPath, passwordArgs) {
+    const { stdout } = callMainCaptured([
+        "--json=2",
+        "--json-key=qpdf",
+        "--json-stream-data=none",
+        ...passwordArgs,
+        inputPath
+    ]);
+    const [header, objects] = JSON.parse(stdout).qpdf;
+    const updates = {};
+    const removed = [];
+
+    // Objects already edited in this pass are read back from the update
+    const getValue = (key) => (updates[key] || objects[key])?.value;
+    const setValue = (key, value) => {
+        updates[key] = { value };
+    };
+
+    const trailer = { ...getValue('trailer') };
+    if (trailer['/Info']) {
+        const info = OBJECT_REF_PATTERN.test(trailer['/Info']) ? getValue(`obj:${trailer['/Info']}`) : trailer['/Info'];
+        const fields = Object.keys(info || {});
+        if (fields.length > 0) {
+            fields.forEach(key => removed.push(`Info: ${key.slice(1)}`));
+        } else {
+            removed.push('Info dictionary');
+        }
+        delete trailer['/Info'];
+        setValue('trailer', trailer);
+    }
+
+    const catalogKey = `obj:${trailer['/Root']}`;
+    const catalog = { ...getValue(catalogKey) };
+    let catalogChanged = false;
+    for (const [key, label] of Object.entries(SANITIZE_CATALOG_KEYS)) {
+        if (catalog[key]) {
+            delete catalog[key];
+            removed.push(label);
+            catalogChanged = true;
+        }
+    }
+
+    const namesRef = catalog['/Names'];
+    const isNamesIndirect = OBJECT_REF_PATTERN.test(namesRef || '');
+    const names = isNamesIndirect ? getValue(`obj:${namesRef}`) : namesRef;
+    if (names && names['/JavaScript']) {
+        const { '/JavaScript': _scripts, ...rest } = names;
+        if (isNamesIndirect) {
+            setValue(`obj:${namesRef}`, rest);
+        } else {
+            catalog['/Names'] = rest;
+            catalogChanged = true;
+        }
+        removed.push('Document JavaScript');
+    }
+    if (catalogChanged) setValue(catalogKey, catalog);
+
+    // Scripts attached to pages, annotations and form fields
+    for (const [key, object] of Object.entries(objects)) {
+        if (!key.startsWith('obj:') || !object.value) continue;
+        const value = getValue(key);
+        const stripped = stripScriptActions(value);
+        if (stripped !== value) {
+            setValue(key, stripped);
+            removed.push(`JavaScript action (object ${key.slice(4)})`);
+        }
+    }
+
+    return {
+        update: removed.length > 0 ? { qpdf: [header, updates] } : null,
+        removed
+    };
+}
+
+/**
+ * Unlock (or re-encrypt) a PDF file.
  * @param {File|Blob} file - The input PDF file.
  * @param {string} fileName - Original filename for display.
+ * @param {string} [password] - User password, only held for the duration of this task.
+ * @param {object} [options] - Processing options from the WorkerPool config.
+ * @param {string} [options.mode='unlock'] - 'unlock' removes encryption, 'reencrypt' applies options.encryption.
+ * @param {object} [options.encryption] - Re-encrypt profile, see buildEncryptArgs().
+ * @param {boolean} [options.forceWorkerFS] - Mount via WorkerFS regardless of size (crash retry).
+ * @param {boolean} [options.linearize] - Write a linearized (fast web view) file and verify it.
+ * @param {string} [options.profile='speed'] - Key of OUTPUT_PROFILES; 'size' also reports the savings.
+ *   A file qpdf cannot write with its profile (exit 2) is written again with REPAIR_ARGS, and its size
+ *   report is `{ skipped: 'repair' }`. Warnings alone (exit 3) keep the profile and come back as `warnings`.
+ * @param {boolean} [options.sanitize] - Strip metadata, document actions and JavaScript; see planSanitize().
  */
-async function processFile(file, fileName) {
+async function processFile(file, fileName, password, options = {}) {
     if (!qpdfModule) {
         await initWasm();
     }
 
-    const mountPoint = '/mnt';
-    let isMounted = false;
-    let inputPath = '';
+    const input = { path: '', isMounted: false };
     const outputName = `output_${Date.now()}.pdf`;
+    const sanitizeName = `sanitize_${Date.now()}.json`;
 
-    try {
+    const isReencrypt = options.mode === 'reencrypt';
 
-        // Magic-byte validation using minimal memory (only 4 bytes)
-        const headerBuffer = await file.slice(0, 4).arrayBuffer();
-        const header = new Uint8Array(headerBuffer);
-        
-        if (header.length < 4 ||
-            header[0] !== 0x25 || header[1] !== 0x50 ||
-            header[2] !== 0x44 || header[3] !== 0x46) {
-            self.postMessage({ 
+    try {
+        if (isReencrypt && !options.encryption?.ownerPassword) {
+            postResult({ 
                 type: 'error', 
-                main: 'Invalid PDF', 
-                sub: 'File header does not match a valid PDF signature.' 
+                main: 'Invalid Settings', 
+                sub: 'Re-encryption requires an owner password.' 
             });
             return;
         }
 
-        const USE_MEMFS_THRESHOLD = 150 * 1024 * 1024; // 150MB
+        if (!(await loadInput(file, options, input, { hash: true }))) return;
 
-        if (file.size <= USE_MEMFS_THRESHOLD) {
-            self.postMessage({ 
-                type: 'status', 
-                state: 'processing', 
-                main: 'Loading into memory...', 
-                sub: 'Optimizing for high-performance processing.' 
+        const passwordArgs = getPasswordArgs(input.path, fileName, password);
+        if (!passwordArgs) return;
+
+        const encryption = inspectEncryption(input.path, passwordArgs);
+
+        self.postMessage({ 
+            type: 'status', 
+            state: 'processing', 
+            main: isReencrypt ? 'Re-encrypting...' : 'Decrypting...', 
+            sub: isReencrypt 
+                ? 'Applying new permissions securely via QPDF core.' 
+                : 'Removing restrictions securely via QPDF core.' 
+        });
+
+        const profile = OUTPUT_PROFILES[options.profile] ? options.profile : 'speed';
+
+        let sanitize = null;
+        if (options.sanitize) {
+            self.postMessage({
+                type: 'status',
+                state: 'processing',
+                main: 'Sanitizing...',
+                sub: 'Finding metadata, scripts and document actions to remove.'
             });
-            const arrayBuffer = await file.arrayBuffer();
-            const uint8Array = new Uint8Array(arrayBuffer);
-            inputPath = `input_${Date.now()}.pdf`;
-            qpdfModule.FS.writeFile(inputPath, uint8Array);
-            // Security: zero source buffer after writing to WASM FS
-            uint8Array.fill(0);
-            isMounted = false;
-        } else {
+            sanitize = planSanitize(input.path, passwordArgs);
+            if (sanitize.update) {
+                qpdfModule.FS.writeFile(sanitizeName, JSON.stringify(sanitize.update));
+            }
+        }
+
+        const write = (profileArgs) => callMainCaptured([
+            ...(isReencrypt ? buildEncryptArgs(options.encryption) : ["--decrypt"]),
+            ...passwordArgs,
+            ...profileArgs,
+            ...(options.linearize ? ["--linearize"] : []),
+            ...(sanitize?.update ? [`--update-from-json=${sanitizeName}`] : []),
+            input.path,
+            outputName
+        ], { log: true });
+        const removeOutput = () => {
             try {
-                qpdfModule.FS.mkdir(mountPoint);
+                qpdfModule.FS.unlink(outputName);
             } catch (e) {
-                if (e.errno !== 17) console.warn('Worker: FS.mkdir error:', e);
+                // qpdf gave up before writing any output
             }
-            qpdfModule.FS.mount(qpdfModule.WORKERFS, { files: [file] }, mountPoint);
-            isMounted = true;
-            inputPath = `${mountPoint}/${file.name}`;
-            
+        };
+
+        const writeResult = write(OUTPUT_PROFILES[profile]);
+        const warnings = parseWarnings(writeResult.stderr, input.path, fileName);
+
+        // 3 = written with warnings: keep the chosen profile. 2 = errors: retry with REPAIR_ARGS
+        let repairResult = null;
+        if (writeResult.exitCode === 2) {
+            removeOutput();
             self.postMessage({ 
                 type: 'status', 
                 state: 'processing', 
-                main: 'Unlocking locally...', 
-                sub: 'Accessing file via WorkerFS zero-copy mounting.' 
+                main: 'Repairing...', 
+                sub: 'Rebuilding the cross-reference table and streams.' 
+            });
+            repairResult = write(REPAIR_ARGS);
+            if (repairResult.exitCode === 2) {
+                removeOutput();
+                postResult({ 
+                    type: 'error', 
+                    main: 'Repair Failed', 
+                    sub: warnings[0] || 'The document structure is too damaged to recover.' 
+                });
+                return;
+            }
+        }
+
+        const details = { encryption, mode: isReencrypt ? 'reencrypt' : 'unlock', inputHash: input.hash };
+        if (repairResult) {
+            const repairWarnings = new Set([...warnings, ...parseWarnings(repairResult.stderr, input.path, fileName)]);
+            details.repairWarnings = Array.from(repairWarnings).slice(0, MAX_REPAIR_WARNINGS);
+        } else if (writeResult.exitCode === 3 && warnings.length > 0) {
+            details.warnings = warnings.slice(0, MAX_REPAIR_WARNINGS);
+        }
+        if (profile === 'size' && repairResult) {
+            // Written with REPAIR_ARGS, so the size options were never applied
+            details.sizeReport = { skipped: 'repair' };
+        } else if (profile === 'size') {
+            const outputSize = qpdfModule.FS.stat(outputName).size;
+            details.sizeReport = {
+                originalSize: file.size,
+                outputSize,
+                savedPercent: file.size > 0 ? Math.round((1 - outputSize / file.size) * 1000) / 10 : 0
+            };
+        }
+        if (options.linearize) {
+            const userPassword = isReencrypt ? options.encryption.userPassword : '';
+            details.linearized = checkLinearization(outputName, userPassword ? [`--password=${userPassword}`] : []);
+        }
+        if (sanitize) {
+            details.sanitized = sanitize.removed;
+        }
+        
+        await postOutput(outputName, fileName, details);
+
+    } catch (error) {
+        console.error("Worker: PDF Processing error:", error);
+        postFailure(error, 'Processing Failed', 'The document appears to be corrupted or too heavily encrypted.');
+    } finally {
+        // Ensure we always unmount or unlink to free up memory/mount points
+        releaseInput(input);
+        try {
+            qpdfModule.FS.unlink(sanitizeName);
+        } catch (e) {
+            // No sanitize update was written for this file
+        }
+    }
+}
+
+/**
+ * Unlock a PDF and extract page ranges from it, optionally split into one
+ * file per N pages. Each output is sent as its own `success` message carrying
+ * `part: {index, count, pages}`; the pool finishes the task on the last part.
+ * @param {File|Blob} file 
+ * @param {string} fileName 
+ * @param {string} [password] 
+ * @param {object} [options] - Processing options from the WorkerPool config.
+ * @param {object} options.split - { pages: '1-3,7,10-z' (blank for all), every: N (0 for a single file) }.
+ * @param {boolean} [options.linearize] - Linearize each part and verify it.
+ */
+async function splitFile(file, fileName, password, options = {}) {
+    if (!qpdfModule) {
+        await initWasm();
+    }
+
+    const input = { path: '', isMounted: false };
+    const outputDir = `/split_${Date.now()}`;
+    let hasOutputDir = false;
+
+    const pages = (options.split?.pages || '').replace(/\s+/g, '');
+    const every = Number(options.split?.every) || 0;
+
+    try {
+        if ((pages && !PAGE_RANGE_PATTERN.test(pages)) || !Number.isInteger(every) || every < 0 || (!pages && !every)) {
+            postResult({ 
+                type: 'error', 
+                main: 'Invalid Settings', 
+                sub: 'Enter page ranges such as 1-3,7,10-z, or a number of pages to split by.' 
+            });
+            return;
+        }
+
+        if (!(await loadInput(file, options, input, { hash: true }))) return;
+
+        const passwordArgs = getPasswordArgs(input.path, fileName, password);
+        if (!passwordArgs) return;
+
+        const encryption = inspectEncryption(input.path, passwordArgs);
+
+        const pageCount = callMainCaptured(["--show-npages", ...passwordArgs, input.path]);
+        const count = parseInt(pageCount.stdout, 10);
+        if ((pageCount.exitCode !== 0 && pageCount.exitCode !== 3) || !(count > 0)) {
+            postResult({ 
+                type: 'error', 
+                main: 'Extraction Failed', 
+                sub: 'The document appears to be corrupted or too heavily encrypted.' 
             });
+            return;
+        }
+        if (pages && !isPageRangeInDocument(pages, count)) {
+            postResult({ 
+                type: 'error', 
+                main: 'Extraction Failed', 
+                sub: `The selected pages do not exist in this document (${count} page${count === 1 ? '' : 's'}).` 
+            });
+            return;
         }
 
         self.postMessage({ 
             type: 'status', 
             state: 'processing', 
-            main: 'Decrypting...', 
-            sub: 'Removing restrictions securely via QPDF core.' 
+            main: 'Extracting pages...', 
+            sub: 'Selecting pages securely via QPDF core.' 
         });
 
-        // Execute QPDF decryption with maximum performance flags:
-        // --preserve-unreferenced-resources: skip object cleanup pass
-        // --compress-streams=n: skip recompression of streams (biggest perf win)
-        // --decode-level=none: skip stream decoding entirely
-        // --object-streams=preserve: keep existing object stream structure
-        qpdfModule.callMain([
+        qpdfModule.FS.mkdir(outputDir);
+        hasOutputDir = true;
+
+        // With --split-pages, qpdf replaces %d with each part's zero-padded page range
+        const exitCode = qpdfModule.callMain([
             "--decrypt",
-            "--preserve-unreferenced-resources",
-            "--compress-streams=n",
-            "--decode-level=none",
-            "--object-streams=preserve",
-            inputPath,
-            outputName
+            ...passwordArgs,
+            ...(every ? [`--split-pages=${every}`] : []),
+            ...(options.linearize ? ["--linearize"] : []),
+            input.path,
+            ...(pages ? ["--pages", ".", pages, "--"] : []),
+            every ? `${outputDir}/part-%d.pdf` : `${outputDir}/pages.pdf`
         ]);
-        
+
+        if (exitCode !== 0 && exitCode !== 3) {
+            postResult({ 
+                type: 'error', 
+                main: 'Extraction Failed', 
+                sub: 'The document appears to be corrupted or too heavily encrypted.' 
+            });
+            return;
+        }
+
+        const partFiles = qpdfModule.FS.readdir(outputDir).filter(name => name.endsWith('.pdf')).sort();
+        const baseName = fileName.toLowerCase().endsWith('.pdf') ? fileName.slice(0, -4) : fileName;
+
+        for (let i = 0; i < partFiles.length; i++) {
+            const partPath = `${outputDir}/${partFiles[i]}`;
+            const partPages = every ? partFiles[i].slice('part-'.length, -'.pdf'.length) : pages;
+            const details = {
+                encryption,
+                mode: 'split',
+                inputHash: input.hash,
+                part: { index: i, count: partFiles.length, pages: partPages }
+            };
+            if (options.linearize) details.linearized = checkLinearization(partPath);
+            await postOutput(partPath, `${baseName}_pages_${partPages.replace(/,/g, '_')}.pdf`, details);
+        }
+    } catch (error) {
+        console.error("Worker: PDF Split error:", error);
+        postFailure(error, 'Extraction Failed', 'The document appears to be corrupted or too heavily encrypted.');
+    } finally {
+        releaseInput(input);
+        if (hasOutputDir) {
+            // postOutput() unlinks each part it sends; clear anything left after a failure
+            try {
+                qpdfModule.FS.readdir(outputDir)
+                    .filter(name => name !== '.' && name !== '..')
+                    .forEach(name => qpdfModule.FS.unlink(`${outputDir}/${name}`));
+                qpdfModule.FS.rmdir(outputDir);
+            } catch (e) {
+                console.warn('Worker: Failed to clean up split output:', e);
+            }
+        }
+    }
+}
+
+/**
+ * Count the pages of an already-unlocked PDF for the page organizer.
+ * Replies with `{type: 'page_count', count}` instead of a `success` message.
+ * @param {File|Blob} file 
+ * @param {string} fileName 
+ */
+async function countPages(file, fileName) {
+    if (!qpdfModule) {
+        await initWasm();
+    }
+
+    const input = { path: '', isMounted: false };
+
+    try {
+        if (!(await loadInput(file, {}, input))) return;
+
+        const { exitCode, stdout } = callMainCaptured(["--show-npages", input.path]);
+        const count = parseInt(stdout, 10);
+        if ((exitCode !== 0 && exitCode !== 3) || !(count > 0)) {
+            postResult({ 
+                type: 'error', 
+                main: 'Page Count Failed', 
+                sub: `Could not read the pages of ${fileName}.` 
+            });
+            return;
+        }
+
+        self.postMessage({ type: 'page_count', count });
+    } catch (error) {
+        console.error("Worker: Page count error:", error);
+        postFailure(error, 'Page Count Failed', 'The document appears to be corrupted.');
+    } finally {
+        releaseInput(input);
+    }
+}
+
+/**
+ * Run a qpdf command whose stdout is binary, such as `--show-attachment`.
+ * The module's print() hook decodes stdout as text line by line, so file
+ * descriptor 1 is pointed at a MEMFS file for the duration of the call and
+ * the console device is reopened afterwards (the lowest free descriptor is reused).
+ * @param {string[]} args
+ * @param {string} outputPath - MEMFS file that receives stdout.
+ * @returns {number} qpdf exit code
+ */
+function callMainToFile(args, outputPath) {
+    const FS = qpdfModule.FS;
+    FS.close(FS.streams[1]);
+    const stream = FS.open(outputPath, 'w');
+    try {
+        return qpdfModule.callMain(args);
+    } finally {
+        FS.close(stream);
+        // O_WRONLY without O_TRUNC, the flags the module opens its console streams with
+        FS.open('/dev/stdout', 1);
+    }
+}
+
+/**
+ * List the embedded files of an already-unlocked PDF and extract each one.
+ * Replies with `{type: 'attachments', attachments: [{name, data}]}` instead of a `success` message.
+ * @param {File|Blob} file
+ * @param {string} fileName
+ */
+async function extractAttachments(file, fileName) {
+    if (!qpdfModule) {
+        await initWasm();
+    }
+
+    const input = { path: '', isMounted: false };
+    const outputName = `attachment_${Date.now()}.bin`;
+
+    try {
+        if (!(await loadInput(file, {}, input))) return;
+
+        // One "key -> obj,gen" line per entry of the EmbeddedFiles name tree
+        const { exitCode, stdout } = callMainCaptured(["--list-attachments", input.path]);
+        if (exitCode !== 0 && exitCode !== 3) {
+            postResult({
+                type: 'error',
+                main: 'Attachments Failed',
+                sub: `Could not read the embedded files of ${fileName}.`
+            });
+            return;
+        }
+
+        const keys = stdout.split('\n')
+            .map(line => line.match(/^(.+) -> \d+,\d+$/))
+            .filter(Boolean)
+            .map(match => match[1]);
+
+        const attachments = [];
+        const usedNames = new Set();
+        for (const key of keys) {
+            const showExit = callMainToFile([`--show-attachment=${key}`, input.path], outputName);
+            const data = qpdfModule.FS.readFile(outputName);
+            qpdfModule.FS.unlink(outputName);
+            if (showExit !== 0 && showExit !== 3) {
+                console.warn(`Worker: Could not extract attachment ${key} from ${fileName}`);
+                continue;
+            }
+
+            // Keys are free-form strings; keep them usable as ZIP entry names
+            const baseName = key.replace(/[\\/:*?"<>|]/g, '_') || 'attachment';
+            let name = baseName;
+            for (let i = 2; usedNames.has(name); i++) {
+                name = `${baseName} (${i})`;
+            }
+            usedNames.add(name);
+            attachments.push({ name, data: data.buffer });
+        }
+
+        self.postMessage({ type: 'attachments', attachments }, attachments.map(attachment => attachment.data));
+    } catch (error) {
+        console.error("Worker: Attachment extraction error:", error);
+        postFailure(error, 'Attachments Failed', 'The document appears to be corrupted.');
+    } finally {
+        releaseInput(input);
+    }
+}
+
+// Upper bound on outline entries and form fields listed by the inspector
+const MAX_INSPECTOR_ITEMS = 200;
+
+const FIELD_TYPES = {
+    '/Tx': 'Text',
+    '/Btn': 'Button',
+    '/Ch': 'Choice',
+    '/Sig': 'Signature'
+};
+
+/**
+ * Turn `qpdf --json` output (qpdf, pages, acroform and outlines keys) into the inspector report.
+ * @param {object} json
+ * @returns {object}
+ */
+function buildInspectionReport(json) {
+    const [header, objects] = json.qpdf;
+    const getDict = (ref) => {
+        const object = objects[`obj:${ref}`];
+        return object?.value || object?.stream?.dict || null;
+    };
+    const resolve = (value) => (typeof value === 'string' && /^\d+ \d+ R$/.test(value) ? getDict(value) : value);
+
+    // MediaBox and Rotate are inheritable, so walk up the page tree for pages without them.
+    // The depth limit guards against /Parent loops in damaged files.
+    const pageSizes = [];
+    (json.pages || []).forEach(page => {
+        let node = getDict(page.object);
+        let box = null;
+        let rotate = null;
+        for (let depth = 0; node && depth < 32 && (!box || rotate === null); depth++) {
+            box = box || resolve(node['/MediaBox']);
+            if (rotate === null && node['/Rotate'] !== undefined) rotate = node['/Rotate'];
+            node = resolve(node['/Parent']);
+        }
+        if (!Array.isArray(box)) return;
+
+        const quarterTurn = Math.abs(rotate || 0) % 180 === 90;
+        const width = Math.round(Math.abs(box[2] - box[0]));
+        const height = Math.round(Math.abs(box[3] - box[1]));
+        const size = quarterTurn ? { width: height, height: width } : { width, height };
+        const existing = pageSizes.find(s => s.width === size.width && s.height === size.height);
+        if (existing) {
+            existing.count++;
+        } else {
+            pageSizes.push({ ...size, count: 1 });
+        }
+    });
+
+    const fonts = new Map();
+    let streamCount = 0;
+    let objectCount = 0;
+    for (const [key, object] of Object.entries(objects)) {
+        if (!key.startsWith('obj:')) continue;
+        objectCount++;
+        if (object.stream) streamCount++;
+
+        const dict = object.value;
+        if (!dict || dict['/Type'] !== '/Font' || !dict['/BaseFont']) continue;
+        // Composite fonts keep their descriptor on the descendant font
+        const descendant = resolve((resolve(dict['/DescendantFonts']) || [])[0]);
+        const descriptor = resolve((descendant || dict)['/FontDescriptor']) || {};
+        const font = {
+            name: dict['/BaseFont'].replace(/^\//, ''),
+            type: (dict['/Subtype'] || '').replace(/^\//, ''),
+            embedded: Boolean(descriptor['/FontFile'] || descriptor['/FontFile2'] || descriptor['/FontFile3'])
+        };
+        fonts.set(`${font.name}|${font.type}`, font);
+    }
+
+    const outline = [];
+    const addOutlineItems = (items, depth) => {
+        for (const item of items || []) {
+            if (outline.length >= MAX_INSPECTOR_ITEMS) return;
+            outline.push({ title: item.title, page: item.destpageposfrom1 || null, depth });
+            addOutlineItems(item.kids, depth + 1);
+        }
+    };
+    addOutlineItems(json.outlines, 0);
+
+    const fields = json.acroform?.fields || [];
+    return {
+        pdfVersion: header.pdfversion || null,
+        pageCount: (json.pages || []).length,
+        pageSizes,
+        fonts: Array.from(fonts.values()).sort((a, b) => a.name.localeCompare(b.name)),
+        formFields: fields.slice(0, MAX_INSPECTOR_ITEMS).map(field => ({
+            name: field.fullname,
+            type: FIELD_TYPES[field.fieldtype] || (field.fieldtype || '').replace(/^\//, '')
+        })),
+        formFieldCount: fields.length,
+        outline,
+        objects: { total: objectCount, streams: streamCount }
+    };
+}
+
+/**
+ * Summarize a document for the read-only inspector. Works on any readable PDF,
+ * whether or not it needs unlocking.
+ * Replies with `{type: 'inspection', report}` instead of a `success` message.
+ * @param {File|Blob} file
+ * @param {string} fileName
+ * @param {string} [password] - User password, when the file has one.
+ */
+async function inspectFile(file, fileName, password) {
+    if (!qpdfModule) {
+        await initWasm();
+    }
+
+    const input = { path: '', isMounted: false };
+
+    try {
+        if (!(await loadInput(file, {}, input))) return;
+
+        const passwordArgs = getPasswordArgs(input.path, fileName, password);
+        if (!passwordArgs) return;
+
+        const { exitCode, stdout } = callMainCaptured([
+            "--json=2",
+            "--json-key=qpdf",
+            "--json-key=pages",
+            "--json-key=acroform",
+            "--json-key=outlines",
+            "--json-stream-data=none",
+            ...passwordArgs,
+            input.path
+        ]);
+        if ((exitCode !== 0 && exitCode !== 3) || !stdout) {
+            postResult({
+                type: 'error',
+                main: 'Inspection Failed',
+                sub: `Could not read the structure of ${fileName}.`
+            });
+            return;
+        }
+
+        const report = buildInspectionReport(JSON.parse(stdout));
+        report.encryption = inspectEncryption(input.path, passwordArgs);
+        self.postMessage({ type: 'inspection', report });
+    } catch (error) {
+        console.error("Worker: Inspection error:", error);
+        postFailure(error, 'Inspection Failed', 'The document appears to be corrupted.');
+    } finally {
+        releaseInput(input);
+    }
+}
+
+/**
+ * Rewrite an already-unlocked PDF with its pages reordered and/or rotated.
+ * @param {File|Blob} file 
+ * @param {string} fileName 
+ * @param {object} options - Processing options from the WorkerPool config.
+ * @param {Array<{page: number, rotate: number}>} options.pages - Source page numbers in
+ *   their new order, each with a clockwise rotation (0, 90, 180 or 270) relative to the current one.
+ * @param {boolean} [options.linearize] - Keep the output linearized and verify it.
+ */
+async function organizeFile(file, fileName, options = {}) {
+    if (!qpdfModule) {
+        await initWasm();
+    }
+
+    const input = { path: '', isMounted: false };
+    const outputName = `output_${Date.now()}.pdf`;
+    const pages = Array.isArray(options.pages) ? options.pages : [];
+
+    try {
+        const isValid = pages.length > 0 && pages.every(({ page, rotate = 0 }) => 
+            Number.isInteger(page) && page > 0 && [0, 90, 180, 270].includes(rotate));
+        if (!isValid) {
+            postResult({ 
+                type: 'error', 
+                main: 'Invalid Settings', 
+                sub: 'The page order could not be applied.' 
+            });
+            return;
+        }
+
+        if (!(await loadInput(file, {}, input, { hash: true }))) return;
+
         self.postMessage({ 
             type: 'status', 
             state: 'processing', 
-            main: 'Finalizing...', 
-            sub: 'Preparing output.' 
+            main: 'Organizing pages...', 
+            sub: 'Reordering and rotating pages via QPDF core.' 
         });
 
-        // Constants for chunked streaming (Task 06-02)
-        const CHUNK_SIZE = 64 * 1024 * 1024; // 64MB
-        const STREAM_THRESHOLD = 250 * 1024 * 1024; // 250MB
+        // qpdf applies --rotate after --pages, so rotations address output positions
+        const rotateArgs = pages
+            .map(({ rotate = 0 }, index) => rotate ? `--rotate=+${rotate}:${index + 1}` : null)
+            .filter(Boolean);
 
-        const outputStats = qpdfModule.FS.stat(outputName);
-        const outputSize = outputStats.size;
+        const exitCode = qpdfModule.callMain([
+            ...rotateArgs,
+            ...(options.linearize ? ["--linearize"] : []),
+            input.path,
+            "--pages", ".", pages.map(({ page }) => page).join(','), "--",
+            outputName
+        ]);
 
-        if (outputSize > STREAM_THRESHOLD) {
-            self.postMessage({ 
-                type: 'status', 
-                state: 'processing', 
-                main: 'Streaming output...', 
-                sub: `Large file (${(outputSize / (1024 * 1024)).toFixed(1)} MB) detected. Using chunked transfer.` 
+        if (exitCode !== 0 && exitCode !== 3) {
+            postResult({ 
+                type: 'error', 
+                main: 'Organize Failed', 
+                sub: 'The page order does not match this document.' 
             });
+            return;
+        }
 
-            const fd = qpdfModule.FS.open(outputName, 'r');
-            const totalChunks = Math.ceil(outputSize / CHUNK_SIZE);
-            
-            for (let i = 0; i < totalChunks; i++) {
-                const buffer = new Uint8Array(Math.min(CHUNK_SIZE, outputSize - i * CHUNK_SIZE));
-                qpdfModule.FS.read(fd, buffer, 0, buffer.length, i * CHUNK_SIZE);
-                
-                const chunkBuffer = buffer.buffer;
-                self.postMessage({
-                    type: 'chunk',
-                    chunkIndex: i,
-                    totalChunks: totalChunks,
-                    data: chunkBuffer
-                }, [chunkBuffer]);
-            }
-            
-            qpdfModule.FS.close(fd);
+        const details = { encryption: null, mode: 'organize', inputHash: input.hash };
+        if (options.linearize) details.linearized = checkLinearization(outputName);
+        await postOutput(outputName, fileName, details);
+    } catch (error) {
+        console.error("Worker: Page organize error:", error);
+        postFailure(error, 'Organize Failed', 'The document appears to be corrupted.');
+    } finally {
+        releaseInput(input);
+    }
+}
 
-            // For ultra-large files, we provide a size-based signature instead of a full SHA-256
-            // to avoid loading the entire file into the worker's memory just for hashing.
-            const hashPlaceholder = `streamed-${outputSize}-${Date.now()}`;
+/**
+ * Concatenate already-unlocked PDFs into one document, in the given order.
+ * Inputs are mounted via WorkerFS so they are read lazily instead of all being
+ * copied into the WASM heap.
+ * @param {Array<{blob: Blob, name: string}>} files 
+ * @param {string} fileName - Name reported for the merged output.
+ */
+async function mergeFiles(files, fileName) {
+    if (!qpdfModule) {
+        await initWasm();
+    }
 
-            self.postMessage({ 
-                type: 'success', 
-                streamed: true,
-                name: fileName,
-                hash: hashPlaceholder
-            });
-        } else {
-            // Read the result from MEMFS (output is in MEMFS)
-            const outputFile = qpdfModule.FS.readFile(outputName);
-            
-            // Calculate SHA-256 hash of the output
-            const hashBuffer = await self.crypto.subtle.digest('SHA-256', outputFile);
-            const hashHex = bufferToHex(hashBuffer);
+    const mountPoint = '/merge';
+    let isMounted = false;
+    const outputName = `merged_${Date.now()}.pdf`;
 
-            // Send back the processed file using Transferable Objects
-            const outputBuffer = new Uint8Array(outputFile).buffer;
-            
-            self.postMessage({ 
-                type: 'success', 
-                blob: outputBuffer, 
-                name: fileName,
-                hash: hashHex
-            }, [outputBuffer]);
+    try {
+        if (!files || files.length < 2) {
+            postResult({ 
+                type: 'error', 
+                main: 'Nothing to Merge', 
+                sub: 'At least two documents are needed to merge.' 
+            });
+            return;
         }
 
-        // Cleanup output from MEMFS immediately
         try {
-            qpdfModule.FS.unlink(outputName);
+            qpdfModule.FS.mkdir(mountPoint);
         } catch (e) {
-            console.warn('Worker: Failed to unlink output file:', e);
+            if (e.errno !== 17) console.warn('Worker: FS.mkdir error:', e);
         }
+        // Positional names keep the page order and sidestep duplicate or unsafe file names
+        const blobs = files.map((file, i) => ({ name: `${i}.pdf`, data: file.blob }));
+        qpdfModule.FS.mount(qpdfModule.WORKERFS, { blobs }, mountPoint);
+        isMounted = true;
 
-    } catch (error) {
-        console.error("Worker: PDF Processing error:", error);
         self.postMessage({ 
-            type: 'error', 
-            main: 'Processing Failed', 
-            sub: 'The document appears to be corrupted or too heavily encrypted.' 
+            type: 'status', 
+            state: 'processing', 
+            main: 'Merging...', 
+            sub: `Combining ${files.length} documents via QPDF core.` 
         });
+
+        const exitCode = qpdfModule.callMain([
+            "--empty",
+            "--pages",
+            ...blobs.map(blob => `${mountPoint}/${blob.name}`),
+            "--",
+            outputName
+        ]);
+
+        // 3 means qpdf succeeded with warnings
+        if (exitCode !== 0 && exitCode !== 3) {
+            postResult({ 
+                type: 'error', 
+                main: 'Merge Failed', 
+                sub: 'One of the documents could not be combined.' 
+            });
+            return;
+        }
+
+        await postOutput(outputName, fileName, { encryption: null, mode: 'merge' });
+    } catch (error) {
+        console.error("Worker: PDF Merge error:", error);
+        postFailure(error, 'Merge Failed', 'One of the documents could not be combined.');
     } finally {
-        // Ensure we always unmount or unlink to free up memory/mount points
         if (isMounted) {
             try {
                 qpdfModule.FS.unmount(mountPoint);
             } catch (e) {
                 console.warn('Worker: Failed to unmount WorkerFS:', e);
             }
-        } else if (inputPath && inputPath.startsWith('input_')) {
-            try {
-                qpdfModule.FS.unlink(inputPath);
-            } catch (e) {
-                console.warn('Worker: Failed to unlink MEMFS input file:', e);
-            }
         }
     }
 }
@@ -276,17 +1508,48 @@ async function processFile(file, fileName) {
  * Listen for messages from the main thread.
  */
 self.onmessage = async (e) => {
-    const { type, file, name } = e.data;
+    const { type, file, files, name, password, options } = e.data;
 
+    // Every command except init is one pool task with its own engine log
+    if (type !== 'init') {
+        engineLog = [];
+        droppedLogLines = 0;
+    }
+    try {
+        await runCommand(type, { file, files, name, password, options });
+    } finally {
+        engineLog = null;
+    }
+};
+
+async function runCommand(type, { file, files, name, password, options }) {
     switch (type) {
         case 'init':
             await initWasm();
             break;
         case 'process':
             // file is now a File/Blob object (from Task 1 refactor)
-            await processFile(file, name);
+            await processFile(file, name, password, options);
+            break;
+        case 'split':
+            await splitFile(file, name, password, options);
+            break;
+        case 'organize':
+            await organizeFile(file, name, options);
+            break;
+        case 'count_pages':
+            await countPages(file, name);
+            break;
+        case 'attachments':
+            await extractAttachments(file, name);
+            break;
+        case 'inspect':
+            await inspectFile(file, name, password);
+            break;
+        case 'merge':
+            await mergeFiles(files, name);
             break;
         default:
             console.warn('Worker: Unknown message type:', type);
     }
-};
+}
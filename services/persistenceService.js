@@ -7,6 +7,9 @@
 window.persistenceService = (function () {
     const DB_NAME = 'pdf_unlocker_db';
     const DB_VERSION = 3; // Incremented for metrics store (Task 07-03)
+    // File statuses a file record ends in; its chunks are no longer read after these.
+    // Shared with pdfService, which counts them towards a job's processedCount.
+    const FINAL_FILE_STATUSES = ['completed', 'failed', 'cancelled', 'timed_out'];
     let db = null;
 
     /**
@@ -28,7 +31,7 @@ window.persistenceService = (function () {
                     jobsStore.createIndex('timestamp', 'timestamp', { unique: false });
                 }
 
-                // Files store: id (auto-increment), jobId (index), name, status, originalBlob, outputBlob, hash
+                // Files store: id (auto-increment), jobId (index), name, status, originalBlob, outputBlob, hash, encryption
                 if (!db.objectStoreNames.contains('files')) {
                     const filesStore = db.createObjectStore('files', { keyPath: 'id', autoIncrement: true });
                     filesStore.createIndex('jobId', 'jobId', { unique: false });
@@ -118,11 +121,13 @@ window.persistenceService = (function () {
             
             const fileRecord = {
                 status: 'pending',
+                timestamp: Date.now(),
                 jobId: data.jobId,
                 name: data.name,
                 originalBlob: data.originalBlob,
                 outputBlob: null,
                 hash: data.hash || null,
+                encryption: null,
                 ...data
             };
 
@@ -146,7 +151,7 @@ window.persistenceService = (function () {
                 const data = getRequest.result;
                 if (!data) return reject('File not found');
 
-                const updatedData = { ...data, ...updates };
+                const updatedData = { ...data, ...updates, updatedAt: Date.now() };
                 const putRequest = store.put(updatedData);
                 putRequest.onsuccess = () => resolve(putRequest.result);
                 putRequest.onerror = () => reject(putRequest.error);
@@ -155,6 +160,37 @@ window.persistenceService = (function () {
         });
     }
 
+    /**
+     * Replace a completed file's output after it has been edited (e.g. pages
+     * reordered), bumping its revision so later reads can tell it changed.
+     */
+    async function replaceOutput(fileId, outputBlob, hash, linearized) {
+        const database = await init();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(['files'], 'readwrite');
+            const store = transaction.objectStore('files');
+            
+            const getRequest = store.get(fileId);
+            getRequest.onsuccess = () => {
+                const data = getRequest.result;
+                if (!data) return reject('File not found');
+
+                const updatedData = { 
+                    ...data, 
+                    outputBlob, 
+                    hash, 
+                    ...(linearized !== undefined ? { linearized } : {}),
+                    revision: (data.revision || 0) + 1,
+                    updatedAt: Date.now()
+                };
+                const putRequest = store.put(updatedData);
+                putRequest.onsuccess = () => resolve(updatedData.revision);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+
     /**
      * Get jobs that are not completed or failed.
      */
@@ -182,6 +218,21 @@ window.persistenceService = (function () {
         });
     }
 
+    /**
+     * Get a single file record, or undefined if it no longer exists.
+     */
+    async function getFile(fileId) {
+        const database = await init();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(['files'], 'readonly');
+            const store = transaction.objectStore('files');
+            
+            const request = store.get(fileId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
      * Get all files for a specific job.
      */
@@ -294,18 +345,236 @@ window.persistenceService = (function () {
         });
     }
 
+    /**
+     * Get every job record, oldest first.
+     */
+    async function getAllJobs() {
+        const database = await init();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(['jobs'], 'readonly');
+            const store = transaction.objectStore('jobs');
+            
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Approximate stored size of a record: its blobs, chunk data and parts.
+     */
+    function recordBytes(record) {
+        const sizeOf = (value) => (value && (value.size ?? value.byteLength)) || 0;
+        const parts = Array.isArray(record.parts) ? record.parts : [];
+        return sizeOf(record.originalBlob) + sizeOf(record.outputBlob) + sizeOf(record.data) +
+            parts.reduce((sum, part) => sum + sizeOf(part.blob), 0);
+    }
+
+    /**
+     * Count records and blob bytes per store, plus the bytes held for each job
+     * (its files and their chunks). Chunks are counted per file via the files'
+     * jobId, so a chunk whose file is gone is reported as orphaned.
+     */
+    async function getStorageStats() {
+        const database = await init();
+        return new Promise((resolve, reject) => {
+            const storeNames = ['jobs', 'files', 'chunks', 'metrics'];
+            const transaction = database.transaction(storeNames, 'readonly');
+            const stats = { stores: {}, jobBytes: {}, orphanedChunks: 0 };
+            const fileJobs = new Map();
+            storeNames.forEach(name => { stats.stores[name] = { count: 0, bytes: 0 }; });
+
+            // Stores are walked in order so files are known before their chunks
+            const walk = (position) => {
+                if (position === storeNames.length) return resolve(stats);
+                const name = storeNames[position];
+                const request = transaction.objectStore(name).openCursor();
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return walk(position + 1);
+
+                    const record = cursor.value;
+                    const bytes = name === 'jobs' || name === 'metrics' ? 0 : recordBytes(record);
+                    stats.stores[name].count++;
+                    stats.stores[name].bytes += bytes;
+                    if (name === 'files') fileJobs.set(record.id, record.jobId);
+
+                    const jobId = name === 'files' ? record.jobId : name === 'chunks' ? fileJobs.get(record.fileId) : undefined;
+                    if (jobId !== undefined) {
+                        stats.jobBytes[jobId] = (stats.jobBytes[jobId] || 0) + bytes;
+                    } else if (name === 'chunks') {
+                        stats.orphanedChunks++;
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            };
+            walk(0);
+        });
+    }
+
+    /**
+     * Delete every chunk of a file inside an open transaction.
+     */
+    function deleteChunksIn(transaction, fileId) {
+        return new Promise((resolve, reject) => {
+            const index = transaction.objectStore('chunks').index('fileId');
+            const request = index.openCursor(IDBKeyRange.only(fileId));
+            let deleted = 0;
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return resolve(deleted);
+                cursor.delete();
+                deleted++;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a job with all of its files and their chunks.
+     * Resolves with the number of files removed.
+     */
+    async function deleteJob(jobId) {
+        const database = await init();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(['jobs', 'files', 'chunks'], 'readwrite');
+            const filesStore = transaction.objectStore('files');
+            let removedFiles = 0;
+
+            transaction.objectStore('jobs').delete(jobId);
+            const request = filesStore.index('jobId').openCursor(IDBKeyRange.only(jobId));
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                deleteChunksIn(transaction, cursor.value.id).catch(reject);
+                cursor.delete();
+                removedFiles++;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve(removedFiles);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Drop a completed file's output (and split parts) once it is no longer
+     * needed, keeping the record and its hashes for the ZIP manifest.
+     */
+    async function purgeOutput(fileId) {
+        const database = await init();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(['files', 'chunks'], 'readwrite');
+            const store = transaction.objectStore('files');
+            
+            const getRequest = store.get(fileId);
+            getRequest.onsuccess = () => {
+                const data = getRequest.result;
+                if (!data) return reject('File not found');
+
+                const updatedData = {
+                    ...data,
+                    outputBlob: null,
+                    ...(Array.isArray(data.parts) ? { parts: data.parts.map(({ blob, ...part }) => part) } : {}),
+                    outputPurged: true,
+                    updatedAt: Date.now()
+                };
+                store.put(updatedData);
+                deleteChunksIn(transaction, fileId).catch(reject);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete chunks left behind by files that are finished (their output has
+     * been assembled) or no longer exist. Chunks of files still being written
+     * are kept. Resolves with the number of chunks removed.
+     */
+    async function deleteStaleChunks() {
+        const database = await init();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(['files', 'chunks'], 'readwrite');
+            const fileStatus = new Map();
+            let deleted = 0;
+
+            const filesRequest = transaction.objectStore('files').openCursor();
+            filesRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    fileStatus.set(cursor.value.id, cursor.value.status);
+                    return cursor.continue();
+                }
+
+                const chunksRequest = transaction.objectStore('chunks').openCursor();
+                chunksRequest.onsuccess = (chunkEvent) => {
+                    const chunkCursor = chunkEvent.target.result;
+                    if (!chunkCursor) return;
+                    const status = fileStatus.get(chunkCursor.value.fileId);
+                    if (status === undefined || FINAL_FILE_STATUSES.includes(status)) {
+                        chunkCursor.delete();
+                        deleted++;
+                    }
+                    chunkCursor.continue();
+                };
+                chunksRequest.onerror = () => reject(chunksRequest.error);
+            };
+            filesRequest.onerror = () => reject(filesRequest.error);
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete performance metrics recorded before `timestamp` (ms).
+     * Resolves with the number of metrics removed.
+     */
+    async function deleteMetricsBefore(timestamp) {
+        const database = await init();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(['metrics'], 'readwrite');
+            const index = transaction.objectStore('metrics').index('timestamp');
+            let deleted = 0;
+
+            const request = index.openCursor(IDBKeyRange.upperBound(timestamp, true));
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                deleted++;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     return {
+        FINAL_FILE_STATUSES,
         init,
         createJob,
         updateJob,
         addFile,
         updateFile,
+        replaceOutput,
         getIncompleteJobs,
+        getFile,
         getFilesByJob,
         saveChunk,
         getChunks,
         assembleFileFromChunks,
         saveMetric,
-        getRecentMetrics
+        getRecentMetrics,
+        getAllJobs,
+        getStorageStats,
+        deleteJob,
+        purgeOutput,
+        deleteStaleChunks,
+        deleteMetricsBefore
     };
 })();
@@ -0,0 +1,175 @@
+/**
+ * Storage Service
+ * Retention policy for everything kept in IndexedDB: job files, output chunks,
+ * metrics and the audit log, plus a usage breakdown for the Storage settings.
+ * Follows the Revealing Module Pattern.
+ */
+
+window.storageService = (function () {
+    const POLICY_KEY = 'retentionPolicy';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const MB = 1024 * 1024;
+
+    // 0 disables a limit
+    const DEFAULT_POLICY = {
+        maxAgeDays: 30,
+        maxStorageMB: 1024,
+        purgeAfterDownload: false,
+        logMaxAgeDays: 365
+    };
+
+    // Jobs that can still be resumed are only removed by age, never to make room
+    const RESUMABLE_JOB_STATUSES = ['pending', 'processing'];
+
+    function toLimit(value, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) && number >= 0 ? number : fallback;
+    }
+
+    function normalizePolicy(policy) {
+        return {
+            maxAgeDays: toLimit(policy.maxAgeDays, DEFAULT_POLICY.maxAgeDays),
+            maxStorageMB: toLimit(policy.maxStorageMB, DEFAULT_POLICY.maxStorageMB),
+            purgeAfterDownload: Boolean(policy.purgeAfterDownload),
+            logMaxAgeDays: toLimit(policy.logMaxAgeDays, DEFAULT_POLICY.logMaxAgeDays)
+        };
+    }
+
+    /**
+     * The saved retention policy, with defaults for anything unset or invalid.
+     * @returns {{maxAgeDays: number, maxStorageMB: number, purgeAfterDownload: boolean, logMaxAgeDays: number}}
+     */
+    function getPolicy() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(POLICY_KEY));
+        } catch (error) {
+            stored = null;
+        }
+        return normalizePolicy({ ...DEFAULT_POLICY, ...(stored && typeof stored === 'object' ? stored : {}) });
+    }
+
+    /**
+     * Save changes to the retention policy.
+     * @param {object} updates - Any fields of getPolicy().
+     * @returns {object} The policy as saved.
+     */
+    function setPolicy(updates) {
+        const policy = normalizePolicy({ ...getPolicy(), ...updates });
+        localStorage.setItem(POLICY_KEY, JSON.stringify(policy));
+        return policy;
+    }
+
+    /**
+     * Apply the retention policy. In order: drops chunks of finished files
+     * (their output is already assembled), deletes jobs older than `maxAgeDays`,
+     * evicts the oldest finished jobs while files and chunks exceed `maxStorageMB`,
+     * then removes metrics and audit entries older than `logMaxAgeDays`.
+     * @param {object} [options]
+     * @param {Array<number>} [options.keepJobIds] - Jobs in use in this tab, never deleted.
+     * @param {number} [options.now] - Reference time in ms.
+     * @returns {Promise<{jobsDeleted: number, bytesFreed: number, chunksDeleted: number,
+     *   metricsDeleted: number, logsDeleted: number}>}
+     */
+    async function sweep({ keepJobIds = [], now = Date.now() } = {}) {
+        const policy = getPolicy();
+        const keep = new Set(keepJobIds);
+        const report = { jobsDeleted: 0, bytesFreed: 0, chunksDeleted: 0, metricsDeleted: 0, logsDeleted: 0 };
+
+        if (window.persistenceService) {
+            report.chunksDeleted = await window.persistenceService.deleteStaleChunks();
+
+            const jobs = await window.persistenceService.getAllJobs();
+            const stats = await window.persistenceService.getStorageStats();
+            let storedBytes = stats.stores.files.bytes + stats.stores.chunks.bytes;
+
+            const removeJob = async (job) => {
+                await window.persistenceService.deleteJob(job.id);
+                const bytes = stats.jobBytes[job.id] || 0;
+                storedBytes -= bytes;
+                report.bytesFreed += bytes;
+                report.jobsDeleted++;
+            };
+
+            const remaining = [];
+            const maxAgeCutoff = now - policy.maxAgeDays * DAY_MS;
+            for (const job of jobs) {
+                if (policy.maxAgeDays > 0 && !keep.has(job.id) && job.timestamp < maxAgeCutoff) {
+                    await removeJob(job);
+                } else {
+                    remaining.push(job);
+                }
+            }
+
+            if (policy.maxStorageMB > 0) {
+                // getAllJobs() is oldest first
+                for (const job of remaining) {
+                    if (storedBytes <= policy.maxStorageMB * MB) break;
+                    if (keep.has(job.id) || RESUMABLE_JOB_STATUSES.includes(job.status)) continue;
+                    await removeJob(job);
+                }
+            }
+
+            if (policy.logMaxAgeDays > 0) {
+                report.metricsDeleted = await window.persistenceService.deleteMetricsBefore(now - policy.logMaxAgeDays * DAY_MS);
+            }
+        }
+
+        if (window.auditService && policy.logMaxAgeDays > 0) {
+            report.logsDeleted = await window.auditService.purgeLogsBefore(new Date(now - policy.logMaxAgeDays * DAY_MS).toISOString());
+        }
+        return report;
+    }
+
+    /**
+     * Clear the stored outputs of files the user has saved, when the policy asks
+     * for it. Split parts are released through their source file's record.
+     * @param {Array<{fileId?: number, sourceFileId?: number}>} files - Batch entries.
+     * @returns {Promise<number>} Number of file records cleared.
+     */
+    async function releaseDownloaded(files) {
+        if (!getPolicy().purgeAfterDownload || !window.persistenceService) return 0;
+
+        const fileIds = new Set(files.map(file => file.fileId ?? file.sourceFileId).filter(id => id !== undefined && id !== null));
+        let released = 0;
+        for (const fileId of fileIds) {
+            try {
+                await window.persistenceService.purgeOutput(fileId);
+                released++;
+            } catch (error) {
+                console.warn(`StorageService: Could not clear output of file ${fileId}`, error);
+            }
+        }
+        return released;
+    }
+
+    /**
+     * Origin usage and quota from navigator.storage.estimate() (null where the
+     * browser does not report them), with record counts and sizes per store.
+     * @returns {Promise<{usage: number|null, quota: number|null, usageDetails: object|null,
+     *   stores: Object<string, {count: number, bytes: number}>}>}
+     */
+    async function getUsage() {
+        const estimate = navigator.storage?.estimate
+            ? await navigator.storage.estimate().catch(() => null)
+            : null;
+        const stats = window.persistenceService ? await window.persistenceService.getStorageStats() : null;
+        const logs = window.auditService ? await window.auditService.getStats().catch(() => null) : null;
+
+        return {
+            usage: estimate?.usage ?? null,
+            quota: estimate?.quota ?? null,
+            usageDetails: estimate?.usageDetails || null,
+            stores: { ...(stats ? stats.stores : {}), ...(logs ? { logs } : {}) }
+        };
+    }
+
+    return {
+        DEFAULT_POLICY,
+        getPolicy,
+        setPolicy,
+        sweep,
+        releaseDownloaded,
+        getUsage
+    };
+})();
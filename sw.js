@@ -35,13 +35,61 @@ self.addEventListener('activate', (event) => {
     self.clients.claim();
 });
 
+// Streamed downloads waiting for their navigation: id -> { filename, port }
+const pendingDownloads = new Map();
+const DOWNLOAD_PATH = '/download-stream/';
+
 // Handle messages from the client
 self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'SKIP_WAITING') {
         self.skipWaiting();
     }
+
+    // The page writes the file over the transferred port; see createDownloadResponse()
+    if (event.data && event.data.type === 'STREAM_DOWNLOAD') {
+        const [port] = event.ports;
+        pendingDownloads.set(event.data.id, { filename: event.data.filename, port });
+        port.postMessage({ type: 'ready' });
+    }
 });
 
+/**
+ * Answer a download navigation with a body fed by the page, one chunk per pull,
+ * so archives larger than memory can be saved in browsers without showSaveFilePicker().
+ */
+function createDownloadResponse({ filename, port }) {
+    const body = new ReadableStream({
+        start(controller) {
+            port.onmessage = ({ data }) => {
+                if (data.type === 'chunk') {
+                    controller.enqueue(data.chunk);
+                } else if (data.type === 'end') {
+                    controller.close();
+                    port.close();
+                } else if (data.type === 'abort') {
+                    controller.error(new Error(data.message));
+                    port.close();
+                }
+            };
+        },
+        pull() {
+            port.postMessage({ type: 'pull' });
+        },
+        cancel() {
+            port.postMessage({ type: 'cancel' });
+            port.close();
+        }
+    });
+
+    const asciiName = filename.replace(/[^\x20-\x7e]|"/g, '_');
+    return new Response(body, {
+        headers: {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+        }
+    });
+}
+
 // Function to add COOP/COEP headers for Cross-Origin Isolation
 function addCOIHeaders(response) {
     if (!response || response.type === 'opaque') {
@@ -66,6 +114,17 @@ self.addEventListener('fetch', (event) => {
     // Only intercept GET requests
     if (event.request.method !== 'GET') return;
 
+    const downloadIndex = url.pathname.indexOf(DOWNLOAD_PATH);
+    if (downloadIndex !== -1) {
+        const id = url.pathname.slice(downloadIndex + DOWNLOAD_PATH.length);
+        const download = pendingDownloads.get(id);
+        if (download) {
+            pendingDownloads.delete(id);
+            event.respondWith(createDownloadResponse(download));
+            return;
+        }
+    }
+
     // Cache-First for local vendor assets (highly stable)
     const isVendorAsset = url.pathname.includes('/assets/vendor/');
 
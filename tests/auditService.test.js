@@ -10,19 +10,84 @@ describe('AuditService', () => {
     let mockStore;
     let mockTransaction;
     let mockIDBRequest;
+    let records;
+    let keyRecords;
 
     beforeEach(() => {
+        records = [];
+        keyRecords = {};
         mockStore = {
-            add: vi.fn().mockImplementation(() => {
+            get: vi.fn().mockImplementation((id) => {
+                const req = { onsuccess: null, onerror: null, result: keyRecords[id] };
+                setTimeout(() => req.onsuccess && req.onsuccess(), 0);
+                return req;
+            }),
+            put: vi.fn().mockImplementation((record) => {
                 const req = { onsuccess: null, onerror: null };
+                keyRecords[record.id] = record;
+                setTimeout(() => req.onsuccess && req.onsuccess(), 0);
+                return req;
+            }),
+            add: vi.fn().mockImplementation((entry) => {
+                const req = { onsuccess: null, onerror: null };
+                records.push({ ...entry, id: records.reduce((max, record) => Math.max(max, record.id), 0) + 1 });
                 setTimeout(() => req.onsuccess && req.onsuccess(), 0);
                 return req;
             }),
             getAll: vi.fn().mockImplementation(() => {
-                const req = { onsuccess: null, onerror: null, result: [] };
+                const req = { onsuccess: null, onerror: null, result: records.map(record => ({ ...record })) };
                 setTimeout(() => req.onsuccess && req.onsuccess(), 0);
                 return req;
             }),
+            // Index cursors walk records by (key, id), as IndexedDB does, over the given range
+            index: vi.fn().mockImplementation((name) => ({
+                openCursor: (range, direction) => {
+                    const rows = records
+                        .filter(row => (range?.lower === undefined || row[name] >= range.lower) &&
+                            (range?.upper === undefined || row[name] <= range.upper))
+                        .sort((a, b) => (a[name] < b[name] ? -1 : a[name] > b[name] ? 1 : a.id - b.id));
+                    if (direction === 'prev') rows.reverse();
+                    const req = { onsuccess: null, onerror: null, result: null };
+                    const emit = (position) => setTimeout(() => {
+                        const row = rows[position];
+                        req.result = row ? {
+                            key: row[name],
+                            primaryKey: row.id,
+                            value: { ...row },
+                            continue: () => emit(position + 1),
+                            continuePrimaryKey: (key, id) => {
+                                const next = rows.findIndex(r => r[name] < key || (r[name] === key && r.id <= id));
+                                emit(next === -1 ? rows.length : next);
+                            }
+                        } : null;
+                        req.onsuccess();
+                    }, 0);
+                    emit(0);
+                    return req;
+                }
+            })),
+            openCursor: vi.fn().mockImplementation((range, direction) => {
+                const req = { onsuccess: null, onerror: null, result: null };
+                if (direction === 'prev') {
+                    const last = records[records.length - 1];
+                    req.result = last ? { value: { ...last } } : null;
+                    setTimeout(() => req.onsuccess && req.onsuccess(), 0);
+                    return req;
+                }
+                // Ascending walk by id, with delete() on the current record
+                const rows = [...records];
+                const emit = (position) => setTimeout(() => {
+                    const row = rows[position];
+                    req.result = row ? {
+                        value: { ...row },
+                        delete: () => records.splice(records.indexOf(row), 1),
+                        continue: () => emit(position + 1)
+                    } : null;
+                    req.onsuccess();
+                }, 0);
+                emit(0);
+                return req;
+            }),
         };
 
         mockTransaction = {
@@ -57,6 +122,12 @@ describe('AuditService', () => {
         };
 
         vi.stubGlobal('indexedDB', mockIndexedDB);
+        vi.stubGlobal('IDBKeyRange', {
+            only: (value) => ({ lower: value, upper: value }),
+            bound: (lower, upper) => ({ lower, upper }),
+            lowerBound: (lower) => ({ lower }),
+            upperBound: (upper) => ({ upper })
+        });
         vi.stubGlobal('console', {
             log: vi.fn(),
             error: vi.fn(),
@@ -94,4 +165,106 @@ describe('AuditService', () => {
         expect(logs).toEqual(mockLogs);
         expect(mockStore.getAll).toHaveBeenCalled();
     });
+
+    it('should link each entry to the hash of the one before it', async () => {
+        await Promise.all([
+            auditService.logEvent('SUCCESS', { file: 'a.pdf' }),
+            auditService.logEvent('ERROR', { file: 'b.pdf' })
+        ]);
+
+        expect(records).toHaveLength(2);
+        expect(records[0].prevHash).toBe('0'.repeat(64));
+        expect(records[0].hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(records[1].prevHash).toBe(records[0].hash);
+        expect(await auditService.verifyChain()).toEqual({ valid: true, total: 2, unchained: 0, brokenAt: null });
+    });
+
+    it('should report the first broken link after an edit or deletion', async () => {
+        records.push({ id: 1, timestamp: '2024-01-01T00:00:00.000Z', type: 'INFO', details: {} });
+        for (const file of ['a.pdf', 'b.pdf', 'c.pdf']) {
+            await auditService.logEvent('SUCCESS', { file });
+        }
+        expect(await auditService.verifyChain()).toMatchObject({ valid: true, total: 4, unchained: 1 });
+
+        records[2].details.file = 'tampered.pdf';
+        expect((await auditService.verifyChain()).brokenAt).toEqual({ id: 3, timestamp: records[2].timestamp, reason: 'modified' });
+
+        records.splice(2, 1);
+        expect((await auditService.verifyChain()).brokenAt).toEqual({ id: 4, timestamp: records[2].timestamp, reason: 'link' });
+    });
+
+    it('should purge old entries and keep verifying the chain from the last one removed', async () => {
+        for (const file of ['a.pdf', 'b.pdf', 'c.pdf']) {
+            await auditService.logEvent('SUCCESS', { file });
+        }
+        records[0].timestamp = '2020-01-01T00:00:00.000Z';
+        records[1].timestamp = '2020-01-02T00:00:00.000Z';
+
+        expect(await auditService.purgeLogsBefore('2021-01-01T00:00:00.000Z')).toBe(2);
+        expect(records.map(record => record.details.file || record.type)).toEqual(['c.pdf', 'PURGE']);
+        expect(records[1].details).toEqual({ removed: 2, before: '2021-01-01T00:00:00.000Z' });
+        expect(await auditService.verifyChain()).toMatchObject({ valid: true, total: 2, brokenAt: null });
+
+        // An emptied log continues from the anchor
+        expect(await auditService.purgeLogsBefore('2999-01-01T00:00:00.000Z')).toBe(2);
+        expect(records).toHaveLength(1);
+        expect(await auditService.verifyChain()).toMatchObject({ valid: true, total: 1, brokenAt: null });
+        expect(await auditService.getStats()).toEqual({ count: 1, bytes: JSON.stringify(records[0]).length });
+    });
+
+    it('should export the log as JSON Lines and CSV, oldest first', async () => {
+        await auditService.logEvent('SUCCESS', { file: '=cmd.pdf', hash: 'abc', mode: 'unlock' });
+        await auditService.logEvent('ERROR', { file: 'b.pdf' });
+
+        const lines = (await (await auditService.exportLogs('jsonl')).text()).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.id)).toEqual([1, 2]);
+        expect(lines[1].prevHash).toBe(lines[0].hash);
+
+        const csv = (await (await auditService.exportLogs('csv')).text()).split('\r\n');
+        expect(csv[0]).toBe('id,timestamp,type,file,mode,hash,inputHash,prevHash,entryHash,details');
+        expect(csv[1]).toMatch(/^1,[^,]+,SUCCESS,'=cmd\.pdf,unlock,abc,,0{64},[0-9a-f]{64},"\{""file"":/);
+    });
+
+    it('should sign a bundle with a stored key that verifies offline and detects tampering', async () => {
+        await auditService.logEvent('SUCCESS', { file: 'a.pdf' });
+
+        const bundle = JSON.parse(await (await auditService.exportLogs('bundle')).text());
+        expect(bundle.signature).toMatchObject({ algorithm: 'ECDSA-P256-SHA256', publicKey: { kty: 'EC', crv: 'P-256' } });
+        expect(bundle.signature.publicKey.d).toBeUndefined();
+        expect(keyRecords['audit-export'].privateKey.extractable).toBe(false);
+        expect(JSON.parse(bundle.payload)).toMatchObject({ chain: { valid: true, total: 1 }, entries: [{ id: 1 }] });
+        expect(await auditService.verifyBundle(bundle)).toBe(true);
+
+        // The same key signs later exports
+        const next = JSON.parse(await (await auditService.exportLogs('bundle')).text());
+        expect(next.signature.keyId).toBe(bundle.signature.keyId);
+
+        const tampered = { ...bundle, payload: bundle.payload.replace('a.pdf', 'b.pdf') };
+        expect(await auditService.verifyBundle(tampered)).toBe(false);
+    });
+
+    it('should page through filtered entries newest first without repeating shared timestamps', async () => {
+        const at = (minute) => `2024-03-01T10:0${minute}:00.000Z`;
+        records.push(
+            { id: 1, timestamp: at(1), type: 'SUCCESS', details: { file: 'Invoice-1.pdf', hash: 'aaaa1111' } },
+            { id: 2, timestamp: at(2), type: 'ERROR', details: { file: 'invoice-2.pdf' } },
+            { id: 3, timestamp: at(2), type: 'SUCCESS', details: { file: 'report.pdf', inputHash: 'bbbb2222' } },
+            { id: 4, timestamp: at(2), type: 'SUCCESS', details: { file: 'invoice-3.pdf' } },
+            { id: 5, timestamp: at(3), type: 'SUCCESS', details: { file: 'summary.pdf' } }
+        );
+
+        const first = await auditService.queryLogs({}, { limit: 2 });
+        expect(first.entries.map(log => log.id)).toEqual([5, 4]);
+        const second = await auditService.queryLogs({}, { limit: 2, after: first.next });
+        expect(second.entries.map(log => log.id)).toEqual([3, 2]);
+        const third = await auditService.queryLogs({}, { limit: 2, after: second.next });
+        expect(third).toEqual({ entries: [expect.objectContaining({ id: 1 })], next: null });
+
+        expect((await auditService.queryLogs({ file: 'INVOICE' })).entries.map(log => log.id)).toEqual([4, 2, 1]);
+        expect((await auditService.queryLogs({ hash: 'BBBB' })).entries.map(log => log.id)).toEqual([3]);
+        expect((await auditService.queryLogs({ type: 'ERROR' })).entries.map(log => log.id)).toEqual([2]);
+        expect(mockStore.index).toHaveBeenLastCalledWith('type');
+        expect((await auditService.queryLogs({ type: 'SUCCESS', from: at(2), to: at(2) })).entries.map(log => log.id)).toEqual([4, 3]);
+        expect(mockStore.index).toHaveBeenLastCalledWith('timestamp');
+    });
 });
@@ -2,15 +2,20 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import batchService from '../services/batchService.js';
 
 describe('batchService', () => {
+    let lastZip;
     
     beforeEach(() => {
         vi.stubGlobal('JSZip', class MockJSZip {
             constructor() {
                 this.files = {};
+                lastZip = this;
             }
             file(name, blob) {
                 this.files[name] = blob;
             }
+            folder(name) {
+                return { file: (fileName, blob) => this.file(`${name}/${fileName}`, blob) };
+            }
             generateAsync({ type }) {
                 return Promise.resolve(new Blob(['mock zip content'], { type: 'application/zip' }));
             }
@@ -29,6 +34,203 @@ describe('batchService', () => {
         expect(zipBlob.type).toBe('application/zip');
     });
 
+    it('should add attachments in a folder per PDF only when asked to', async () => {
+        const attachment = { name: 'data.xlsx', blob: new Blob(['sheet']) };
+        const files = [
+            { name: 'report_unlocked.pdf', blob: new Blob(['pdf']), attachments: [attachment] },
+            { name: 'plain_unlocked.pdf', blob: new Blob(['pdf']), attachments: [] }
+        ];
+
+        await batchService.packageAsZip(files);
+        expect(Object.keys(lastZip.files)).toEqual(['report_unlocked.pdf', 'plain_unlocked.pdf', 'manifest.json', 'manifest.csv']);
+
+        await batchService.packageAsZip(files, { includeAttachments: true });
+        expect(Object.keys(lastZip.files)).toEqual([
+            'report_unlocked.pdf',
+            'report_unlocked_attachments/data.xlsx',
+            'plain_unlocked.pdf',
+            'manifest.json',
+            'manifest.csv'
+        ]);
+        expect(lastZip.files['report_unlocked_attachments/data.xlsx']).toBe(attachment.blob);
+    });
+
+    it('should give duplicate entry names a numbered suffix instead of overwriting', async () => {
+        const files = [
+            { name: 'report_unlocked.pdf', blob: new Blob(['first']) },
+            { name: 'Report_unlocked.pdf', blob: new Blob(['second']) },
+            { name: 'report_unlocked.pdf', blob: new Blob(['third']) }
+        ];
+
+        await batchService.packageAsZip(files);
+
+        expect(Object.keys(lastZip.files)).toEqual([
+            'report_unlocked.pdf', 'Report_unlocked (2).pdf', 'report_unlocked (3).pdf', 'manifest.json', 'manifest.csv'
+        ]);
+        expect(lastZip.files['report_unlocked (3).pdf']).toBe(files[2].blob);
+    });
+
+    it('should add a manifest listing every file of the job, failures included', async () => {
+        const input = new Blob(['%PDF-in']);
+        vi.stubGlobal('persistenceService', {
+            getFilesByJob: vi.fn().mockResolvedValue([
+                { id: 1, name: 'a.pdf', originalBlob: input, hash: 'out-a', mode: 'unlock', status: 'completed', timestamp: 0, updatedAt: 1000 },
+                { id: 2, name: '=b,c.pdf', originalBlob: new Blob(['x']), hash: null, mode: 'unlock', status: 'failed', timestamp: 0 }
+            ])
+        });
+        const files = [{ name: 'a_unlocked.pdf', blob: new Blob(['%PDF-out']), fileId: 1, hash: 'out-a' }];
+
+        await batchService.packageAsZip(files, { jobId: 4 });
+
+        expect(window.persistenceService.getFilesByJob).toHaveBeenCalledWith(4);
+        const manifest = JSON.parse(lastZip.files['manifest.json']);
+        expect(manifest.jobId).toBe(4);
+        expect(manifest.files).toEqual([
+            {
+                originalName: 'a.pdf',
+                originalSize: 7,
+                inputSha256: '7aa287087840a1e37f1fca7e2364053455b49084bbdee1a641fbbcbc6d60c79a',
+                outputName: 'a_unlocked.pdf',
+                outputSha256: 'out-a',
+                mode: 'unlock',
+                timestamp: '1970-01-01T00:00:01.000Z',
+                status: 'completed'
+            },
+            expect.objectContaining({ originalName: '=b,c.pdf', outputName: null, outputSha256: null, status: 'failed' })
+        ]);
+
+        const csv = lastZip.files['manifest.csv'].split('\r\n');
+        expect(csv[0]).toBe('originalName,originalSize,inputSha256,outputName,outputSha256,mode,timestamp,status');
+        expect(csv[2]).toMatch(/^"'=b,c\.pdf",1,[0-9a-f]{64},,,unlock,/);
+        vi.unstubAllGlobals();
+    });
+
+    it('should list each part of a split file against its source in the manifest', async () => {
+        vi.stubGlobal('persistenceService', {
+            getFilesByJob: vi.fn().mockResolvedValue([{
+                id: 1,
+                name: 'big.pdf',
+                originalBlob: new Blob(['%PDF-in']),
+                inputHash: 'in-big',
+                mode: 'split',
+                status: 'completed',
+                timestamp: 0,
+                updatedAt: 1000,
+                parts: [
+                    { name: 'big_part1.pdf', hash: 'out-1', pages: '1-2', blob: new Blob(['p1']) },
+                    { name: 'big_part2.pdf', hash: 'out-2', pages: '3-4', blob: new Blob(['p2']) }
+                ]
+            }])
+        });
+        const files = [
+            // Same worker part name, from another source file with the same basename
+            { name: 'big_part1_unlocked (2).pdf', partName: 'big_part1.pdf', sourceFileId: 2, blob: new Blob(['q1']), originalName: 'big.pdf', hash: 'other-1' },
+            { name: 'big_part2_unlocked.pdf', partName: 'big_part2.pdf', sourceFileId: 1, blob: new Blob(['p2']), originalName: 'big.pdf', hash: 'out-2' },
+            { name: 'big_part1_unlocked.pdf', partName: 'big_part1.pdf', sourceFileId: 1, blob: new Blob(['p1']), originalName: 'big.pdf', hash: 'out-1' }
+        ];
+
+        await batchService.packageAsZip(files, { jobId: 4 });
+
+        const part = { originalName: 'big.pdf', originalSize: 7, inputSha256: 'in-big', mode: 'split', timestamp: '1970-01-01T00:00:01.000Z', status: 'completed' };
+        expect(JSON.parse(lastZip.files['manifest.json']).files).toEqual([
+            { ...part, outputName: 'big_part1_unlocked.pdf', outputSha256: 'out-1' },
+            { ...part, outputName: 'big_part2_unlocked.pdf', outputSha256: 'out-2' },
+            expect.objectContaining({ outputName: 'big_part1_unlocked (2).pdf', outputSha256: 'other-1', inputSha256: null })
+        ]);
+        vi.unstubAllGlobals();
+    });
+
+    it('should fill output name template tokens and strip unsafe characters', () => {
+        const values = { name: 'Q3 Report.PDF', date: new Date(2024, 0, 5), hash: 'abcdef0123456789', index: 2, jobId: 9 };
+
+        expect(batchService.formatOutputName('', values)).toBe('Q3 Report_unlocked.pdf');
+        expect(batchService.formatOutputName('{index}-{name}_{date}_{hash8}', values)).toBe('2-Q3 Report_2024-01-05_abcdef01.pdf');
+        expect(batchService.formatOutputName('job{jobId}/{name}:{unknown}.pdf', values)).toBe('job9_Q3 Report_{unknown}.pdf');
+        expect(batchService.formatOutputName('{hash8}', { name: 'a.pdf' })).toBe('a.pdf');
+        expect(batchService.formatOutputName('{name}_{constructor}_{toString}', values)).toBe('Q3 Report_{constructor}_{toString}.pdf');
+    });
+
+    it('should resolve name collisions in order', () => {
+        expect(batchService.makeUniqueName('a.pdf', ['b.pdf'])).toBe('a.pdf');
+        expect(batchService.makeUniqueName('a.pdf', ['A.pdf', 'a (2).pdf'])).toBe('a (3).pdf');
+        expect(batchService.resolveNameCollisions(['a.pdf', 'b.pdf', 'a.pdf'])).toEqual(['a.pdf', 'b.pdf', 'a (2).pdf']);
+    });
+
+    it('should not resume a re-encrypt job, whose passwords were never stored', () => {
+        const config = {
+            returnBlob: true,
+            mode: 'reencrypt',
+            encryption: { ownerPassword: 'owner', userPassword: 'user', keyLength: 256, permissions: { print: true } }
+        };
+        const jobConfig = batchService.toJobConfig(config);
+        expect(JSON.stringify(jobConfig)).not.toMatch(/owner|user/);
+
+        const resumed = batchService.getResumeConfig({ mode: 'reencrypt', config: jobConfig });
+        expect(resumed.config).toBeNull();
+        expect(resumed.reason).toMatch(/passwords/);
+        // Jobs saved before their config was stored still carry the mode
+        expect(batchService.getResumeConfig({ mode: 'reencrypt' }).config).toBeNull();
+        expect(batchService.getResumeConfig({ mode: 'unlock', config: {} })).toEqual({ config: { returnBlob: true }, reason: null });
+    });
+
+    it('should resume a split job with its saved page settings', () => {
+        const jobConfig = batchService.toJobConfig({ returnBlob: true, mode: 'split', split: { pages: '1-3,z', every: 2 } });
+
+        expect(batchService.getResumeConfig({ mode: 'split', config: jobConfig })).toEqual({
+            config: { returnBlob: true, mode: 'split', split: { pages: '1-3,z', every: 2 } },
+            reason: null
+        });
+        expect(batchService.getResumeConfig({ mode: 'split' }).config).toBeNull();
+    });
+
+    it('should resume with the sanitize, linearize and profile options the job started with', () => {
+        const jobConfig = batchService.toJobConfig({ returnBlob: true, sanitize: true, linearize: true, profile: 'size' });
+
+        expect(batchService.getResumeConfig({ mode: 'unlock', config: jobConfig }).config).toEqual({
+            returnBlob: true,
+            sanitize: true,
+            linearize: true,
+            profile: 'size'
+        });
+    });
+
+    it('should stream a ZIP that standard readers can open, attachments included', async () => {
+        const RealJSZip = require('../assets/vendor/jszip.min.js');
+        const written = [];
+        const writable = new WritableStream({ write: (chunk) => { written.push(chunk); } });
+        const onProgress = vi.fn();
+        const files = [
+            { name: 'a_unlocked.pdf', blob: new Blob(['%PDF-a']) },
+            { name: 'b_unlocked.pdf', blob: new Blob(['%PDF-bb']), attachments: [{ name: 'data.csv', blob: new Blob(['x,y']) }] }
+        ];
+
+        await batchService.packageAsZipStream(files, writable, { includeAttachments: true, onProgress });
+
+        const zip = await RealJSZip.loadAsync(new Blob(written).arrayBuffer());
+        expect(Object.keys(zip.files)).toEqual([
+            'a_unlocked.pdf', 'b_unlocked.pdf', 'b_unlocked_attachments/data.csv', 'manifest.json', 'manifest.csv'
+        ]);
+        expect(await zip.file('b_unlocked.pdf').async('string')).toBe('%PDF-bb');
+        expect(await zip.file('b_unlocked_attachments/data.csv').async('string')).toBe('x,y');
+        const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+        expect(manifest.files.map(row => row.outputName)).toEqual(['a_unlocked.pdf', 'b_unlocked.pdf']);
+        const [bytesWritten, totalBytes] = onProgress.mock.lastCall;
+        expect(bytesWritten).toBe(totalBytes);
+    });
+
+    it('should read persisted outputs back one at a time while streaming', async () => {
+        const stored = new Blob(['%PDF-stored']);
+        vi.stubGlobal('persistenceService', { getFile: vi.fn().mockResolvedValue({ outputBlob: stored }) });
+        const written = [];
+        const writable = new WritableStream({ write: (chunk) => { written.push(chunk); } });
+
+        await batchService.packageAsZipStream([{ name: 'a.pdf', blob: new Blob(['%PDF-memory']), fileId: 7 }], writable);
+
+        expect(window.persistenceService.getFile).toHaveBeenCalledWith(7);
+        expect(await new Blob(written).text()).toContain('%PDF-stored');
+        vi.unstubAllGlobals();
+    });
+
     it('should throw error if batch exceeds size limit', async () => {
         const largeBlob = { size: batchService.MAX_ZIP_SIZE_BYTES + 1 };
         const files = [{ name: 'large.pdf', blob: largeBlob }];
@@ -58,4 +260,41 @@ describe('batchService', () => {
 
         await expect(batchService.packageAsZip(files)).rejects.toThrow('JSZip library not found.');
     });
+
+    it('should merge files in the given order via the supplied merger', async () => {
+        const files = [
+            { name: 'b.pdf', blob: new Blob(['b']) },
+            { name: 'a.pdf', blob: new Blob(['a']) }
+        ];
+        const mergedBlob = new Blob(['merged'], { type: 'application/pdf' });
+        const merge = vi.fn().mockResolvedValue(mergedBlob);
+
+        await expect(batchService.packageAsMerged(files, merge)).resolves.toBe(mergedBlob);
+        expect(merge).toHaveBeenCalledWith(files);
+    });
+
+    it('should refuse to merge fewer than two files or oversized batches', async () => {
+        const merge = vi.fn();
+
+        await expect(batchService.packageAsMerged([{ name: 'one.pdf', blob: new Blob(['1']) }], merge))
+            .rejects.toThrow(/At least two/);
+
+        const largeBlob = { size: batchService.MAX_MERGE_SIZE_BYTES };
+        await expect(batchService.packageAsMerged([
+            { name: 'a.pdf', blob: largeBlob },
+            { name: 'b.pdf', blob: largeBlob }
+        ], merge)).rejects.toThrow(/exceeds 1GB limit for merging/);
+
+        expect(merge).not.toHaveBeenCalled();
+    });
+
+    it('should throw if the merge fails', async () => {
+        const files = [
+            { name: 'a.pdf', blob: new Blob(['a']) },
+            { name: 'b.pdf', blob: new Blob(['b']) }
+        ];
+
+        await expect(batchService.packageAsMerged(files, vi.fn().mockResolvedValue(null)))
+            .rejects.toThrow('The documents could not be merged.');
+    });
 });
@@ -1,12 +1,14 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import fs from 'fs';
 import path from 'path';
+import batchService from '../services/batchService.js';
 
 // Helper to load the script into the test environment
 const pdfServiceContent = fs.readFileSync(path.resolve(__dirname, '../services/pdfService.js'), 'utf8');
 
 describe('pdfService (Worker Proxy)', () => {
     let pdfService;
+    let mockWindow;
     let mockWorkerConstructor;
 
     beforeEach(() => {
@@ -47,6 +49,7 @@ describe('pdfService (Worker Proxy)', () => {
         // Mock Worker
         mockWorkerConstructor = vi.fn().mockImplementation(function() {
             this.postMessage = vi.fn();
+            this.terminate = vi.fn();
             this.onmessage = null;
             this.onerror = null;
             return this;
@@ -63,6 +66,7 @@ describe('pdfService (Worker Proxy)', () => {
 
         // Mock persistenceService
         vi.stubGlobal('persistenceService', {
+            FINAL_FILE_STATUSES: ['completed', 'failed', 'cancelled', 'timed_out'],
             init: vi.fn().mockResolvedValue(undefined),
             createJob: vi.fn().mockResolvedValue(1),
             updateJob: vi.fn().mockResolvedValue(undefined),
@@ -75,12 +79,15 @@ describe('pdfService (Worker Proxy)', () => {
         // Mock diagnosticsService
         vi.stubGlobal('diagnosticsService', {
             recordWorkerStart: vi.fn(),
+            recordWorkerRespawn: vi.fn(),
+            updatePoolStats: vi.fn(),
             recordProcessComplete: vi.fn(),
+            recordSizeOptimization: vi.fn(),
             recordError: vi.fn()
         });
 
         // Evaluate the service code
-        const mockWindow = { 
+        mockWindow = { 
             auditService: window.auditService,
             persistenceService: window.persistenceService,
             diagnosticsService: window.diagnosticsService
@@ -127,15 +134,20 @@ describe('pdfService (Worker Proxy)', () => {
                 type: 'success', 
                 blob: outputBuffer, 
                 name: 'persist.pdf',
-                hash: 'abc123hash'
+                hash: 'abc123hash',
+                inputHash: 'def456hash',
+                encryption: { encrypted: true, algorithm: 'RC4' }
             } 
         });
 
-        await processPromise;
+        const result = await processPromise;
+        expect(result.inputHash).toBe('def456hash');
         
         expect(window.persistenceService.updateFile).toHaveBeenCalledWith(1, expect.objectContaining({
             status: 'completed',
-            hash: 'abc123hash'
+            hash: 'abc123hash',
+            inputHash: 'def456hash',
+            encryption: { encrypted: true, algorithm: 'RC4' }
         }));
 
         expect(window.persistenceService.updateJob).toHaveBeenCalledWith(1, expect.objectContaining({
@@ -248,10 +260,10 @@ describe('pdfService (Worker Proxy)', () => {
         }));
     });
 
-    it('should initialize worker pool and send init message to all', async () => {
+    it('should initialize worker pool with a warm worker and send it init', async () => {
         const initPromise = pdfService.initWasm();
 
-        await vi.waitFor(() => expect(mockWorkerConstructor).toHaveBeenCalledTimes(4));
+        await vi.waitFor(() => expect(mockWorkerConstructor).toHaveBeenCalledTimes(1));
         const workers = mockWorkerConstructor.mock.results.map(r => r.value);
         workers.forEach(w => {
             expect(w.postMessage).toHaveBeenCalledWith({ type: 'init' });
@@ -432,11 +444,431 @@ describe('pdfService (Worker Proxy)', () => {
         expect(pdfService.isProcessing).toBe(false);
     });
 
+    it('should persist and report the engine log of a failed task', async () => {
+        const onEngineLog = vi.fn();
+        const engineLog = [{ stream: 'stderr', text: 'WARNING: xref not found' }];
+        await pdfService.startJob(1);
+
+        const processPromise = pdfService.WorkerPool.enqueue(
+            { type: 'application/pdf', name: 'corrupt.pdf', size: 100 },
+            { onStatus: vi.fn(), onEngineLog },
+            { returnBlob: true }
+        );
+
+        const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+        workers[0].onmessage({ data: { type: 'ready' } });
+        await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(
+            expect.objectContaining({ type: 'process' })
+        ));
+
+        workers[0].onmessage({ data: { type: 'error', main: 'Failed', sub: 'Corrupt file', engineLog } });
+
+        expect(await processPromise).toBeNull();
+        expect(onEngineLog).toHaveBeenCalledWith(engineLog);
+        expect(window.persistenceService.updateFile).toHaveBeenCalledWith(1, { status: 'failed', engineLog });
+        expect(window.auditService.logEvent).toHaveBeenCalledWith('ERROR', expect.objectContaining({ engineLog }));
+    });
+
+    it('should prompt for a user password and re-enqueue the file with it', async () => {
+        const onStatus = vi.fn();
+        const onPasswordRequired = vi.fn().mockResolvedValue('s3cret');
+        const mockFile = {
+            type: 'application/pdf',
+            name: 'locked.pdf',
+            size: 100
+        };
+
+        await pdfService.startJob(1);
+        const processPromise = pdfService.processFile(mockFile, { onStatus, onPasswordRequired }, { returnBlob: true });
+
+        const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+        workers[0].onmessage({ data: { type: 'ready' } });
+
+        await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(
+            expect.objectContaining({ type: 'process' })
+        ));
+
+        workers[0].onmessage({ data: { type: 'password_required', name: 'locked.pdf', retry: false } });
+
+        await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(
+            expect.objectContaining({ type: 'process', password: 's3cret' })
+        ));
+        expect(onPasswordRequired).toHaveBeenCalledWith(false);
+
+        workers[0].onmessage({ 
+            data: { type: 'success', blob: new ArrayBuffer(4), name: 'locked.pdf', hash: 'hash123' } 
+        });
+
+        const result = await processPromise;
+        expect(result.hash).toBe('hash123');
+
+        // The password must never reach IndexedDB or the audit log
+        const persisted = JSON.stringify([
+            window.persistenceService.addFile.mock.calls,
+            window.persistenceService.updateFile.mock.calls,
+            window.auditService.logEvent.mock.calls
+        ]);
+        expect(persisted).not.toContain('s3cret');
+    });
+
+    it('should fail the task when the password prompt is skipped', async () => {
+        const onStatus = vi.fn();
+        const mockFile = {
+            type: 'application/pdf',
+            name: 'locked.pdf',
+            size: 100
+        };
+
+        const processPromise = pdfService.processFile(mockFile, { 
+            onStatus, 
+            onPasswordRequired: vi.fn().mockResolvedValue(null) 
+        }, { returnBlob: true });
+
+        const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+        workers[0].onmessage({ data: { type: 'ready' } });
+
+        await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(
+            expect.objectContaining({ type: 'process' })
+        ));
+
+        workers[0].onmessage({ data: { type: 'password_required', name: 'locked.pdf', retry: false } });
+
+        const result = await processPromise;
+        expect(result).toBeNull();
+        expect(onStatus).toHaveBeenCalledWith('error', 'Password Required', expect.any(String));
+        expect(pdfService.isProcessing).toBe(false);
+    });
+
+    it('should forward processing options to the worker without returnBlob', async () => {
+        const mockFile = {
+            type: 'application/pdf',
+            name: 'relock.pdf',
+            size: 100
+        };
+        const encryption = { ownerPassword: 'owner', keyLength: 256, permissions: { print: false } };
+
+        pdfService.processFile(mockFile, { onStatus: vi.fn() }, { returnBlob: true, mode: 'reencrypt', encryption });
+
+        const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+        workers[0].onmessage({ data: { type: 'ready' } });
+
+        await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(
+            expect.objectContaining({ type: 'process' })
+        ));
+
+        const processMsg = workers[0].postMessage.mock.calls.find(call => call[0].type === 'process')[0];
+        expect(processMsg.options).toEqual({ mode: 'reencrypt', encryption });
+    });
+
+    it('should auto-download with the index token and without reusing a downloaded name', async () => {
+        vi.stubGlobal('navigator', { hardwareConcurrency: 1 });
+        mockWindow.batchService = batchService;
+        const links = [];
+        document.createElement.mockImplementation(() => {
+            const link = { click: vi.fn() };
+            links.push(link);
+            return link;
+        });
+
+        const download = async (nameTemplate) => {
+            const processPromise = pdfService.processFile(
+                { type: 'application/pdf', name: 'same.pdf', size: 100 },
+                { onStatus: vi.fn() },
+                { returnBlob: false, nameTemplate }
+            );
+            const [worker] = mockWorkerConstructor.mock.results.map(r => r.value);
+            if (links.length === 0) worker.onmessage({ data: { type: 'ready' } });
+            await vi.waitFor(() => expect(worker.postMessage.mock.calls.filter(([msg]) => msg.type === 'process')).toHaveLength(links.length + 1));
+            worker.onmessage({ data: { type: 'success', blob: new ArrayBuffer(4), name: 'same.pdf', hash: 'abc123' } });
+            await processPromise;
+        };
+
+        await download('{name}');
+        await download('{name}');
+        await download('{index}_{name}');
+
+        expect(links.map(link => link.download)).toEqual(['same.pdf', 'same (2).pdf', '3_same.pdf']);
+    });
+
+    it('should merge unlocked files on a worker and persist one merged output', async () => {
+        const inputs = [
+            { name: 'b_unlocked.pdf', blob: new Blob(['b']) },
+            { name: 'a_unlocked.pdf', blob: new Blob(['a']) }
+        ];
+        window.persistenceService.getFilesByJob.mockResolvedValue([
+            { id: 7, jobId: 1, kind: 'merge', status: 'processing' },
+            { id: 8, jobId: 1, status: 'completed' }
+        ]);
+
+        await pdfService.startJob(2, { mode: 'merge' });
+        expect(window.persistenceService.createJob).toHaveBeenCalledWith({ totalFiles: 2, mode: 'merge' });
+
+        const mergePromise = pdfService.mergeFiles(inputs, 'Merged.pdf', { onStatus: vi.fn() });
+
+        const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+        workers[0].onmessage({ data: { type: 'ready' } });
+
+        await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(
+            { type: 'merge', files: inputs, name: 'Merged.pdf' }
+        ));
+
+        // An earlier, interrupted merge of this job is closed off
+        expect(window.persistenceService.updateFile).toHaveBeenCalledWith(7, { status: 'cancelled' });
+        expect(window.persistenceService.addFile).toHaveBeenCalledWith(expect.objectContaining({
+            jobId: 1,
+            name: 'Merged.pdf',
+            kind: 'merge',
+            originalBlob: null
+        }));
+
+        workers[0].onmessage({ 
+            data: { type: 'success', blob: new ArrayBuffer(4), name: 'Merged.pdf', hash: 'merged-hash', mode: 'merge' } 
+        });
+
+        const result = await mergePromise;
+        expect(result.blob).toBeDefined();
+        expect(result.mode).toBe('merge');
+        expect(window.persistenceService.updateFile).toHaveBeenCalledWith(1, expect.objectContaining({
+            status: 'completed',
+            hash: 'merged-hash',
+            mode: 'merge'
+        }));
+        expect(window.auditService.logEvent).toHaveBeenCalledWith('SUCCESS', expect.objectContaining({ file: 'Merged.pdf', mode: 'merge' }));
+    });
+
+    it('should collect split parts and resolve once the last part arrives', async () => {
+        const file = { type: 'application/pdf', name: 'report.pdf', size: 100 };
+        const split = { pages: '1-4', every: 2 };
+
+        await pdfService.startJob(1, { mode: 'split' });
+        const splitPromise = pdfService.WorkerPool.enqueue(file, { onStatus: vi.fn() }, { returnBlob: true, mode: 'split', split });
+
+        const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+        workers[0].onmessage({ data: { type: 'ready' } });
+
+        await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith({
+            type: 'split', file, name: 'report.pdf', password: undefined, options: { mode: 'split', split }
+        }));
+
+        workers[0].onmessage({ data: {
+            type: 'success', blob: new ArrayBuffer(4), name: 'report_pages_1-2.pdf', hash: 'hash-1', mode: 'split',
+            part: { index: 0, count: 2, pages: '1-2' }
+        } });
+        workers[0].onmessage({ data: {
+            type: 'success', blob: new ArrayBuffer(4), name: 'report_pages_3-4.pdf', hash: 'hash-2', mode: 'split',
+            part: { index: 1, count: 2, pages: '3-4' }
+        } });
+
+        const result = await splitPromise;
+        expect(result.mode).toBe('split');
+        expect(result.parts.map(part => [part.name, part.hash, part.pages])).toEqual([
+            ['report_pages_1-2.pdf', 'hash-1', '1-2'],
+            ['report_pages_3-4.pdf', 'hash-2', '3-4']
+        ]);
+        expect(window.persistenceService.updateFile).toHaveBeenCalledWith(1, expect.objectContaining({
+            status: 'completed',
+            parts: result.parts
+        }));
+        expect(window.auditService.logEvent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should organize pages without a new file record and replace the stored output', async () => {
+        await pdfService.startJob(1);
+        window.persistenceService.replaceOutput = vi.fn().mockResolvedValue(2);
+        window.persistenceService.addFile.mockClear();
+        const pages = [{ page: 2, rotate: 0 }, { page: 1, rotate: 90 }];
+
+        const organizePromise = pdfService.WorkerPool.organize(new Blob(['pdf']), 'a_unlocked.pdf', pages, { onStatus: vi.fn() }, { fileId: 5 });
+
+        const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+        workers[0].onmessage({ data: { type: 'ready' } });
+
+        await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'organize', name: 'a_unlocked.pdf', options: { mode: 'organize', pages }
+        })));
+        expect(window.persistenceService.addFile).not.toHaveBeenCalled();
+
+        workers[0].onmessage({ data: { type: 'success', blob: new ArrayBuffer(4), name: 'a_unlocked.pdf', hash: 'new-hash', mode: 'organize' } });
+
+        const result = await organizePromise;
+        expect(result.hash).toBe('new-hash');
+        expect(window.persistenceService.replaceOutput).toHaveBeenCalledWith(5, result.blob, 'new-hash', undefined);
+        expect(window.persistenceService.updateFile).not.toHaveBeenCalled();
+    });
+
     describe('WorkerPool', () => {
-        it('should initialize multiple workers based on hardwareConcurrency', () => {
+        it('should spawn workers lazily up to hardwareConcurrency', () => {
             vi.stubGlobal('navigator', { hardwareConcurrency: 4 });
             pdfService.WorkerPool.init();
+            expect(mockWorkerConstructor).toHaveBeenCalledTimes(1);
+            expect(pdfService.WorkerPool.maxPoolSize).toBe(4);
+
+            for (let i = 0; i < 6; i++) {
+                pdfService.WorkerPool.enqueue({ type: 'application/pdf', name: `${i}.pdf`, size: 100 }, { onStatus: vi.fn() });
+            }
+
             expect(mockWorkerConstructor).toHaveBeenCalledTimes(4);
+            expect(window.diagnosticsService.updatePoolStats).toHaveBeenLastCalledWith(expect.objectContaining({
+                poolSize: 4,
+                maxPoolSize: 4,
+                busyWorkers: 4,
+                inFlightBytes: 4 * 100 * 2
+            }));
+        });
+
+        it('should cap the pool by navigator.deviceMemory', () => {
+            vi.stubGlobal('navigator', { hardwareConcurrency: 16, deviceMemory: 2 });
+            pdfService.WorkerPool.init();
+            expect(pdfService.WorkerPool.maxPoolSize).toBe(2);
+        });
+
+        it('should hold large files back while the in-flight byte budget is exceeded', async () => {
+            vi.stubGlobal('navigator', { hardwareConcurrency: 4 });
+            pdfService.WorkerPool.init();
+            pdfService.WorkerPool.setByteBudget(1000);
+
+            const mockFile = (name, size) => ({ type: 'application/pdf', name, size });
+            pdfService.WorkerPool.enqueue(mockFile('big-1.pdf', 400), { onStatus: vi.fn() });
+            pdfService.WorkerPool.enqueue(mockFile('big-2.pdf', 400), { onStatus: vi.fn() });
+            pdfService.WorkerPool.enqueue(mockFile('small.pdf', 50), { onStatus: vi.fn() });
+
+            // big-1 (800 estimated bytes) runs; big-2 would exceed the budget, small.pdf fits
+            expect(mockWorkerConstructor).toHaveBeenCalledTimes(2);
+            const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+            workers.forEach(w => w.onmessage({ data: { type: 'ready' } }));
+
+            await vi.waitFor(() => expect(workers[1].postMessage).toHaveBeenCalledWith(
+                expect.objectContaining({ name: 'small.pdf' })
+            ));
+            expect(pdfService.WorkerPool.inFlightBytes).toBe(900);
+
+            // Once big-1 finishes, big-2 is admitted
+            workers[0].onmessage({ data: { type: 'success', blob: new ArrayBuffer(4), name: 'big-1.pdf', hash: 'h' } });
+            await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(
+                expect.objectContaining({ name: 'big-2.pdf' })
+            ));
+        });
+
+        it('should retire idle workers after a timeout but keep one warm', async () => {
+            vi.useFakeTimers();
+            try {
+                vi.stubGlobal('navigator', { hardwareConcurrency: 2 });
+                pdfService.WorkerPool.init();
+
+                const mockFile = (name) => ({ type: 'application/pdf', name, size: 100 });
+                const promises = [
+                    pdfService.WorkerPool.enqueue(mockFile('1.pdf'), { onStatus: vi.fn() }),
+                    pdfService.WorkerPool.enqueue(mockFile('2.pdf'), { onStatus: vi.fn() })
+                ];
+
+                const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+                expect(workers).toHaveLength(2);
+                workers.forEach((w, i) => {
+                    w.onmessage({ data: { type: 'ready' } });
+                    w.onmessage({ data: { type: 'error', main: 'Failed', sub: `${i}` } });
+                });
+                await Promise.all(promises);
+
+                await vi.advanceTimersByTimeAsync(60 * 1000);
+
+                expect(pdfService.WorkerPool.poolSize).toBe(1);
+                expect(workers[0].terminate.mock.calls.length + workers[1].terminate.mock.calls.length).toBe(1);
+            } finally {
+                vi.useRealTimers();
+            }
+        });
+
+        describe('scheduling', () => {
+            const mockFile = (name, size = 100) => ({ type: 'application/pdf', name, size });
+            const dispatchedNames = (worker) => worker.postMessage.mock.calls
+                .filter(call => call[0].type === 'process')
+                .map(call => call[0].name);
+
+            // One busy worker, so everything after the first file stays queued
+            async function fillQueue(files, configFor = () => undefined) {
+                vi.stubGlobal('navigator', { hardwareConcurrency: 1 });
+                pdfService.WorkerPool.init();
+                const worker = mockWorkerConstructor.mock.results[0].value;
+                worker.onmessage({ data: { type: 'ready' } });
+
+                const taskIds = {};
+                for (const file of files) {
+                    pdfService.WorkerPool.enqueue(file, {
+                        onStatus: vi.fn(),
+                        onEnqueued: (id) => { taskIds[file.name] = id; }
+                    }, configFor(file));
+                }
+                await vi.waitFor(() => expect(dispatchedNames(worker)).toHaveLength(1));
+                return { worker, taskIds };
+            }
+
+            async function drain(worker, count) {
+                for (let i = 0; i < count; i++) {
+                    const current = dispatchedNames(worker).length;
+                    worker.onmessage({ data: { type: 'error', main: 'Failed', sub: 'drain' } });
+                    await vi.waitFor(() => expect(dispatchedNames(worker).length).toBeGreaterThan(current));
+                }
+            }
+
+            it('should dispatch in FIFO order by default', async () => {
+                const { worker } = await fillQueue([mockFile('a.pdf', 300), mockFile('b.pdf', 200), mockFile('c.pdf', 100)]);
+                await drain(worker, 2);
+                expect(dispatchedNames(worker)).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+            });
+
+            it('should dispatch the smallest queued file first under smallest-first', async () => {
+                const { worker } = await fillQueue([mockFile('first.pdf'), mockFile('huge.pdf', 900), mockFile('mid.pdf', 500), mockFile('tiny.pdf', 10)]);
+                pdfService.WorkerPool.setSchedulingPolicy('smallest-first');
+                await drain(worker, 3);
+                expect(dispatchedNames(worker)).toEqual(['first.pdf', 'tiny.pdf', 'mid.pdf', 'huge.pdf']);
+            });
+
+            it('should let explicit priorities override the policy', async () => {
+                const { worker, taskIds } = await fillQueue(
+                    [mockFile('first.pdf'), mockFile('b.pdf'), mockFile('c.pdf'), mockFile('d.pdf')],
+                    (file) => file.name === 'c.pdf' ? { priority: 5 } : undefined
+                );
+                expect(pdfService.WorkerPool.moveToFront(taskIds['d.pdf'])).toBe(true);
+                expect(pdfService.WorkerPool.getQueueOrder()).toEqual([taskIds['d.pdf'], taskIds['c.pdf'], taskIds['b.pdf']]);
+
+                pdfService.WorkerPool.setQueueOrder([taskIds['b.pdf'], taskIds['d.pdf']]);
+                await drain(worker, 3);
+                expect(dispatchedNames(worker)).toEqual(['first.pdf', 'b.pdf', 'd.pdf', 'c.pdf']);
+
+                // Dispatched tasks can no longer be moved
+                expect(pdfService.WorkerPool.moveToFront(taskIds['first.pdf'])).toBe(false);
+            });
+
+            it('should record the policy and file order on the job by file record', async () => {
+                window.persistenceService.addFile.mockResolvedValueOnce(11).mockResolvedValueOnce(12);
+                await pdfService.startJob(3);
+                // Two files of the same name; the smaller one is resumed on its existing record
+                const { taskIds } = await fillQueue(
+                    [mockFile('a.pdf', 300), mockFile('dup.pdf', 200), mockFile('dup.pdf', 100)],
+                    (file) => file.size === 100 ? { fileRecordId: 42 } : undefined
+                );
+                await vi.waitFor(() => expect(window.persistenceService.updateFile).toHaveBeenCalledWith(42, { status: 'processing' }));
+                expect(window.persistenceService.addFile).toHaveBeenCalledTimes(2);
+
+                pdfService.WorkerPool.setSchedulingPolicy('smallest-first');
+                await vi.waitFor(() => expect(window.persistenceService.updateJob).toHaveBeenLastCalledWith(1, {
+                    schedulingPolicy: 'smallest-first',
+                    queueOrder: [11, 42, 12]
+                }));
+
+                pdfService.WorkerPool.setSchedulingPolicy('fifo');
+                pdfService.WorkerPool.moveToFront(taskIds['dup.pdf']);
+                await vi.waitFor(() => expect(window.persistenceService.updateJob).toHaveBeenLastCalledWith(1, {
+                    schedulingPolicy: 'fifo',
+                    queueOrder: [11, 42, 12]
+                }));
+            });
+
+            it('should not forward the priority to the worker', async () => {
+                const { worker } = await fillQueue([mockFile('a.pdf')], () => ({ priority: 3 }));
+                const processMsg = worker.postMessage.mock.calls.find(call => call[0].type === 'process')[0];
+                expect(processMsg.options).toBeUndefined();
+            });
         });
 
         it('should distribute tasks to idle workers', async () => {
@@ -492,5 +924,171 @@ describe('pdfService (Worker Proxy)', () => {
             );
             expect(thirdProcessed).toBe(false);
         });
+
+        it('should cancel a queued task without reaching a worker', async () => {
+            vi.stubGlobal('navigator', { hardwareConcurrency: 1 });
+            pdfService.WorkerPool.init();
+
+            const mockFile = (name) => ({ type: 'application/pdf', name, size: 100 });
+            const onStatus = vi.fn();
+            let queuedTaskId;
+
+            pdfService.WorkerPool.enqueue(mockFile('1.pdf'), { onStatus: vi.fn() });
+            const cancelledPromise = pdfService.WorkerPool.enqueue(mockFile('2.pdf'), {
+                onStatus,
+                onEnqueued: (taskId) => { queuedTaskId = taskId; }
+            });
+
+            const workers = mockWorkerConstructor.mock.results.map(r => r.value);
+            workers[0].onmessage({ data: { type: 'ready' } });
+            await vi.waitFor(() => expect(workers[0].postMessage).toHaveBeenCalledWith(
+                expect.objectContaining({ name: '1.pdf' })
+            ));
+
+            expect(pdfService.WorkerPool.cancel(queuedTaskId)).toBe(true);
+            await expect(cancelledPromise).resolves.toBeNull();
+
+            expect(onStatus).toHaveBeenCalledWith('cancelled', 'Cancelled', expect.any(String));
+            expect(window.auditService.logEvent).toHaveBeenCalledWith('CANCELLED', expect.objectContaining({ file: '2.pdf' }));
+            expect(workers[0].terminate).not.toHaveBeenCalled();
+            expect(pdfService.WorkerPool.cancel(queuedTaskId)).toBe(false);
+        });
+
+        it('should terminate and respawn the worker when a running task is cancelled', async () => {
+            vi.stubGlobal('navigator', { hardwareConcurrency: 1 });
+            pdfService.WorkerPool.init();
+
+            await pdfService.startJob(1);
+            let taskId;
+            const promise = pdfService.WorkerPool.enqueue(
+                { type: 'application/pdf', name: 'running.pdf', size: 100 },
+                { onStatus: vi.fn(), onEnqueued: (id) => { taskId = id; } }
+            );
+
+            const firstWorker = mockWorkerConstructor.mock.results[0].value;
+            firstWorker.onmessage({ data: { type: 'ready' } });
+            await vi.waitFor(() => expect(firstWorker.postMessage).toHaveBeenCalledWith(
+                expect.objectContaining({ type: 'process' })
+            ));
+
+            expect(pdfService.WorkerPool.cancel(taskId)).toBe(true);
+            await expect(promise).resolves.toBeNull();
+
+            expect(firstWorker.terminate).toHaveBeenCalled();
+            expect(mockWorkerConstructor).toHaveBeenCalledTimes(2);
+            expect(mockWorkerConstructor.mock.results[1].value.postMessage).toHaveBeenCalledWith({ type: 'init' });
+            expect(window.persistenceService.updateFile).toHaveBeenCalledWith(1, { status: 'cancelled' });
+            expect(pdfService.isProcessing).toBe(false);
+        });
+
+        it('should time out a wedged task and respawn its worker', async () => {
+            vi.stubGlobal('navigator', { hardwareConcurrency: 1 });
+            pdfService.WorkerPool.init();
+
+            const onStatus = vi.fn();
+            const promise = pdfService.WorkerPool.enqueue(
+                { type: 'application/pdf', name: 'wedged.pdf', size: 100 },
+                { onStatus },
+                { returnBlob: true, timeoutMs: 20 }
+            );
+
+            const firstWorker = mockWorkerConstructor.mock.results[0].value;
+            firstWorker.onmessage({ data: { type: 'ready' } });
+
+            await expect(promise).resolves.toBeNull();
+
+            expect(firstWorker.terminate).toHaveBeenCalled();
+            expect(mockWorkerConstructor).toHaveBeenCalledTimes(2);
+            expect(onStatus).toHaveBeenCalledWith('error', 'Timed Out', expect.any(String));
+            expect(window.auditService.logEvent).toHaveBeenCalledWith('TIMEOUT', expect.objectContaining({ file: 'wedged.pdf' }));
+            expect(window.diagnosticsService.recordError).toHaveBeenCalled();
+        });
+
+        it('should cancel every unfinished task in a job', async () => {
+            vi.stubGlobal('navigator', { hardwareConcurrency: 1 });
+            pdfService.WorkerPool.init();
+            await pdfService.startJob(2);
+
+            const mockFile = (name) => ({ type: 'application/pdf', name, size: 100 });
+            const promises = [
+                pdfService.WorkerPool.enqueue(mockFile('a.pdf'), { onStatus: vi.fn() }),
+                pdfService.WorkerPool.enqueue(mockFile('b.pdf'), { onStatus: vi.fn() })
+            ];
+
+            // Let both file records be written before cancelling
+            await vi.waitFor(() => expect(window.persistenceService.addFile).toHaveBeenCalledTimes(2));
+
+            expect(pdfService.cancelJob(1)).toBe(2);
+            await expect(Promise.all(promises)).resolves.toEqual([null, null]);
+        });
+
+        it('should close interrupted files that are not resumed and log why', async () => {
+            window.persistenceService.getFile = vi.fn().mockImplementation((id) => Promise.resolve({ id, name: `file${id}.pdf` }));
+            window.persistenceService.getFilesByJob.mockResolvedValue([{ id: 1, status: 'completed' }, { id: 2, status: 'cancelled' }]);
+
+            await pdfService.cancelInterruptedFiles(4, [2], 'Passwords are not stored.');
+
+            expect(window.persistenceService.updateFile).toHaveBeenCalledWith(2, { status: 'cancelled' });
+            expect(window.auditService.logEvent).toHaveBeenCalledWith('CANCELLED', {
+                file: 'file2.pdf',
+                error: 'Not Resumed',
+                details: 'Passwords are not stored.'
+            });
+            expect(window.persistenceService.updateJob).toHaveBeenCalledWith(4, { processedCount: 2, status: 'completed' });
+        });
+
+        it('should respawn a crashed worker and retry the file once via WorkerFS', async () => {
+            vi.stubGlobal('navigator', { hardwareConcurrency: 1 });
+            pdfService.WorkerPool.init();
+
+            const mockFile = { type: 'application/pdf', name: 'heavy.pdf', size: 100 };
+            const promise = pdfService.WorkerPool.enqueue(mockFile, { onStatus: vi.fn() }, { returnBlob: true });
+
+            const firstWorker = mockWorkerConstructor.mock.results[0].value;
+            firstWorker.onmessage({ data: { type: 'ready' } });
+            await vi.waitFor(() => expect(firstWorker.postMessage).toHaveBeenCalledWith(
+                expect.objectContaining({ type: 'process' })
+            ));
+
+            firstWorker.onmessage({ data: { type: 'error', main: 'Engine Crashed', sub: 'OOM', fatal: true } });
+
+            expect(firstWorker.terminate).toHaveBeenCalled();
+            expect(window.diagnosticsService.recordWorkerRespawn).toHaveBeenCalledWith('crash');
+
+            const secondWorker = mockWorkerConstructor.mock.results[1].value;
+            secondWorker.onmessage({ data: { type: 'ready' } });
+            await vi.waitFor(() => expect(secondWorker.postMessage).toHaveBeenCalledWith(
+                expect.objectContaining({ type: 'process', options: { forceWorkerFS: true } })
+            ));
+
+            secondWorker.onmessage({ data: { type: 'success', blob: new ArrayBuffer(4), name: 'heavy.pdf', hash: 'retry-hash' } });
+
+            const result = await promise;
+            expect(result.hash).toBe('retry-hash');
+            expect(window.auditService.logEvent).not.toHaveBeenCalledWith('ERROR', expect.anything());
+        });
+
+        it('should fail the file if the retry crashes too', async () => {
+            vi.stubGlobal('navigator', { hardwareConcurrency: 1 });
+            pdfService.WorkerPool.init();
+
+            const onStatus = vi.fn();
+            const promise = pdfService.WorkerPool.enqueue({ type: 'application/pdf', name: 'bomb.pdf', size: 100 }, { onStatus });
+
+            for (let i = 0; i < 2; i++) {
+                const worker = mockWorkerConstructor.mock.results[i].value;
+                worker.onmessage({ data: { type: 'ready' } });
+                await vi.waitFor(() => expect(worker.postMessage).toHaveBeenCalledWith(
+                    expect.objectContaining({ type: 'process' })
+                ));
+                // An uncaught exception inside the worker surfaces as onerror
+                worker.onerror(new Error('boom'));
+            }
+
+            await expect(promise).resolves.toBeNull();
+            expect(mockWorkerConstructor).toHaveBeenCalledTimes(3);
+            expect(window.diagnosticsService.recordWorkerRespawn).toHaveBeenCalledTimes(2);
+            expect(onStatus).toHaveBeenCalledWith('error', 'Worker Error', expect.any(String));
+        });
     });
 });
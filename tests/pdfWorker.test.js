@@ -22,6 +22,7 @@ describe('pdfWorker', () => {
         
         // Mock global Module for Emscripten
         mockModule = vi.fn().mockImplementation(async (options) => {
+            mockModule.options = options;
             const moduleInstance = mockModule.instance || { 
                 FS: { 
                     writeFile: vi.fn(), 
@@ -198,6 +199,7 @@ describe('pdfWorker', () => {
 
         const successMsg = postMessage.mock.calls.find(call => call[0].type === 'success')[0];
         expect(successMsg.hash).toHaveLength(64); // SHA-256 hex string
+        expect(successMsg.inputHash).toHaveLength(64); // Input SHA-256, recorded alongside
 
         // Verify MEMFS interactions (for small files)
         expect(mockQpdf.FS.writeFile).toHaveBeenCalled();
@@ -293,12 +295,859 @@ describe('pdfWorker', () => {
         expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ 
             type: 'success', 
             streamed: true,
-            hash: expect.stringContaining('streamed-')
+            // Hashed chunk by chunk as it is streamed: 250MB + 1KB of 0xAA
+            hash: 'e2de4835310eee5275568421c0b6f77e26003f7d158355a976038bd80ac6c207'
         }));
 
         // Verify FS interactions for streaming
         expect(mockQpdf.FS.open).toHaveBeenCalled();
         expect(mockQpdf.FS.read).toHaveBeenCalled();
         expect(mockQpdf.FS.close).toHaveBeenCalled();
+    }, 30000);
+
+    it('should report password_required when the user password is missing', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn(),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            // --requires-password exits 0 when the file cannot be opened
+            callMain: vi.fn().mockImplementation(args => args[0] === '--requires-password' ? 0 : 2)
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'locked.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'locked.pdf' } });
+
+        expect(postMessage).toHaveBeenCalledWith({ type: 'password_required', name: 'locked.pdf', retry: false });
+        expect(mockQpdf.callMain).not.toHaveBeenCalledWith(expect.arrayContaining(['--decrypt']));
+        expect(postMessage).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'error' }));
+        // MEMFS input is still cleaned up
+        expect(mockQpdf.FS.unlink).toHaveBeenCalled();
+    });
+
+    it('should pass a supplied password to qpdf when decrypting', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => args[0] === '--requires-password' ? 3 : 0)
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'locked.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'locked.pdf', password: 's3cret' } });
+
+        expect(mockQpdf.callMain).toHaveBeenCalledWith(expect.arrayContaining(['--decrypt', '--password=s3cret']));
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'success' }), expect.any(Array));
+    });
+
+    it('should return a structured encryption report with the success message', async () => {
+        const encryptJson = JSON.stringify({
+            version: 2,
+            encrypt: {
+                encrypted: true,
+                userpasswordmatched: true,
+                capabilities: {
+                    printlow: false,
+                    printhigh: false,
+                    modifyother: false,
+                    extract: true,
+                    modifyannotations: true,
+                    modifyforms: true,
+                    modifyassembly: false
+                },
+                parameters: { R: 6, V: 5, bits: 256, method: 'AESv3' }
+            }
+        }, null, 2);
+
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 3;
+                if (args.includes('--json-key=encrypt')) {
+                    // qpdf prints JSON line by line through Module.print
+                    encryptJson.split('\n').forEach(line => mockModule.options.print(line));
+                }
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'restricted.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'restricted.pdf' } });
+
+        const successMsg = postMessage.mock.calls.find(call => call[0].type === 'success')[0];
+        expect(successMsg.encryption).toEqual({
+            encrypted: true,
+            algorithm: 'AES-256',
+            keyBits: 256,
+            revision: 6,
+            version: 5,
+            hasUserPassword: false,
+            permissions: {
+                print: false,
+                printHighRes: false,
+                modify: false,
+                extract: true,
+                annotate: true,
+                fillForms: true,
+                assemble: false
+            }
+        });
+    });
+
+    it('should re-encrypt with the configured profile instead of decrypting', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => args[0] === '--requires-password' ? 3 : 0)
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'relock.pdf';
+
+        await workerScope.onmessage({ 
+            data: { 
+                type: 'process', 
+                file, 
+                name: 'relock.pdf',
+                options: {
+                    mode: 'reencrypt',
+                    encryption: {
+                        ownerPassword: 'owner',
+                        keyLength: 256,
+                        permissions: { print: true, printHighRes: false, extract: false }
+                    }
+                }
+            } 
+        });
+
+        const writeCall = mockQpdf.callMain.mock.calls.find(call => call[0].includes('--encrypt'));
+        expect(writeCall[0]).toEqual(expect.arrayContaining([
+            '--encrypt', '--owner-password=owner', '--bits=256', '--print=low', '--extract=n', '--modify-other=y', '--'
+        ]));
+        expect(writeCall[0]).not.toContain('--decrypt');
+        expect(writeCall[0].some(arg => arg.startsWith('--user-password'))).toBe(false);
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'success', mode: 'reencrypt' }), expect.any(Array));
+    });
+
+    it('should reject re-encryption without an owner password', async () => {
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+
+        await workerScope.onmessage({ 
+            data: { type: 'process', file, name: 'relock.pdf', options: { mode: 'reencrypt', encryption: {} } } 
+        });
+
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'error', main: 'Invalid Settings' }));
+    });
+
+    it('should mount via WorkerFS when a crash retry forces it', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                mkdir: vi.fn(),
+                mount: vi.fn(),
+                unmount: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => args[0] === '--requires-password' ? 2 : 0)
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'small.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'small.pdf', options: { forceWorkerFS: true } } });
+
+        expect(mockQpdf.FS.mount).toHaveBeenCalledWith(mockQpdf.WORKERFS, { files: [file] }, '/mnt');
+        expect(mockQpdf.FS.writeFile).not.toHaveBeenCalled();
+        expect(mockQpdf.FS.unmount).toHaveBeenCalledWith('/mnt');
+        // Mounted inputs are hashed incrementally, without WebCrypto: the real SHA-256 of the 5 input bytes
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'success',
+            inputHash: 'bf84f404f8c87183bafd56762e8cb4238508058269d3110d1057cc08720a0cbb'
+        }), expect.any(Array));
+    });
+
+    it('should flag a WASM abort as a fatal engine error', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn(),
+                unlink: vi.fn(),
+                stat: vi.fn()
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(() => {
+                throw new Error('Aborted(Cannot enlarge memory arrays)');
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'huge.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'huge.pdf' } });
+
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'error',
+            main: 'Engine Crashed',
+            fatal: true
+        }));
+    });
+
+    it('should merge unlocked documents in order via qpdf --pages', async () => {
+        const mockQpdf = {
+            FS: {
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                mkdir: vi.fn(),
+                mount: vi.fn(),
+                unmount: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockReturnValue(0)
+        };
+        mockModule.instance = mockQpdf;
+
+        const files = [
+            { name: 'b_unlocked.pdf', blob: new Blob([new Uint8Array([1])]) },
+            { name: 'a_unlocked.pdf', blob: new Blob([new Uint8Array([2])]) }
+        ];
+
+        await workerScope.onmessage({ data: { type: 'merge', files, name: 'Merged.pdf' } });
+
+        expect(mockQpdf.FS.mount).toHaveBeenCalledWith(mockQpdf.WORKERFS, {
+            blobs: [{ name: '0.pdf', data: files[0].blob }, { name: '1.pdf', data: files[1].blob }]
+        }, '/merge');
+        const args = mockQpdf.callMain.mock.calls[0][0];
+        expect(args.slice(0, 5)).toEqual(['--empty', '--pages', '/merge/0.pdf', '/merge/1.pdf', '--']);
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'success',
+            name: 'Merged.pdf',
+            mode: 'merge'
+        }), expect.any(Array));
+        expect(mockQpdf.FS.unmount).toHaveBeenCalledWith('/merge');
+    });
+
+    it('should report a failed merge when qpdf exits with an error', async () => {
+        const mockQpdf = {
+            FS: { mkdir: vi.fn(), mount: vi.fn(), unmount: vi.fn(), stat: vi.fn() },
+            WORKERFS: {},
+            callMain: vi.fn().mockReturnValue(2)
+        };
+        mockModule.instance = mockQpdf;
+
+        const files = [
+            { name: 'a.pdf', blob: new Blob([new Uint8Array([1])]) },
+            { name: 'b.pdf', blob: new Blob([new Uint8Array([2])]) }
+        ];
+
+        await workerScope.onmessage({ data: { type: 'merge', files, name: 'Merged.pdf' } });
+
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'error', main: 'Merge Failed' }));
+        expect(mockQpdf.FS.stat).not.toHaveBeenCalled();
+        expect(mockQpdf.FS.unmount).toHaveBeenCalledWith('/merge');
+    });
+
+    it('should split a page selection into one success message per part', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                readdir: vi.fn().mockReturnValue(['.', '..', 'part-3-4.pdf', 'part-1-2.pdf']),
+                unlink: vi.fn(),
+                mkdir: vi.fn(),
+                rmdir: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[0] === '--show-npages') mockModule.options.print('4');
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'report.pdf';
+
+        await workerScope.onmessage({
+            data: { type: 'split', file, name: 'report.pdf', options: { mode: 'split', split: { pages: '1-4', every: 2 } } }
+        });
+
+        const splitArgs = mockQpdf.callMain.mock.calls.find(([args]) => args.includes('--split-pages=2'))[0];
+        expect(splitArgs).toEqual(expect.arrayContaining(['--decrypt', '--pages', '.', '1-4', '--']));
+        expect(splitArgs[splitArgs.length - 1]).toMatch(/\/part-%d\.pdf$/);
+
+        const successes = postMessage.mock.calls.map(([msg]) => msg).filter(msg => msg.type === 'success');
+        expect(successes.map(msg => msg.name)).toEqual(['report_pages_1-2.pdf', 'report_pages_3-4.pdf']);
+        expect(successes.map(msg => msg.part)).toEqual([
+            { index: 0, count: 2, pages: '1-2' },
+            { index: 1, count: 2, pages: '3-4' }
+        ]);
+        expect(successes[0].mode).toBe('split');
+        expect(mockQpdf.FS.rmdir).toHaveBeenCalled();
+    });
+
+    it('should reject pages past the end of the document and report other split failures as corruption', async () => {
+        let splitExitCode = 0;
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readdir: vi.fn().mockReturnValue(['.', '..']),
+                unlink: vi.fn(),
+                mkdir: vi.fn(),
+                rmdir: vi.fn()
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[0] === '--show-npages') {
+                    mockModule.options.print('4');
+                    return 0;
+                }
+                return args[0] === '--decrypt' ? splitExitCode : 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'report.pdf';
+        const split = (pages) => workerScope.onmessage({
+            data: { type: 'split', file, name: 'report.pdf', options: { mode: 'split', split: { pages, every: 0 } } }
+        });
+
+        await split('2-5');
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'error',
+            sub: 'The selected pages do not exist in this document (4 pages).'
+        }));
+        expect(mockQpdf.callMain.mock.calls.some(([args]) => args[0] === '--decrypt')).toBe(false);
+
+        postMessage.mockClear();
+        splitExitCode = 2;
+        await split('r4-z');
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'error',
+            main: 'Extraction Failed',
+            sub: 'The document appears to be corrupted or too heavily encrypted.'
+        }));
+    });
+
+    it('should reject an invalid page selection before touching the file', async () => {
+        const mockQpdf = { FS: { writeFile: vi.fn(), mkdir: vi.fn() }, WORKERFS: {}, callMain: vi.fn() };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'report.pdf';
+
+        await workerScope.onmessage({
+            data: { type: 'split', file, name: 'report.pdf', options: { mode: 'split', split: { pages: 'first three' } } }
+        });
+
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'error', main: 'Invalid Settings' }));
+        expect(mockQpdf.callMain).not.toHaveBeenCalled();
+        expect(mockQpdf.FS.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reorder and rotate pages via qpdf --pages and --rotate', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockReturnValue(0)
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'scan_unlocked.pdf';
+        const pages = [{ page: 3, rotate: 0 }, { page: 1, rotate: 90 }, { page: 2, rotate: 270 }];
+
+        await workerScope.onmessage({ data: { type: 'organize', file, name: 'scan_unlocked.pdf', options: { mode: 'organize', pages } } });
+
+        const args = mockQpdf.callMain.mock.calls[0][0];
+        expect(args.slice(0, 2)).toEqual(['--rotate=+90:2', '--rotate=+270:3']);
+        expect(args.slice(3, 7)).toEqual(['--pages', '.', '3,1,2', '--']);
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'success',
+            name: 'scan_unlocked.pdf',
+            mode: 'organize'
+        }), expect.any(Array));
+    });
+
+    it('should report the page count for the organizer', async () => {
+        const mockQpdf = {
+            FS: { writeFile: vi.fn(), unlink: vi.fn() },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(() => {
+                mockModule.options.print('12');
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'scan_unlocked.pdf';
+
+        await workerScope.onmessage({ data: { type: 'count_pages', file, name: 'scan_unlocked.pdf' } });
+
+        expect(mockQpdf.callMain.mock.calls[0][0][0]).toBe('--show-npages');
+        expect(postMessage).toHaveBeenCalledWith({ type: 'page_count', count: 12 });
+    });
+
+    it('should linearize on request and report the verified result', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[0] === '--check-linearization') mockModule.options.print('output.pdf: no linearization errors');
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'intranet.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'intranet.pdf', options: { linearize: true } } });
+
+        const decryptArgs = mockQpdf.callMain.mock.calls.find(([args]) => args[0] === '--decrypt')[0];
+        expect(decryptArgs).toContain('--linearize');
+        expect(mockQpdf.callMain.mock.calls.some(([args]) => args[0] === '--check-linearization')).toBe(true);
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'success',
+            linearized: true
+        }), expect.any(Array));
+    });
+
+    it('should recompress with the size profile and report the savings', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 2 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => args[0] === '--requires-password' ? 2 : 0)
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00, 0x00, 0x00, 0x00])]);
+        file.name = 'bloated.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'bloated.pdf', options: { profile: 'size' } } });
+
+        const decryptArgs = mockQpdf.callMain.mock.calls.find(([args]) => args[0] === '--decrypt')[0];
+        expect(decryptArgs).toEqual(expect.arrayContaining(['--object-streams=generate', '--compress-streams=y', '--remove-unreferenced-resources=yes']));
+        expect(decryptArgs).not.toContain('--decode-level=none');
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'success',
+            sizeReport: { originalSize: 8, outputSize: 2, savedPercent: 75 }
+        }), expect.any(Array));
+    });
+
+    it('should keep the chosen profile and report the warnings when qpdf only warns', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 2 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[0] === '--decrypt') {
+                    mockModule.options.printErr(`WARNING: ${args[args.length - 2]} (offset 1024): xref not found`);
+                    mockModule.options.printErr('qpdf: operation succeeded with warnings');
+                    return 3;
+                }
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'noisy.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'noisy.pdf', options: { profile: 'size' } } });
+
+        const writeCalls = mockQpdf.callMain.mock.calls.filter(([args]) => args[0] === '--decrypt');
+        expect(writeCalls).toHaveLength(1);
+        expect(writeCalls[0][0]).toContain('--object-streams=generate');
+        expect(mockQpdf.callMain.mock.calls.some(([args]) => args[0] === '--check')).toBe(false);
+
+        const success = postMessage.mock.calls.map(([msg]) => msg).find(msg => msg.type === 'success');
+        expect(success.warnings).toEqual(['noisy.pdf (offset 1024): xref not found']);
+        expect(success.repairWarnings).toBeUndefined();
+        expect(success.sizeReport).toEqual({ originalSize: 5, outputSize: 2, savedPercent: 60 });
+    });
+
+    it('should repair a file qpdf cannot write with its profile and return the qpdf warnings', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[0] === '--decrypt' && !args.includes('--warning-exit-0')) {
+                    mockModule.options.printErr(`WARNING: ${args[args.length - 2]}: file is damaged`);
+                    mockModule.options.printErr(`ERROR: ${args[args.length - 2]} (offset 1024): xref not found`);
+                    return 2;
+                }
+                if (args[0] === '--decrypt') {
+                    mockModule.options.printErr(`WARNING: ${args[args.length - 2]}: file is damaged`);
+                }
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'broken.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'broken.pdf' } });
+
+        const writeCalls = mockQpdf.callMain.mock.calls.filter(([args]) => args[0] === '--decrypt');
+        expect(writeCalls).toHaveLength(2);
+        expect(writeCalls[0][0]).toContain('--decode-level=none');
+        expect(writeCalls[1][0]).toEqual(expect.arrayContaining(['--object-streams=disable', '--warning-exit-0']));
+        expect(writeCalls[1][0]).not.toContain('--decode-level=none');
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'success',
+            repairWarnings: ['broken.pdf: file is damaged', 'broken.pdf (offset 1024): xref not found']
+        }), expect.any(Array));
+    });
+
+    it('should not report size savings for a damaged file written with the repair settings', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 2 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[0] === '--decrypt' && !args.includes('--warning-exit-0')) {
+                    mockModule.options.printErr(`ERROR: ${args[args.length - 2]}: file is damaged`);
+                    return 2;
+                }
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'broken.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'broken.pdf', options: { profile: 'size' } } });
+
+        const writeCalls = mockQpdf.callMain.mock.calls.filter(([args]) => args[0] === '--decrypt');
+        expect(writeCalls[1][0]).not.toContain('--object-streams=generate');
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'success',
+            sizeReport: { skipped: 'repair' }
+        }), expect.any(Array));
+    });
+
+    it('should fail with the first warning when a damaged file cannot be repaired', async () => {
+        const mockQpdf = {
+            FS: { writeFile: vi.fn(), unlink: vi.fn(), stat: vi.fn() },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[0] === '--decrypt') {
+                    mockModule.options.printErr(`ERROR: ${args[args.length - 2]}: unable to find trailer dictionary`);
+                }
+                return 2;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'shredded.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'shredded.pdf' } });
+
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'error',
+            main: 'Repair Failed',
+            sub: 'shredded.pdf: unable to find trailer dictionary'
+        }));
+        expect(mockQpdf.FS.stat).not.toHaveBeenCalled();
+    });
+
+    it('should attach the task engine log to its final message', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[0] === '--decrypt') {
+                    mockModule.options.print('qpdf: wrote file');
+                    mockModule.options.printErr('WARNING: object 12 0: stream has wrong length');
+                }
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'noisy.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'noisy.pdf', password: 'secret' } });
+
+        const success = postMessage.mock.calls.map(([msg]) => msg).find(msg => msg.type === 'success');
+        expect(success.engineLog).toEqual([
+            { stream: 'stdout', text: 'qpdf: wrote file' },
+            { stream: 'stderr', text: 'WARNING: object 12 0: stream has wrong length' }
+        ]);
+        expect(JSON.stringify(success.engineLog)).not.toContain('secret');
+    });
+
+    it('should keep probe output out of the engine log and the write warnings in it', async () => {
+        const objects = {};
+        for (let i = 1; i <= 600; i++) {
+            objects[`obj:${i} 0 R`] = { value: { '/Type': '/Page' } };
+        }
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[1] === '--json-key=qpdf') {
+                    // Pretty-printed, so the dump alone is well over MAX_ENGINE_LOG_LINES
+                    JSON.stringify({ qpdf: [{ jsonversion: 2 }, objects] }, null, 2)
+                        .split('\n')
+                        .forEach(line => mockModule.options.print(line));
+                }
+                if (args[0] === '--decrypt') {
+                    mockModule.options.printErr('WARNING: object 12 0: stream has wrong length');
+                }
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'big.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'big.pdf', options: { sanitize: true } } });
+
+        const success = postMessage.mock.calls.map(([msg]) => msg).find(msg => msg.type === 'success');
+        expect(success.engineLog).toEqual([
+            { stream: 'stderr', text: 'WARNING: object 12 0: stream has wrong length' }
+        ]);
+    });
+
+    it('should strip metadata, actions and scripts via --update-from-json when sanitizing', async () => {
+        const objects = {
+            'obj:1 0 R': { value: { '/Type': '/Catalog', '/Pages': '2 0 R', '/Metadata': '4 0 R', '/OpenAction': '5 0 R', '/Names': { '/JavaScript': '6 0 R' } } },
+            'obj:2 0 R': { value: { '/Type': '/Pages', '/Kids': [], '/Count': 0 } },
+            'obj:3 0 R': { value: { '/Author': 'u:Jane', '/Producer': 'u:Writer' } },
+            'obj:4 0 R': { stream: { dict: { '/Type': '/Metadata', '/Subtype': '/XML' } } },
+            'obj:5 0 R': { value: { '/S': '/JavaScript', '/JS': 'u:app.alert(1)' } },
+            'trailer': { value: { '/Root': '1 0 R', '/Info': '3 0 R', '/Size': 7 } }
+        };
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[1] === '--json-key=qpdf') {
+                    mockModule.options.print(JSON.stringify({ qpdf: [{ jsonversion: 2 }, objects] }));
+                }
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'shared.pdf';
+
+        await workerScope.onmessage({ data: { type: 'process', file, name: 'shared.pdf', options: { sanitize: true } } });
+
+        const writeArgs = mockQpdf.callMain.mock.calls.find(([args]) => args[0] === '--decrypt')[0];
+        const updateArg = writeArgs.find(arg => arg.startsWith('--update-from-json='));
+        const updatePath = updateArg.split('=')[1];
+        const [, updates] = JSON.parse(mockQpdf.FS.writeFile.mock.calls.find(([path]) => path === updatePath)[1]).qpdf;
+
+        expect(updates.trailer.value).toEqual({ '/Root': '1 0 R', '/Size': 7 });
+        expect(updates['obj:1 0 R'].value).toEqual({ '/Type': '/Catalog', '/Pages': '2 0 R', '/Names': {} });
+        expect(updates['obj:5 0 R'].value['/JS']).toBe('u:');
+        expect(mockQpdf.FS.unlink).toHaveBeenCalledWith(updatePath);
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'success',
+            sanitized: [
+                'Info: Author',
+                'Info: Producer',
+                'XMP metadata stream',
+                'Document open action',
+                'Document JavaScript',
+                'JavaScript action (object 5 0 R)'
+            ]
+        }), expect.any(Array));
+    });
+
+    it('should list attachments and extract each one through a redirected stdout', async () => {
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn().mockReturnValue(new Uint8Array([0x50, 0x4B, 0x03, 0x04])),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 }),
+                streams: [{}, { fd: 1 }, {}],
+                open: vi.fn().mockReturnValue({ fd: 1 }),
+                close: vi.fn()
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--list-attachments') {
+                    mockModule.options.print('budget.xlsx -> 6,0');
+                    mockModule.options.print('notes/readme.txt -> 8,0');
+                }
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'portfolio.pdf';
+
+        await workerScope.onmessage({ data: { type: 'attachments', file, name: 'portfolio.pdf' } });
+
+        const showCalls = mockQpdf.callMain.mock.calls.filter(([args]) => args[0].startsWith('--show-attachment='));
+        expect(showCalls.map(([args]) => args[0])).toEqual(['--show-attachment=budget.xlsx', '--show-attachment=notes/readme.txt']);
+        // stdout is reopened on the console device after every extraction
+        expect(mockQpdf.FS.open).toHaveBeenCalledWith('/dev/stdout', 1);
+        expect(postMessage).toHaveBeenCalledWith({
+            type: 'attachments',
+            attachments: [
+                { name: 'budget.xlsx', data: expect.any(ArrayBuffer) },
+                { name: 'notes_readme.txt', data: expect.any(ArrayBuffer) }
+            ]
+        }, expect.any(Array));
+    });
+
+    it('should summarize the document structure for the inspector', async () => {
+        const json = {
+            qpdf: [{ jsonversion: 2, pdfversion: '1.7' }, {
+                'obj:1 0 R': { value: { '/Type': '/Catalog', '/Pages': '2 0 R' } },
+                'obj:2 0 R': { value: { '/Type': '/Pages', '/MediaBox': [0, 0, 595, 842], '/Kids': ['3 0 R', '4 0 R'] } },
+                'obj:3 0 R': { value: { '/Type': '/Page', '/Parent': '2 0 R' } },
+                'obj:4 0 R': { value: { '/Type': '/Page', '/Parent': '2 0 R', '/Rotate': 90 } },
+                'obj:5 0 R': { value: { '/Type': '/Font', '/Subtype': '/TrueType', '/BaseFont': '/Arial', '/FontDescriptor': '6 0 R' } },
+                'obj:6 0 R': { value: { '/Type': '/FontDescriptor', '/FontFile2': '7 0 R' } },
+                'obj:7 0 R': { stream: { dict: { '/Length': 100 } } },
+                'obj:8 0 R': { value: { '/Type': '/Font', '/Subtype': '/Type1', '/BaseFont': '/Helvetica' } },
+                'trailer': { value: { '/Root': '1 0 R' } }
+            }],
+            pages: [{ object: '3 0 R' }, { object: '4 0 R' }],
+            acroform: { fields: [{ fullname: 'name', fieldtype: '/Tx' }] },
+            outlines: [{ title: 'Intro', destpageposfrom1: 1, kids: [{ title: 'Scope', destpageposfrom1: 2, kids: [] }] }]
+        };
+        const mockQpdf = {
+            FS: {
+                writeFile: vi.fn(),
+                readFile: vi.fn(),
+                unlink: vi.fn(),
+                stat: vi.fn().mockReturnValue({ size: 100 })
+            },
+            WORKERFS: {},
+            callMain: vi.fn().mockImplementation(args => {
+                if (args[0] === '--requires-password') return 2;
+                if (args[1] === '--json-key=qpdf') mockModule.options.print(JSON.stringify(json));
+                return 0;
+            })
+        };
+        mockModule.instance = mockQpdf;
+
+        const file = new Blob([new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00])]);
+        file.name = 'triage.pdf';
+
+        await workerScope.onmessage({ data: { type: 'inspect', file, name: 'triage.pdf' } });
+
+        expect(postMessage).toHaveBeenCalledWith({
+            type: 'inspection',
+            report: {
+                pdfVersion: '1.7',
+                pageCount: 2,
+                pageSizes: [{ width: 595, height: 842, count: 1 }, { width: 842, height: 595, count: 1 }],
+                fonts: [
+                    { name: 'Arial', type: 'TrueType', embedded: true },
+                    { name: 'Helvetica', type: 'Type1', embedded: false }
+                ],
+                formFields: [{ name: 'name', type: 'Text' }],
+                formFieldCount: 1,
+                outline: [{ title: 'Intro', page: 1, depth: 0 }, { title: 'Scope', page: 2, depth: 1 }],
+                objects: { total: 8, streams: 1 },
+                encryption: null
+            }
+        });
     });
 });
+
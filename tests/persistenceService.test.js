@@ -145,6 +145,20 @@ describe('PersistenceService', () => {
         }));
     });
 
+    it('should replace a file output and bump its revision', async () => {
+        mockStore.get.mockImplementation(() => {
+            const req = { onsuccess: null, onerror: null, result: { id: 1, outputBlob: 'old', hash: 'old-hash', revision: 1 } };
+            setTimeout(() => {
+                if (req.onsuccess) req.onsuccess();
+            }, 0);
+            return req;
+        });
+
+        const revision = await persistenceService.replaceOutput(1, 'new', 'new-hash');
+        expect(revision).toBe(2);
+        expect(mockStore.put).toHaveBeenCalledWith({ id: 1, outputBlob: 'new', hash: 'new-hash', revision: 2, updatedAt: expect.any(Number) });
+    });
+
     it('should get incomplete jobs', async () => {
         const mockJob = { id: 1, status: 'processing' };
         mockIndex.openCursor.mockImplementation(() => {
@@ -260,4 +274,61 @@ describe('PersistenceService', () => {
         const metrics = await persistenceService.getRecentMetrics(10);
         expect(metrics).toContainEqual(mockMetric);
     });
+
+    it('should delete the chunks of finished and missing files, timed-out ones included', async () => {
+        const files = ['processing', 'completed', 'failed', 'cancelled', 'timed_out'].map((status, i) => ({ id: i + 1, status }));
+        const chunks = [1, 2, 3, 4, 5, 99].map(fileId => ({ fileId }));
+        const deletedFileIds = [];
+
+        // The files store is walked first, then the chunks store
+        const walks = [files, chunks];
+        mockStore.openCursor = vi.fn().mockImplementation(() => {
+            const rows = walks.shift();
+            const req = { onsuccess: null, onerror: null };
+            const emit = (position) => setTimeout(() => {
+                const row = rows[position];
+                if (!row && walks.length === 0) setTimeout(() => mockTransaction.oncomplete(), 0);
+                req.onsuccess({ target: { result: row ? {
+                    value: row,
+                    delete: () => deletedFileIds.push(row.fileId),
+                    continue: () => emit(position + 1)
+                } : null } });
+            }, 0);
+            emit(0);
+            return req;
+        });
+
+        expect(await persistenceService.deleteStaleChunks()).toBe(5);
+        expect(deletedFileIds).toEqual([2, 3, 4, 5, 99]);
+    });
+
+    it('should clear a file output and its part blobs but keep their hashes', async () => {
+        mockStore.get.mockImplementation(() => {
+            const req = {
+                onsuccess: null,
+                onerror: null,
+                result: {
+                    id: 1,
+                    status: 'completed',
+                    outputBlob: new Blob(['x']),
+                    parts: [{ name: 'a_part1.pdf', hash: 'abc', blob: new Blob(['y']) }]
+                }
+            };
+            setTimeout(() => req.onsuccess(), 0);
+            return req;
+        });
+        mockStore.put.mockImplementation(() => {
+            setTimeout(() => mockTransaction.oncomplete(), 0);
+            return {};
+        });
+
+        await persistenceService.purgeOutput(1);
+        expect(mockStore.put).toHaveBeenCalledWith(expect.objectContaining({
+            id: 1,
+            outputBlob: null,
+            outputPurged: true,
+            parts: [{ name: 'a_part1.pdf', hash: 'abc' }]
+        }));
+        expect(mockIndex.openCursor).toHaveBeenCalledWith('mock-range');
+    });
 });
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const storageServiceContent = fs.readFileSync(path.resolve(__dirname, '../services/storageService.js'), 'utf8');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const NOW = Date.UTC(2026, 0, 31);
+
+describe('StorageService', () => {
+    let storageService;
+    let mockWindow;
+
+    beforeEach(() => {
+        localStorage.clear();
+
+        const jobs = [
+            { id: 5, status: 'completed', timestamp: NOW - 40 * DAY_MS },
+            { id: 1, status: 'completed', timestamp: NOW - 35 * DAY_MS },
+            { id: 2, status: 'completed', timestamp: NOW - 5 * DAY_MS },
+            { id: 3, status: 'completed', timestamp: NOW - 2 * DAY_MS },
+            { id: 4, status: 'processing', timestamp: NOW - 3 * DAY_MS }
+        ];
+        const jobBytes = { 1: 100 * MB, 2: 600 * MB, 3: 600 * MB, 4: 100 * MB, 5: 50 * MB };
+
+        mockWindow = {
+            persistenceService: {
+                deleteStaleChunks: vi.fn().mockResolvedValue(3),
+                getAllJobs: vi.fn().mockResolvedValue(jobs),
+                getStorageStats: vi.fn().mockResolvedValue({
+                    stores: {
+                        jobs: { count: 5, bytes: 0 },
+                        files: { count: 9, bytes: 1400 * MB },
+                        chunks: { count: 2, bytes: 50 * MB },
+                        metrics: { count: 40, bytes: 0 }
+                    },
+                    jobBytes,
+                    orphanedChunks: 0
+                }),
+                deleteJob: vi.fn().mockResolvedValue(1),
+                deleteMetricsBefore: vi.fn().mockResolvedValue(4),
+                purgeOutput: vi.fn().mockResolvedValue()
+            },
+            auditService: {
+                purgeLogsBefore: vi.fn().mockResolvedValue(6),
+                getStats: vi.fn().mockResolvedValue({ count: 12, bytes: 2048 })
+            }
+        };
+
+        const fn = new Function('window', storageServiceContent);
+        fn(mockWindow);
+        storageService = mockWindow.storageService;
+    });
+
+    it('should default, save and sanitize the retention policy', () => {
+        expect(storageService.getPolicy()).toEqual(storageService.DEFAULT_POLICY);
+
+        storageService.setPolicy({ maxAgeDays: '7', purgeAfterDownload: true });
+        expect(storageService.getPolicy()).toMatchObject({ maxAgeDays: 7, purgeAfterDownload: true, maxStorageMB: 1024 });
+
+        storageService.setPolicy({ maxStorageMB: -5, logMaxAgeDays: 'forever' });
+        expect(storageService.getPolicy()).toMatchObject({ maxAgeDays: 7, maxStorageMB: 1024, logMaxAgeDays: 365 });
+
+        localStorage.setItem('retentionPolicy', '{not json');
+        expect(storageService.getPolicy()).toEqual(storageService.DEFAULT_POLICY);
+    });
+
+    it('should delete expired jobs, then the oldest finished jobs until under the size limit', async () => {
+        const report = await storageService.sweep({ keepJobIds: [5], now: NOW });
+
+        // Job 1 is expired; then 1350 MB remain, so job 2 goes (job 5 is kept, job 4 is resumable)
+        expect(mockWindow.persistenceService.deleteJob.mock.calls.map(([id]) => id)).toEqual([1, 2]);
+        expect(report).toEqual({ jobsDeleted: 2, bytesFreed: 700 * MB, chunksDeleted: 3, metricsDeleted: 4, logsDeleted: 6 });
+
+        const logCutoff = NOW - 365 * DAY_MS;
+        expect(mockWindow.persistenceService.deleteMetricsBefore).toHaveBeenCalledWith(logCutoff);
+        expect(mockWindow.auditService.purgeLogsBefore).toHaveBeenCalledWith(new Date(logCutoff).toISOString());
+    });
+
+    it('should keep everything when the limits are 0', async () => {
+        storageService.setPolicy({ maxAgeDays: 0, maxStorageMB: 0, logMaxAgeDays: 0 });
+
+        const report = await storageService.sweep({ now: NOW });
+        expect(mockWindow.persistenceService.deleteJob).not.toHaveBeenCalled();
+        expect(mockWindow.persistenceService.deleteMetricsBefore).not.toHaveBeenCalled();
+        expect(mockWindow.auditService.purgeLogsBefore).not.toHaveBeenCalled();
+        expect(report.jobsDeleted).toBe(0);
+    });
+
+    it('should clear downloaded outputs only when the policy asks for it', async () => {
+        const files = [{ fileId: 1 }, { sourceFileId: 7 }, { sourceFileId: 7 }, { name: 'unsaved.pdf' }];
+
+        expect(await storageService.releaseDownloaded(files)).toBe(0);
+        expect(mockWindow.persistenceService.purgeOutput).not.toHaveBeenCalled();
+
+        storageService.setPolicy({ purgeAfterDownload: true });
+        expect(await storageService.releaseDownloaded(files)).toBe(2);
+        expect(mockWindow.persistenceService.purgeOutput.mock.calls.map(([id]) => id)).toEqual([1, 7]);
+    });
+
+    it('should report origin usage with a breakdown per store', async () => {
+        vi.stubGlobal('navigator', {
+            storage: { estimate: vi.fn().mockResolvedValue({ usage: 1500 * MB, quota: 10240 * MB }) }
+        });
+
+        const usage = await storageService.getUsage();
+        expect(usage).toMatchObject({ usage: 1500 * MB, quota: 10240 * MB, usageDetails: null });
+        expect(usage.stores.files).toEqual({ count: 9, bytes: 1400 * MB });
+        expect(usage.stores.logs).toEqual({ count: 12, bytes: 2048 });
+
+        vi.unstubAllGlobals();
+    });
+});
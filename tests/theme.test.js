@@ -12,6 +12,7 @@ describe('Theme Logic (app.js HUD Integration)', () => {
     let themeHud;
     let rootElement;
     let body;
+    let app;
 
     beforeEach(() => {
         // Setup DOM structure required by app.js
@@ -33,6 +34,7 @@ describe('Theme Logic (app.js HUD Integration)', () => {
                 <div id="batch-complete-overlay" class="hidden">
                     <div id="batch-summary-text"></div>
                     <button id="download-zip-btn"></button>
+                    <button id="download-merged-btn"></button>
                     <button id="download-individual-btn"></button>
                     <div id="zip-warning" class="hidden"></div>
                     <button id="reset-batch-btn"></button>
@@ -88,10 +90,11 @@ describe('Theme Logic (app.js HUD Integration)', () => {
         document.startViewTransition = (cb) => cb();
         localStorage.clear();
 
-        // Evaluate app.js
+        // Evaluate app.js, handing back the helpers tested directly
         try {
-            const fn = new Function('window', 'document', 'localStorage', 'pdfService', 'batchService', appJsContent);
-            fn(window, document, localStorage, window.pdfService, window.batchService);
+            const fn = new Function('window', 'document', 'localStorage', 'pdfService', 'batchService',
+                `${appJsContent}\nreturn { createServiceWorkerDownloadStream };`);
+            app = fn(window, document, localStorage, window.pdfService, window.batchService);
         } catch (e) {
             console.error("Failed to load app.js in test:", e);
         }
@@ -135,4 +138,21 @@ describe('Theme Logic (app.js HUD Integration)', () => {
         trigger.click();
         expect(themeHud.classList.contains('expanded')).toBe(true);
     });
+
+    it('should reject a streamed download when the service worker never answers', async () => {
+        vi.useFakeTimers();
+        const postMessage = vi.fn();
+        vi.stubGlobal('navigator', { ...navigator, serviceWorker: { controller: { postMessage } } });
+
+        const stream = app.createServiceWorkerDownloadStream('Unlocked_PDFs.zip');
+        const rejection = expect(stream).rejects.toThrow(/did not respond/);
+        await vi.advanceTimersByTimeAsync(3000);
+        await rejection;
+
+        expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'STREAM_DOWNLOAD' }), expect.any(Array));
+        expect(document.querySelector('iframe')).toBeNull();
+
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
 });
@@ -79,37 +79,64 @@ async function resumeJob(job) {
     updateStatus('loading', 'Resuming session...', 'Retrieving files from local storage');
     
     try {
-        const files = await pdfService.getJobFiles(job.id);
-        if (!files || files.length === 0) return;
+        const jobFiles = await pdfService.getJobFiles(job.id);
+        // The merged output of a merge job is not one of its input cards
+        const files = (jobFiles || []).filter(f => f.kind !== 'merge');
+        if (files.length === 0) return;
         
         // Prepare state for processQueue
         currentBatchTotal = job.totalFiles || files.length;
         currentBatchProcessed = 0;
         currentBatchSuccessful = 0;
         currentBatchFiles = [];
+        currentBatchMode = job.mode || 'unlock';
+        currentBatchJobId = job.id;
+        mergedOutput = null;
         fileQueue = [];
         
         pdfService.resumeJob(job.id);
+        // The Output Settings are back to their defaults after a reload; the job's own settings apply
+        const { config: resumeConfig, reason: notResumedReason } = batchService.getResumeConfig(job);
 
         const pendingFiles = [];
         const completedFiles = [];
+        const purgedFiles = [];
+        const notResumedFiles = [];
+        const pendingRecordIds = new Map(); // File -> persisted record id
 
-        for (const fileRecord of files) {
-            if (fileRecord.status === 'completed' && fileRecord.outputBlob) {
+        for (const [fileIndex, fileRecord] of files.entries()) {
+            if (fileRecord.status === 'completed' && fileRecord.outputPurged) {
+                // Saved and then cleared under the retention policy: nothing left to restore
                 currentBatchSuccessful++;
                 currentBatchProcessed++;
-                const nameWithoutExt = fileRecord.name.toLowerCase().endsWith('.pdf') ? fileRecord.name.slice(0, -4) : fileRecord.name;
-                const newFilename = `${nameWithoutExt}_unlocked.pdf`;
-                currentBatchFiles.push({ blob: fileRecord.outputBlob, name: newFilename });
+                purgedFiles.push(fileRecord);
+            } else if (fileRecord.status === 'completed' && fileRecord.parts) {
+                // Split parts are restored as child cards once the grid is rendered
+                currentBatchSuccessful++;
+                currentBatchProcessed++;
+                completedFiles.push(fileRecord);
+            } else if (fileRecord.status === 'completed' && fileRecord.outputBlob) {
+                currentBatchSuccessful++;
+                currentBatchProcessed++;
+                handleProcessedFile(fileRecord.outputBlob, fileRecord.name, getCardId({ name: fileRecord.name, size: fileRecord.originalBlob.size }), {
+                    fileId: fileRecord.id,
+                    linearized: fileRecord.linearized,
+                    hash: fileRecord.hash,
+                    index: fileIndex + 1
+                });
                 completedFiles.push(fileRecord);
-            } else if (fileRecord.status !== 'failed') {
+            } else if (!['failed', 'cancelled', 'timed_out'].includes(fileRecord.status) && !resumeConfig) {
+                currentBatchProcessed++;
+                notResumedFiles.push(fileRecord);
+            } else if (!['failed', 'cancelled', 'timed_out'].includes(fileRecord.status)) {
                 // If it was processing or pending, we resume it
                 const fileObj = fileRecord.originalBlob;
                 // Workaround: originalBlob is just a Blob, we need to add name/size for renderBentoGrid
                 Object.defineProperty(fileObj, 'name', { value: fileRecord.name, writable: true });
                 pendingFiles.push(fileObj);
+                pendingRecordIds.set(fileObj, fileRecord.id);
             } else {
-                currentBatchProcessed++; // Failed files count as processed
+                currentBatchProcessed++; // Failed, cancelled and timed-out files count as processed
             }
         }
 
@@ -126,17 +153,48 @@ async function resumeJob(job) {
 
         // Update cards for completed ones
         completedFiles.forEach(f => {
-            updateCardStatus({ name: f.name, size: f.originalBlob.size }, 'success', 'Unlocked', f.hash);
+            const fileRef = { name: f.name, size: f.originalBlob.size };
+            updateCardStatus(fileRef, 'success', getSuccessText(f), f.hash, f.inputHash);
+            renderEncryptionReport(fileRef, f.encryption);
+            renderRepairWarnings(document.getElementById(getCardId(fileRef)), f);
+            renderSanitizeReport(document.getElementById(getCardId(fileRef)), f.sanitized);
+            renderEngineLog(document.getElementById(getCardId(fileRef)), f.engineLog);
+            renderWebBadge(document.getElementById(getCardId(fileRef)), f.linearized);
+            renderSizeReport(document.getElementById(getCardId(fileRef)), f.sizeReport);
+            if (f.parts) renderPartCards(fileRef, f.parts, f.id, files.indexOf(f) + 1);
+            if (f.mode === 'reencrypt') hideOutputTools(getCardId(fileRef));
+        });
+
+        purgedFiles.forEach(f => {
+            const fileRef = { name: f.name, size: f.originalBlob.size };
+            updateCardStatus(fileRef, 'success', 'Downloaded, output cleared', f.hash, f.inputHash);
+            hideOutputTools(getCardId(fileRef));
+            document.getElementById(getCardId(fileRef))?.querySelector('.card-download-btn')?.classList.add('hidden');
         });
 
+        notResumedFiles.forEach(f => {
+            updateCardStatus({ name: f.name, size: f.originalBlob.size }, 'cancelled', 'Not resumed');
+        });
+        if (notResumedFiles.length > 0) {
+            await pdfService.cancelInterruptedFiles(job.id, notResumedFiles.map(f => f.id), notResumedReason);
+        }
+
         // Add pending to queue and start
         if (pendingFiles.length > 0) {
             fileQueue.push(...pendingFiles);
             // We need to bypass the startJob call in processQueue since we are resuming
             isQueueRunning = true;
-            await continueQueue();
+            const priorities = restoreQueueOrder(job);
+            const fileConfigs = new Map(pendingFiles.map(file => {
+                const fileRecordId = pendingRecordIds.get(file);
+                return [file, { fileRecordId, ...(priorities?.has(fileRecordId) ? { priority: priorities.get(fileRecordId) } : {}) }];
+            }));
+            await continueQueue(fileConfigs, resumeConfig);
         } else {
-            finalizeBatch();
+            await finalizeBatch();
+        }
+        if (notResumedFiles.length > 0) {
+            updateStatus('error', `${notResumedFiles.length} not resumed`, notResumedReason);
         }
         
     } catch (err) {
@@ -145,44 +203,127 @@ async function resumeJob(job) {
     }
 }
 
-async function continueQueue() {
+/**
+ * Re-apply a job's saved scheduling policy and file order before resuming it.
+ * @param {object} job - Job record with optional schedulingPolicy and queueOrder.
+ * @returns {Map<number, number>|null} Priority per file record id, earliest first.
+ */
+function restoreQueueOrder(job) {
+    if (job.schedulingPolicy) {
+        pdfService.WorkerPool.setSchedulingPolicy(job.schedulingPolicy);
+        const queuePolicy = document.getElementById('queue-policy');
+        if (queuePolicy) queuePolicy.value = job.schedulingPolicy;
+    }
+    if (!Array.isArray(job.queueOrder)) return null;
+
+    const priorities = new Map();
+    job.queueOrder.forEach((fileId, index) => {
+        if (!priorities.has(fileId)) priorities.set(fileId, job.queueOrder.length - index);
+    });
+    return priorities;
+}
+
+/**
+ * Send everything in fileQueue to the WorkerPool and wait for the batch to settle.
+ * @param {Map<File, object>} [fileConfigs] - Per-file additions to the config, used to resume
+ *   files on their records (`fileRecordId`) in their saved order (`priority`).
+ * @param {object} [batchConfig] - WorkerPool config; a snapshot of the Output Settings
+ *   by default, so mid-batch edits only apply to the next batch.
+ */
+async function continueQueue(fileConfigs = null, batchConfig = getBatchConfig()) {
     const filesToProcess = [...fileQueue];
     fileQueue = [];
 
     const startProcessed = currentBatchProcessed;
-    const processingPromises = filesToProcess.map(async (file, index) => {
-        const fileNumber = startProcessed + index + 1;
-        updateCardStatus(file, 'processing', 'Unlocking...');
-
-        const callbacks = {
-            onStatus: (state, main, sub) => {
-                if (isQueueRunning) {
-                    const displaySub = formatStepStatus(file, sub);
-                    updateStatus('processing', `Unlocking (${fileNumber}/${currentBatchTotal})`, `${file.name}: ${displaySub}`);
-                    updateCardStatus(file, 'processing', main);
-                }
-            }
-        };
+    await Promise.all(filesToProcess.map((file, index) => {
+        const fileConfig = fileConfigs?.has(file) ? { ...batchConfig, ...fileConfigs.get(file) } : batchConfig;
+        return processCardFile(file, startProcessed + index + 1, fileConfig);
+    }));
+    finalizeBatch();
+}
 
-        try {
-            const result = await pdfService.WorkerPool.enqueue(file, callbacks, { returnBlob: true });
-            currentBatchProcessed++;
-            if (result && result.blob) {
-                currentBatchSuccessful++;
-                updateCardStatus(file, 'success', 'Unlocked', result.hash);
-                handleProcessedFile(result.blob, file.name);
-            } else {
-                updateCardStatus(file, 'error', 'Failed');
+/**
+ * Run one file through the WorkerPool and reflect the outcome on its card.
+ * @param {File} file 
+ * @param {number} fileNumber - 1-based position in the batch, for status text.
+ * @param {object} batchConfig - WorkerPool config from getBatchConfig().
+ */
+async function processCardFile(file, fileNumber, batchConfig) {
+    // Stays 'pending' (and draggable) until a worker picks the file up
+    updateCardStatus(file, 'pending', 'Queued');
+    const cardId = getCardId(file);
+    // Set when the pool reports an error, cancellation or timeout before resolving with null
+    let failure = null;
+
+    const callbacks = {
+        onStatus: (state, main, sub) => {
+            if (state === 'error' || state === 'cancelled') {
+                failure = { state, text: main };
+                return;
             }
-        } catch (error) {
-            currentBatchProcessed++;
-            console.error(`Queue: Failed to process ${file.name}:`, error);
-            updateCardStatus(file, 'error', 'Error');
+            if (isQueueRunning) {
+                const displaySub = formatStepStatus(file, sub);
+                updateStatus('processing', `Unlocking (${fileNumber}/${currentBatchTotal})`, `${file.name}: ${displaySub}`);
+                updateCardStatus(file, 'processing', main);
+            }
+        },
+        onPasswordRequired: (isRetry) => promptCardPassword(file, isRetry),
+        onEnqueued: (taskId) => cardTaskIds.set(cardId, taskId),
+        onEngineLog: (lines) => renderEngineLog(document.getElementById(cardId), lines)
+    };
+
+    try {
+        const result = await pdfService.WorkerPool.enqueue(file, callbacks, batchConfig);
+        currentBatchProcessed++;
+        if (result && result.parts) {
+            currentBatchSuccessful++;
+            updateCardStatus(file, 'success', getSuccessText(result));
+            renderEncryptionReport(file, result.encryption);
+            renderEngineLog(document.getElementById(cardId), result.engineLog);
+            renderPartCards(file, result.parts, result.fileId, fileNumber);
+        } else if (result && result.blob) {
+            currentBatchSuccessful++;
+            updateCardStatus(file, 'success', getSuccessText(result), result.hash, result.inputHash);
+            renderEncryptionReport(file, result.encryption);
+            renderRepairWarnings(document.getElementById(cardId), result);
+            renderSanitizeReport(document.getElementById(cardId), result.sanitized);
+            renderEngineLog(document.getElementById(cardId), result.engineLog);
+            renderWebBadge(document.getElementById(cardId), result.linearized);
+            renderSizeReport(document.getElementById(cardId), result.sizeReport);
+            handleProcessedFile(result.blob, file.name, cardId, { 
+                fileId: result.fileId, 
+                linearized: result.linearized, 
+                hash: result.hash, 
+                index: fileNumber 
+            });
+            if (result.mode === 'reencrypt') hideOutputTools(cardId);
+        } else {
+            updateCardStatus(file, failure?.state || 'error', failure?.text || 'Failed');
         }
-    });
+    } catch (error) {
+        currentBatchProcessed++;
+        console.error(`Queue: Failed to process ${file.name}:`, error);
+        updateCardStatus(file, 'error', 'Error');
+    } finally {
+        cardTaskIds.delete(cardId);
+    }
+}
 
-    await Promise.all(processingPromises);
-    finalizeBatch();
+/**
+ * Cancel the WorkerPool task behind a card, closing its password prompt if open.
+ * @param {File} file 
+ */
+function cancelCardFile(file) {
+    const cardId = getCardId(file);
+    const taskId = cardTaskIds.get(cardId);
+    if (taskId === undefined) return;
+
+    pdfService.WorkerPool.cancel(taskId);
+
+    const passwordForm = document.getElementById(cardId)?.querySelector('.card-password-form');
+    if (passwordForm && !passwordForm.classList.contains('hidden')) {
+        passwordForm.querySelector('.card-password-skip')?.click();
+    }
 }
 
 // Initial engine bootstrap
@@ -289,6 +430,15 @@ bentoGrid.addEventListener('keydown', (e) => {
     const cards = Array.from(bentoGrid.querySelectorAll('.file-card'));
     const currentCard = e.target.closest('.file-card');
     if (!currentCard) return;
+    // Leave typing inside card forms (e.g. the password prompt), panel toggles and the page organizer alone
+    if (e.target.matches('input, select, textarea, summary') || e.target.closest('.card-organizer')) return;
+
+    // Alt+Home: keyboard equivalent of dragging a queued card to the front
+    if (e.altKey && e.key === 'Home') {
+        e.preventDefault();
+        moveCardToFront(currentCard);
+        return;
+    }
 
     const currentIndex = cards.indexOf(currentCard);
     let nextIndex;
@@ -326,7 +476,197 @@ bentoGrid.addEventListener('keydown', (e) => {
     cards[nextIndex].focus();
 });
 
+// --- Queue Ordering (drag queued cards to reorder) ---
+let draggedCard = null;
+
+function isQueuedCard(card) {
+    return Boolean(card?.classList.contains('pending') && cardTaskIds.has(card.id));
+}
+
+/**
+ * Rearrange queued cards to mirror the WorkerPool's dispatch order.
+ * Queued cards swap between their existing slots, so running and finished cards stay put.
+ */
+function syncQueuedCardOrder() {
+    const queuedCards = Array.from(bentoGrid.children).filter(isQueuedCard);
+    const cardsByTaskId = new Map(queuedCards.map(card => [cardTaskIds.get(card.id), card]));
+    const orderedCards = pdfService.WorkerPool.getQueueOrder()
+        .map(taskId => cardsByTaskId.get(taskId))
+        .filter(Boolean);
+    // A card whose task is still being persisted is not in the pool queue yet
+    if (orderedCards.length !== queuedCards.length) return;
+
+    const slots = queuedCards.map(card => {
+        const slot = document.createComment('');
+        card.replaceWith(slot);
+        return slot;
+    });
+    slots.forEach((slot, i) => slot.replaceWith(orderedCards[i]));
+}
+
+function moveCardToFront(card) {
+    if (!isQueuedCard(card)) return;
+    pdfService.WorkerPool.moveToFront(cardTaskIds.get(card.id));
+    syncQueuedCardOrder();
+    card.focus();
+}
+
+bentoGrid.addEventListener('dragstart', (e) => {
+    const card = e.target.closest?.('.file-card');
+    if (!isQueuedCard(card)) {
+        e.preventDefault();
+        return;
+    }
+    draggedCard = card;
+    card.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', card.id);
+});
+
+bentoGrid.addEventListener('dragover', (e) => {
+    const target = e.target.closest('.file-card');
+    if (!draggedCard || target === draggedCard || !isQueuedCard(target)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    target.classList.add('drop-target');
+});
+
+bentoGrid.addEventListener('dragleave', (e) => {
+    const target = e.target.closest('.file-card');
+    if (target && !target.contains(e.relatedTarget)) target.classList.remove('drop-target');
+});
+
+bentoGrid.addEventListener('drop', (e) => {
+    const target = e.target.closest('.file-card');
+    if (!draggedCard || target === draggedCard || !isQueuedCard(target) || !isQueuedCard(draggedCard)) return;
+    e.preventDefault();
+
+    // Dropping on a card places the dragged file in front of it
+    const draggedTaskId = cardTaskIds.get(draggedCard.id);
+    const order = pdfService.WorkerPool.getQueueOrder().filter(taskId => taskId !== draggedTaskId);
+    order.splice(order.indexOf(cardTaskIds.get(target.id)), 0, draggedTaskId);
+    pdfService.WorkerPool.setQueueOrder(order);
+    syncQueuedCardOrder();
+});
+
+bentoGrid.addEventListener('dragend', () => {
+    bentoGrid.querySelectorAll('.dragging, .drop-target').forEach(card => card.classList.remove('dragging', 'drop-target'));
+    draggedCard = null;
+});
+
 // --- Bento Grid Rendering ---
+function getCardId(file) {
+    return `file-${file.name.replace(/[^a-z0-9]/gi, '-')}-${file.size}`;
+}
+
+/**
+ * Build a pending file card; the caller decides where it goes in the grid.
+ * @param {{name: string, size: number}} file 
+ * @returns {HTMLElement}
+ */
+function createFileCard(file) {
+    const card = document.createElement('div');
+    card.className = 'file-card pending';
+    card.id = getCardId(file);
+    // Assign unique view-transition-name to prevent conflicts during layout animations
+    if (document.startViewTransition) {
+        card.style.viewTransitionName = card.id;
+    }
+    card.setAttribute('role', 'listitem');
+    // Only the first card in the grid is focusable initially
+    card.setAttribute('tabindex', bentoGrid.children.length === 0 ? '0' : '-1');
+    // Only queued cards can actually be dragged; see the dragstart handler
+    card.draggable = true;
+    card.innerHTML = `
+        <div class="file-info">
+            <svg class="file-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                ${SVGS.pdf}
+            </svg>
+            <div class="file-details">
+                <span class="file-name" title="${file.name}">${file.name}</span>
+                <div class="file-hash hidden"></div>
+                <div class="file-size-report hidden"></div>
+            </div>
+        </div>
+        <div class="file-meta">
+            <div class="file-status">Pending</div>
+            <div class="verified-badge hidden" title="Cryptographically Verified: This file was processed locally and its integrity confirmed via SHA-256.">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"></path>
+                </svg>
+                <span>Verified</span>
+            </div>
+            <div class="web-badge hidden" title="Web-optimized: linearized for fast web view and checked with qpdf --check-linearization.">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                </svg>
+                <span>Web-optimized</span>
+            </div>
+            <button type="button" class="card-cancel-btn" title="Cancel this file" aria-label="Cancel ${file.name}">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                </svg>
+            </button>
+            <button type="button" class="card-inspect-btn" title="Inspect document" aria-label="Inspect ${file.name}">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+                </svg>
+            </button>
+            <button type="button" class="card-organize-btn hidden" title="Rotate or reorder pages" aria-label="Organize pages of ${file.name}">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h7m5-3l3 3-3 3"></path>
+                </svg>
+            </button>
+            <button type="button" class="card-attachments-btn hidden" title="Show embedded files" aria-label="Show embedded files of ${file.name}">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13"></path>
+                </svg>
+            </button>
+            <button class="card-download-btn hidden" title="Download this file" aria-label="Download ${file.name}">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+                </svg>
+            </button>
+        </div>
+        <div class="card-organizer hidden">
+            <ol class="organizer-pages" aria-label="Pages of ${file.name}"></ol>
+            <p class="organizer-note"></p>
+            <div class="organizer-actions">
+                <button type="button" class="organizer-apply">Apply</button>
+                <button type="button" class="organizer-close">Close</button>
+            </div>
+        </div>
+        <div class="card-attachments hidden">
+            <p class="card-attachments-note"></p>
+            <ul class="card-attachments-list"></ul>
+        </div>
+        <details class="card-engine-log hidden">
+            <summary>Engine log</summary>
+            <pre class="card-engine-log-text"></pre>
+        </details>
+        <details class="card-warnings hidden">
+            <summary>Repair warnings</summary>
+            <ul class="card-warnings-list"></ul>
+        </details>
+        <details class="card-warnings card-sanitized hidden">
+            <summary>Removed metadata</summary>
+            <ul class="card-warnings-list"></ul>
+        </details>
+        <details class="card-report hidden">
+            <summary>What was locked</summary>
+            <dl class="card-report-list"></dl>
+        </details>
+        <form class="card-password-form hidden" novalidate>
+            <input type="password" class="card-password-input" autocomplete="off" placeholder="Document password" aria-label="Password for ${file.name}">
+            <button type="submit" class="card-password-submit">Unlock</button>
+            <button type="button" class="card-password-skip">Skip</button>
+        </form>
+    `;
+    card.querySelector('.card-cancel-btn').onclick = () => cancelCardFile(file);
+    card.querySelector('.card-inspect-btn').onclick = (e) => openInspector(file, card.id, e.currentTarget);
+    return card;
+}
+
 async function renderBentoGrid(files) {
     const update = () => {
         bentoGrid.classList.remove('hidden');
@@ -334,45 +674,9 @@ async function renderBentoGrid(files) {
 
         files.forEach((file, index) => {
             // Check if card already exists for this file object (by name and size as proxy)
-            const cardId = `file-${file.name.replace(/[^a-z0-9]/gi, '-')}-${file.size}`;
-            if (document.getElementById(cardId)) return;
+            if (document.getElementById(getCardId(file))) return;
 
-            const card = document.createElement('div');
-            card.className = 'file-card pending';
-            card.id = cardId;
-            // Assign unique view-transition-name to prevent conflicts during layout animations
-            if (document.startViewTransition) {
-                card.style.viewTransitionName = cardId;
-            }
-            card.setAttribute('role', 'listitem');
-            // Only the first card in the grid is focusable initially
-            card.setAttribute('tabindex', bentoGrid.children.length === 0 ? '0' : '-1');
-            card.innerHTML = `
-                <div class="file-info">
-                    <svg class="file-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                        ${SVGS.pdf}
-                    </svg>
-                    <div class="file-details">
-                        <span class="file-name" title="${file.name}">${file.name}</span>
-                        <div class="file-hash hidden"></div>
-                    </div>
-                </div>
-                <div class="file-meta">
-                    <div class="file-status">Pending</div>
-                    <div class="verified-badge hidden" title="Cryptographically Verified: This file was processed locally and its integrity confirmed via SHA-256.">
-                        <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"></path>
-                        </svg>
-                        <span>Verified</span>
-                    </div>
-                    <button class="card-download-btn hidden" title="Download this file" aria-label="Download ${file.name}">
-                        <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
-                        </svg>
-                    </button>
-                </div>
-            `;
-            bentoGrid.appendChild(card);
+            bentoGrid.appendChild(createFileCard(file));
         });
     };
 
@@ -384,8 +688,123 @@ async function renderBentoGrid(files) {
     }
 }
 
-function updateCardStatus(file, state, text, hash = null) {
-    const cardId = `file-${file.name.replace(/[^a-z0-9]/gi, '-')}-${file.size}`;
+/**
+ * Split mode: show each extracted part as a child card right after its source file.
+ * Part names go through the name template and are made unique like any other output.
+ * @param {{name: string, size: number}} parentFile 
+ * @param {Array<{blob: Blob, name: string, hash: string, pages: string}>} parts 
+ * @param {number} [sourceFileId] - persistenceService record of the source file, which stores the parts.
+ * @param {number} [index] - 1-based position of the source file in the batch.
+ */
+function renderPartCards(parentFile, parts, sourceFileId, index) {
+    const parentId = getCardId(parentFile);
+    let anchor = document.getElementById(parentId);
+    if (!anchor) return;
+
+    parts.forEach(part => {
+        const name = batchService.formatOutputName(getNameTemplate(), {
+            name: part.name,
+            hash: part.hash,
+            index,
+            jobId: currentBatchJobId
+        });
+        const partFile = { name: batchService.makeUniqueName(name, currentBatchFiles.map(f => f.name)), size: part.blob.size };
+        const cardId = getCardId(partFile);
+        if (!document.getElementById(cardId)) {
+            const card = createFileCard(partFile);
+            card.dataset.parent = parentId;
+            anchor.after(card);
+        }
+        anchor = document.getElementById(cardId);
+        updateCardStatus(partFile, 'success', `Pages ${part.pages}`, part.hash, part.inputHash);
+        renderWebBadge(anchor, part.linearized);
+        currentBatchFiles.push({ blob: part.blob, name: partFile.name, partName: part.name, originalName: parentFile.name, cardId, hash: part.hash, linearized: part.linearized, sourceFileId });
+    });
+}
+
+/**
+ * Release a downloaded card's stored output. Parts share their source's record,
+ * so it is only released once every part of that source has been saved.
+ * @param {object} fileData - Entry of currentBatchFiles.
+ */
+function releaseCardOutput(fileData) {
+    if (fileData.sourceFileId !== undefined && currentBatchFiles.some(f => f.sourceFileId === fileData.sourceFileId &&
+        !document.getElementById(f.cardId)?.classList.contains('downloaded'))) return;
+    releaseDownloadedOutputs([fileData]);
+}
+
+/**
+ * Card status text for a WorkerPool result or a completed file record.
+ * @param {object} result - { mode, parts, repairWarnings, warnings }
+ * @returns {string}
+ */
+function getSuccessText({ mode, parts, repairWarnings, warnings }) {
+    if (parts) return parts.length === 1 ? 'Pages extracted' : `Split into ${parts.length} files`;
+    const reported = repairWarnings || warnings;
+    const withWarnings = reported ? ` with ${reported.length} warning${reported.length === 1 ? '' : 's'}` : '';
+    if (repairWarnings) return `Repaired${withWarnings}`;
+    return (mode === 'reencrypt' ? 'Re-encrypted' : 'Unlocked') + withWarnings;
+}
+
+/**
+ * Fill the collapsible "Engine log" panel with a task's qpdf output.
+ * @param {HTMLElement} card 
+ * @param {Array<{stream: string, text: string}>} [lines] 
+ */
+function renderEngineLog(card, lines) {
+    const panel = card?.querySelector('.card-engine-log');
+    if (!panel || !lines || lines.length === 0) return;
+
+    panel.querySelector('.card-engine-log-text').textContent = lines
+        .map(({ stream, text }) => stream === 'stderr' ? `[stderr] ${text}` : text)
+        .join('\n');
+    panel.classList.remove('hidden');
+}
+
+/**
+ * List the warnings qpdf reported while repairing a damaged file, or while
+ * writing a file that needed no repair.
+ * @param {HTMLElement} card 
+ * @param {object} result - { repairWarnings, warnings }
+ */
+function renderRepairWarnings(card, { repairWarnings, warnings }) {
+    const panel = card?.querySelector('.card-warnings');
+    if (!panel || !(repairWarnings || warnings)) return;
+
+    panel.querySelector('summary').textContent = repairWarnings ? 'Repair warnings' : 'qpdf warnings';
+
+    const list = panel.querySelector('.card-warnings-list');
+    list.innerHTML = '';
+    (repairWarnings || warnings).forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = warning;
+        list.appendChild(item);
+    });
+    panel.classList.remove('hidden');
+}
+
+/**
+ * List what the sanitize pass removed from a card's document.
+ * @param {HTMLElement} card 
+ * @param {string[]} [removed] - Undefined when sanitizing was not requested.
+ */
+function renderSanitizeReport(card, removed) {
+    const panel = card?.querySelector('.card-sanitized');
+    if (!panel || !removed) return;
+
+    const list = panel.querySelector('.card-warnings-list');
+    list.innerHTML = '';
+    (removed.length > 0 ? removed : ['Nothing to remove']).forEach(field => {
+        const item = document.createElement('li');
+        item.textContent = field;
+        list.appendChild(item);
+    });
+    panel.querySelector('summary').textContent = `Removed metadata (${removed.length})`;
+    panel.classList.remove('hidden');
+}
+
+function updateCardStatus(file, state, text, hash = null, inputHash = null) {
+    const cardId = getCardId(file);
     const card = document.getElementById(cardId);
     if (!card) {
         console.warn(`Card not found for ID: ${cardId}`, file);
@@ -397,29 +816,33 @@ function updateCardStatus(file, state, text, hash = null) {
     if (statusEl) statusEl.textContent = text;
 
     if (hash && state === 'success') {
-        const hashEl = card.querySelector('.file-hash');
-        if (hashEl) {
-            hashEl.textContent = `SHA-256: ${hash.substring(0, 8)}...${hash.substring(hash.length - 8)}`;
-            hashEl.title = hash;
-            hashEl.classList.remove('hidden');
+        renderCardHash(card, hash, inputHash);
+
+        const organizeBtn = card.querySelector('.card-organize-btn');
+        if (organizeBtn) {
+            organizeBtn.classList.remove('hidden');
+            organizeBtn.onclick = () => togglePageOrganizer(card);
+        }
+
+        const attachmentsBtn = card.querySelector('.card-attachments-btn');
+        if (attachmentsBtn) {
+            attachmentsBtn.classList.remove('hidden');
+            attachmentsBtn.onclick = () => toggleAttachments(card);
         }
-        const badge = card.querySelector('.verified-badge');
-        if (badge) badge.classList.remove('hidden');
 
         // Setup manual download button
         const downloadBtn = card.querySelector('.card-download-btn');
         if (downloadBtn) {
             downloadBtn.classList.remove('hidden');
             downloadBtn.onclick = () => {
-                // Find the processed blob by name mapping
-                const nameWithoutExt = file.name.toLowerCase().endsWith('.pdf') ? file.name.slice(0, -4) : file.name;
-                const expectedName = `${nameWithoutExt}_unlocked.pdf`;
-                const fileData = currentBatchFiles.find(f => f.name === expectedName);
+                // Find the processed blob behind this card
+                const fileData = currentBatchFiles.find(f => f.cardId === cardId);
 
                 if (fileData) {
                     triggerDownload(fileData.blob, fileData.name);
                     card.classList.add('downloaded');
                     downloadBtn.disabled = true;
+                    releaseCardOutput(fileData);
                     
                     // Auto-clear logic: Fade out and remove after 5 seconds
                     setTimeout(() => {
@@ -443,6 +866,509 @@ function updateCardStatus(file, state, text, hash = null) {
     }
 }
 
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Show an output's SHA-256 on its card. The "Verified" badge needs the input's
+ * SHA-256 as well, so it only appears for a complete input → output provenance pair.
+ * @param {HTMLElement} card 
+ * @param {string} hash - Output SHA-256.
+ * @param {string} [inputHash] - Input SHA-256, missing for records saved before inputs were hashed.
+ */
+function renderCardHash(card, hash, inputHash) {
+    const hashEl = card.querySelector('.file-hash');
+    if (hashEl) {
+        hashEl.textContent = `SHA-256: ${hash.substring(0, 8)}...${hash.substring(hash.length - 8)}`;
+        hashEl.title = inputHash ? `Input: ${inputHash}\nOutput: ${hash}` : hash;
+        hashEl.classList.remove('hidden');
+    }
+    const badge = card.querySelector('.verified-badge');
+    if (!badge) return;
+    const isVerified = SHA256_HEX_PATTERN.test(hash) && SHA256_HEX_PATTERN.test(inputHash || '');
+    badge.classList.toggle('hidden', !isVerified);
+    if (isVerified) {
+        badge.title = `Cryptographically Verified: processed locally from input SHA-256 ${inputHash.substring(0, 8)}... ` +
+            `to output SHA-256 ${hash.substring(0, 8)}...`;
+    }
+}
+
+/**
+ * Show the "Web-optimized" badge once the worker has checked an output's linearization.
+ * A linearization that was requested but did not verify is flagged rather than hidden.
+ * @param {HTMLElement} card 
+ * @param {boolean} [linearized] - Undefined when linearization was not requested.
+ */
+function renderWebBadge(card, linearized) {
+    const badge = card?.querySelector('.web-badge');
+    if (!badge || typeof linearized !== 'boolean') return;
+
+    badge.classList.toggle('unverified', !linearized);
+    badge.querySelector('span').textContent = linearized ? 'Web-optimized' : 'Not web-optimized';
+    if (!linearized) badge.title = 'Linearization was requested, but qpdf --check-linearization did not confirm it.';
+    badge.classList.remove('hidden');
+}
+
+function formatMegabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(bytes < 10 * 1024 * 1024 ? 2 : 1)} MB`;
+}
+
+/**
+ * Show what the "optimize size" profile saved on a card.
+ * @param {HTMLElement} card 
+ * @param {object} [report] - { originalSize, outputSize, savedPercent } from the worker, or
+ *   { skipped: 'repair' } when a damaged file was written with the repair settings instead.
+ */
+function renderSizeReport(card, report) {
+    const reportEl = card?.querySelector('.file-size-report');
+    if (!reportEl || !report) return;
+
+    if (report.skipped === 'repair') {
+        reportEl.textContent = 'Not size-optimized: the repair used its own settings';
+        reportEl.classList.remove('hidden');
+        return;
+    }
+    const saved = report.savedPercent >= 0 ? `${report.savedPercent}% saved` : `${-report.savedPercent}% larger`;
+    reportEl.textContent = `${formatMegabytes(report.originalSize)} → ${formatMegabytes(report.outputSize)} (${saved})`;
+    reportEl.classList.remove('hidden');
+}
+
+// --- Page Organizer ---
+/**
+ * Toggle the page organizer on a successful card: one row per page with
+ * rotate controls, reordered by dragging or Alt+ArrowUp/ArrowDown.
+ * @param {HTMLElement} card 
+ */
+async function togglePageOrganizer(card) {
+    const panel = card.querySelector('.card-organizer');
+    const fileData = currentBatchFiles.find(f => f.cardId === card.id);
+    if (!panel || !fileData) return;
+
+    if (!panel.classList.contains('hidden')) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const list = panel.querySelector('.organizer-pages');
+    const note = panel.querySelector('.organizer-note');
+    const applyBtn = panel.querySelector('.organizer-apply');
+    list.innerHTML = '';
+    applyBtn.disabled = true;
+    panel.classList.remove('hidden');
+
+    if (!fileData.pageCount) {
+        note.textContent = 'Counting pages...';
+        const result = await pdfService.WorkerPool.countPages(fileData.blob, fileData.name);
+        fileData.pageCount = result?.pageCount || 0;
+    }
+    if (!fileData.pageCount) {
+        note.textContent = 'Could not read the pages of this file.';
+        return;
+    }
+
+    for (let page = 1; page <= fileData.pageCount; page++) {
+        list.appendChild(createOrganizerRow(page));
+    }
+    note.textContent = 'Drag pages to reorder them, or use Alt+Arrow keys on a focused page.';
+    applyBtn.disabled = false;
+    applyBtn.onclick = () => applyPageOrganizer(card, fileData);
+    panel.querySelector('.organizer-close').onclick = () => panel.classList.add('hidden');
+}
+
+// Re-encrypted outputs can need the new user password, which is not kept after the batch
+function hideOutputTools(cardId) {
+    document.getElementById(cardId)?.querySelectorAll('.card-organize-btn, .card-attachments-btn')
+        .forEach(btn => btn.classList.add('hidden'));
+}
+
+/**
+ * Extract the embedded files of a card's output once and keep them on its batch entry.
+ * @param {object} fileData - Entry of currentBatchFiles.
+ * @returns {Promise<Array<{name: string, blob: Blob}>|null>} null if extraction failed.
+ */
+async function loadAttachments(fileData) {
+    if (!fileData.attachments) {
+        const result = await pdfService.WorkerPool.extractAttachments(fileData.blob, fileData.name);
+        if (!result) return null;
+        fileData.attachments = result.attachments;
+    }
+    return fileData.attachments;
+}
+
+async function toggleAttachments(card) {
+    const panel = card.querySelector('.card-attachments');
+    const fileData = currentBatchFiles.find(f => f.cardId === card.id);
+    if (!panel || !fileData) return;
+
+    if (!panel.classList.contains('hidden')) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const list = panel.querySelector('.card-attachments-list');
+    const note = panel.querySelector('.card-attachments-note');
+    list.innerHTML = '';
+    panel.classList.remove('hidden');
+
+    if (!fileData.attachments) note.textContent = 'Reading embedded files...';
+    const attachments = await loadAttachments(fileData);
+    if (!attachments) {
+        note.textContent = 'Could not read the embedded files of this document.';
+        return;
+    }
+    note.textContent = attachments.length > 0
+        ? `${attachments.length} embedded file${attachments.length === 1 ? '' : 's'}`
+        : 'This document has no embedded files.';
+
+    attachments.forEach(attachment => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'card-attachment-download';
+        button.textContent = `${attachment.name} (${formatMegabytes(attachment.blob.size)})`;
+        button.onclick = () => triggerDownload(attachment.blob, attachment.name);
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+}
+
+function createOrganizerRow(page) {
+    const row = document.createElement('li');
+    row.className = 'organizer-page';
+    row.dataset.page = page;
+    row.dataset.rotate = '0';
+    row.draggable = true;
+    row.tabIndex = 0;
+    row.innerHTML = `
+        <span class="organizer-page-label">Page ${page}</span>
+        <span class="organizer-rotation" aria-live="polite"></span>
+        <button type="button" class="organizer-rotate" data-delta="-90" aria-label="Rotate page ${page} left">⟲</button>
+        <button type="button" class="organizer-rotate" data-delta="90" aria-label="Rotate page ${page} right">⟳</button>
+    `;
+    row.querySelectorAll('.organizer-rotate').forEach(button => {
+        button.onclick = () => {
+            const rotate = (Number(row.dataset.rotate) + Number(button.dataset.delta) + 360) % 360;
+            row.dataset.rotate = rotate;
+            row.querySelector('.organizer-rotation').textContent = rotate ? `${rotate}°` : '';
+        };
+    });
+    return row;
+}
+
+/**
+ * Send the organizer's page order and rotations to a worker and swap in the
+ * result. Whole-file outputs also replace the persisted outputBlob.
+ * @param {HTMLElement} card 
+ * @param {object} fileData - The card's entry in currentBatchFiles.
+ */
+async function applyPageOrganizer(card, fileData) {
+    const panel = card.querySelector('.card-organizer');
+    const note = panel.querySelector('.organizer-note');
+    const applyBtn = panel.querySelector('.organizer-apply');
+
+    const pages = Array.from(panel.querySelectorAll('.organizer-page')).map(row => ({
+        page: Number(row.dataset.page),
+        rotate: Number(row.dataset.rotate)
+    }));
+    if (pages.every(({ page, rotate }, index) => page === index + 1 && rotate === 0)) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    applyBtn.disabled = true;
+    let failure = null;
+    const result = await pdfService.WorkerPool.organize(fileData.blob, fileData.name, pages, {
+        onStatus: (state, main) => {
+            if (state === 'error' || state === 'cancelled') failure = main;
+            else note.textContent = main;
+        }
+    }, { fileId: fileData.fileId, linearize: Boolean(fileData.linearized) });
+    applyBtn.disabled = false;
+
+    if (!result?.blob) {
+        note.textContent = `${failure || 'Failed'}: the page changes could not be applied.`;
+        return;
+    }
+
+    fileData.blob = result.blob;
+    fileData.linearized = result.linearized;
+    renderCardHash(card, result.hash, result.inputHash);
+    renderWebBadge(card, result.linearized);
+    const statusEl = card.querySelector('.file-status');
+    if (statusEl) statusEl.textContent = 'Pages updated';
+    panel.classList.add('hidden');
+    updateStatus('success', 'Pages Updated', `${fileData.name} now has the new page order.`);
+}
+
+function moveOrganizerRow(row, direction) {
+    const sibling = direction < 0 ? row.previousElementSibling : row.nextElementSibling;
+    if (!sibling) return;
+    if (direction < 0) sibling.before(row);
+    else sibling.after(row);
+    row.focus();
+}
+
+// The organizer handles its own drag and arrow keys so the grid's queue reordering never sees them
+let draggedPageRow = null;
+
+bentoGrid.addEventListener('dragstart', (e) => {
+    const row = e.target.closest?.('.organizer-page');
+    if (!row) return;
+    e.stopImmediatePropagation();
+    draggedPageRow = row;
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', row.dataset.page);
+}, true);
+
+bentoGrid.addEventListener('dragover', (e) => {
+    const target = e.target.closest?.('.organizer-page');
+    if (!draggedPageRow) return;
+    e.stopImmediatePropagation();
+    if (!target || target === draggedPageRow || target.parentElement !== draggedPageRow.parentElement) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+}, true);
+
+bentoGrid.addEventListener('drop', (e) => {
+    const target = e.target.closest?.('.organizer-page');
+    if (!draggedPageRow) return;
+    e.stopImmediatePropagation();
+    if (!target || target === draggedPageRow || target.parentElement !== draggedPageRow.parentElement) return;
+    e.preventDefault();
+
+    // Dropping on a page places the dragged page in front of it
+    target.before(draggedPageRow);
+}, true);
+
+bentoGrid.addEventListener('dragend', (e) => {
+    if (!draggedPageRow) return;
+    e.stopImmediatePropagation();
+    draggedPageRow.classList.remove('dragging');
+    draggedPageRow = null;
+}, true);
+
+bentoGrid.addEventListener('keydown', (e) => {
+    const row = e.target.closest?.('.organizer-page');
+    if (!row || e.target !== row || !e.altKey) return;
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    moveOrganizerRow(row, e.key === 'ArrowUp' ? -1 : 1);
+}, true);
+
+const PERMISSION_LABELS = {
+    print: 'Printing',
+    printHighRes: 'High-res printing',
+    modify: 'Modifying',
+    extract: 'Copying / extraction',
+    annotate: 'Annotations',
+    fillForms: 'Form filling',
+    assemble: 'Page assembly'
+};
+
+/**
+ * Fill the expandable "What was locked" panel on a card from the worker's encryption report.
+ * @param {File} file 
+ * @param {object|null} report 
+ */
+function renderEncryptionReport(file, report) {
+    const card = document.getElementById(getCardId(file));
+    const panel = card?.querySelector('.card-report');
+    if (!panel || !report) return;
+
+    const list = panel.querySelector('.card-report-list');
+    list.innerHTML = '';
+
+    const addRow = (label, value, isLocked = false) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const desc = document.createElement('dd');
+        desc.textContent = value;
+        if (isLocked) desc.classList.add('locked');
+        list.append(term, desc);
+    };
+
+    if (!report.encrypted) {
+        addRow('Encryption', 'None (no restrictions found)');
+    } else {
+        const bits = report.keyBits ? ` ${report.keyBits}-bit` : '';
+        addRow('Encryption', `${report.algorithm}${bits} (R${report.revision}, V${report.version})`);
+        addRow('User password', report.hasUserPassword ? 'Set' : 'Not set', report.hasUserPassword);
+        Object.keys(PERMISSION_LABELS).forEach(key => {
+            const allowed = report.permissions?.[key] !== false;
+            addRow(PERMISSION_LABELS[key], allowed ? 'Allowed' : 'Restricted (removed)', !allowed);
+        });
+    }
+
+    panel.classList.remove('hidden');
+}
+
+// --- Batch Output Settings ---
+const batchSettings = document.getElementById('batch-settings');
+
+function initBatchSettings() {
+    if (!batchSettings) return;
+
+    // Generate one checkbox per permission so labels stay in sync with the report panel
+    const permissionGroup = document.getElementById('reencrypt-permissions');
+    Object.keys(PERMISSION_LABELS).forEach(key => {
+        const label = document.createElement('label');
+        label.className = 'settings-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'reencrypt-permission';
+        checkbox.value = key;
+        checkbox.checked = true;
+        label.append(checkbox, ` ${PERMISSION_LABELS[key]}`);
+        permissionGroup.appendChild(label);
+    });
+
+    batchSettings.querySelectorAll('input[name="output-mode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            document.getElementById('reencrypt-settings').classList.toggle('hidden', getOutputMode() !== 'reencrypt');
+            document.getElementById('split-settings').classList.toggle('hidden', getOutputMode() !== 'split');
+        });
+    });
+
+    // The output name template is a saved preference rather than a per-batch setting
+    const nameTemplate = document.getElementById('name-template');
+    if (nameTemplate) {
+        nameTemplate.value = localStorage.getItem(NAME_TEMPLATE_KEY) || batchService.DEFAULT_NAME_TEMPLATE;
+        updateNameTemplatePreview();
+        nameTemplate.addEventListener('input', updateNameTemplatePreview);
+        nameTemplate.addEventListener('change', () => {
+            const template = nameTemplate.value.trim();
+            if (template && template !== batchService.DEFAULT_NAME_TEMPLATE) {
+                localStorage.setItem(NAME_TEMPLATE_KEY, template);
+            } else {
+                localStorage.removeItem(NAME_TEMPLATE_KEY);
+                nameTemplate.value = batchService.DEFAULT_NAME_TEMPLATE;
+                updateNameTemplatePreview();
+            }
+        });
+    }
+
+    // Queue order applies immediately, including to files already waiting
+    const queuePolicy = document.getElementById('queue-policy');
+    queuePolicy.addEventListener('change', () => {
+        pdfService.WorkerPool.setSchedulingPolicy(queuePolicy.value);
+        syncQueuedCardOrder();
+    });
+}
+
+const NAME_TEMPLATE_KEY = 'outputNameTemplate';
+
+function getNameTemplate() {
+    return document.getElementById('name-template')?.value || localStorage.getItem(NAME_TEMPLATE_KEY) || batchService.DEFAULT_NAME_TEMPLATE;
+}
+
+function updateNameTemplatePreview() {
+    const preview = document.getElementById('name-template-preview');
+    if (!preview) return;
+    preview.textContent = `Example: ${batchService.formatOutputName(getNameTemplate(), {
+        name: 'Report.pdf',
+        hash: '3f2a9c1d0b7e',
+        index: 1,
+        jobId: 12
+    })}`;
+}
+
+function getOutputMode() {
+    return batchSettings?.querySelector('input[name="output-mode"]:checked')?.value || 'unlock';
+}
+
+/**
+ * Build the WorkerPool config for a batch from the Output Settings panel.
+ * Passwords live only in this object for the lifetime of the batch.
+ * @returns {object}
+ */
+function getBatchConfig() {
+    const config = { returnBlob: true };
+    if (document.getElementById('linearize-output')?.checked) config.linearize = true;
+    if (document.getElementById('output-profile')?.value === 'size') config.profile = 'size';
+    if (getOutputMode() === 'split') {
+        config.mode = 'split';
+        config.split = getSplitSettings();
+        return config;
+    }
+    // Split outputs are page extracts; the sanitize pass only runs on whole documents
+    if (document.getElementById('sanitize-output')?.checked) config.sanitize = true;
+    if (getOutputMode() !== 'reencrypt') return config;
+
+    const permissions = {};
+    batchSettings.querySelectorAll('input[name="reencrypt-permission"]').forEach(checkbox => {
+        permissions[checkbox.value] = checkbox.checked;
+    });
+
+    config.mode = 'reencrypt';
+    config.encryption = {
+        ownerPassword: document.getElementById('reencrypt-owner-password').value,
+        userPassword: document.getElementById('reencrypt-user-password').value,
+        keyLength: Number(document.getElementById('reencrypt-key-length').value),
+        permissions
+    };
+    return config;
+}
+
+/**
+ * Read the split mode fields: page ranges (blank for all pages) and pages per output file (0 for one file).
+ * @returns {{pages: string, every: number}}
+ */
+function getSplitSettings() {
+    return {
+        pages: document.getElementById('split-pages').value.replace(/\s+/g, ''),
+        every: Number(document.getElementById('split-every').value) || 0
+    };
+}
+
+initBatchSettings();
+
+/**
+ * Show the inline password prompt on a file card.
+ * The password is handed straight back to the WorkerPool and never kept in the DOM.
+ * @param {File} file 
+ * @param {boolean} isRetry - True if the previous password was rejected.
+ * @returns {Promise<string|null>} The entered password, or null if skipped.
+ */
+function promptCardPassword(file, isRetry) {
+    const card = document.getElementById(getCardId(file));
+    const form = card?.querySelector('.card-password-form');
+    if (!form) return Promise.resolve(null);
+
+    const input = form.querySelector('.card-password-input');
+    const skipBtn = form.querySelector('.card-password-skip');
+
+    updateCardStatus(file, 'locked', isRetry ? 'Incorrect password' : 'Password required');
+    updateStatus('processing', 'Password Required', `${file.name} is protected by a user password.`);
+    form.classList.remove('hidden');
+    input.value = '';
+    robustFocus(input);
+
+    return new Promise((resolve) => {
+        const finish = (password) => {
+            form.onsubmit = null;
+            skipBtn.onclick = null;
+            input.onkeydown = null;
+            input.value = '';
+            form.classList.add('hidden');
+            if (password) updateCardStatus(file, 'processing', 'Unlocking...');
+            resolve(password);
+        };
+
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            finish(input.value || null);
+        };
+        skipBtn.onclick = () => finish(null);
+        input.onkeydown = (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                finish(null);
+            }
+        };
+    });
+}
+
 function formatStepStatus(file, sub) {
     let displaySub = sub;
 
@@ -453,8 +1379,10 @@ function formatStepStatus(file, sub) {
 
     if (sub.includes("Accessing file via WorkerFS") || sub.includes("Optimizing for high-performance processing")) {
         return `Step 1/3: Mounting virtual filesystem (${(file.size / 1024 / 1024).toFixed(0)}MB)`;
-    } else if (sub.includes("Removing restrictions securely")) {
+    } else if (sub.includes("Removing restrictions securely") || sub.includes("Applying new permissions")) {
         return "Step 2/3: Unlocking core...";
+    } else if (sub.includes("Selecting pages securely")) {
+        return "Step 2/3: Extracting pages...";
     } else if (sub.includes("Preparing output") || sub.includes("Using chunked transfer")) {
         return "Step 3/3: Finalizing memory...";
     }
@@ -465,10 +1393,17 @@ function formatStepStatus(file, sub) {
 const MAX_BATCH_FILES = 20;
 let fileQueue = [];
 let isQueueRunning = false;
-let currentBatchFiles = []; // Stores {blob, name}
+let currentBatchFiles = []; // Stores {blob, name, originalName, cardId, fileId, hash, linearized} (fileId: persisted record, if any)
 let currentBatchTotal = 0;
 let currentBatchProcessed = 0;
 let currentBatchSuccessful = 0;
+let currentBatchMode = 'unlock'; // Output mode snapshot: 'unlock' | 'reencrypt' | 'merge' | 'split'
+let currentBatchJobId = null; // persistenceService job id, for the {jobId} name token
+let mergedOutput = null; // {blob, name} once a merge batch has been combined
+const MERGED_FILENAME = 'Merged_Unlocked.pdf';
+// Mirrors the worker's page range check: "1-3,7,10-z", where z is the last page and rN counts from the end
+const SPLIT_PAGES_PATTERN = /^(r?\d+|z)(-(r?\d+|z))?(,(r?\d+|z)(-(r?\d+|z))?)*$/i;
+const cardTaskIds = new Map(); // cardId -> WorkerPool task id while in flight
 
 // --- Queue Manager ---
 async function processQueue() {
@@ -479,11 +1414,20 @@ async function processQueue() {
     currentBatchProcessed = 0;
     currentBatchSuccessful = 0;
     currentBatchFiles = [];
+    currentBatchMode = getOutputMode();
+    mergedOutput = null;
+    // Snapshot the Output Settings so mid-batch edits only apply to the next batch
+    const batchConfig = getBatchConfig();
+
+    currentBatchJobId = null;
 
     // Start Job tracking in persistence layer
     if (pdfService.startJob) {
         try {
-            await pdfService.startJob(currentBatchTotal);
+            currentBatchJobId = await pdfService.startJob(currentBatchTotal, {
+                mode: currentBatchMode,
+                config: batchService.toJobConfig(batchConfig)
+            });
         } catch (err) {
             console.error("Failed to start job in persistence layer:", err);
         }
@@ -492,50 +1436,70 @@ async function processQueue() {
     // Render/Update grid with all files in queue
     await renderBentoGrid([...fileQueue]);
 
-    const filesToProcess = [...fileQueue];
-    fileQueue = [];
+    await continueQueue(null, batchConfig);
+}
 
-    const startProcessed = currentBatchProcessed;
-    const processingPromises = filesToProcess.map(async (file, index) => {
-        const fileNumber = startProcessed + index + 1;
-        updateCardStatus(file, 'processing', 'Unlocking...');
-
-        const callbacks = {
-            onStatus: (state, main, sub) => {
-                if (isQueueRunning) {
-                    const displaySub = formatStepStatus(file, sub);
-                    updateStatus('processing', `Unlocking (${fileNumber}/${currentBatchTotal})`, `${file.name}: ${displaySub}`);
-                    updateCardStatus(file, 'processing', main);
-                }
-            }
-        };
+/**
+ * Name an unlocked file with the output name template and add it to the batch.
+ * Names already used in the batch get a " (2)" style suffix.
+ * @param {Blob} blob 
+ * @param {string} originalName 
+ * @param {string} cardId 
+ * @param {object} [details] - { fileId, linearized, hash } from the WorkerPool result,
+ *   plus the file's 1-based `index` in the batch.
+ */
+function handleProcessedFile(blob, originalName, cardId, details = {}) {
+    const name = batchService.formatOutputName(getNameTemplate(), {
+        name: originalName,
+        hash: details.hash,
+        index: details.index,
+        jobId: currentBatchJobId
+    });
 
-        try {
-            const result = await pdfService.WorkerPool.enqueue(file, callbacks, { returnBlob: true });
-            currentBatchProcessed++;
-            if (result && result.blob) {
-                currentBatchSuccessful++;
-                updateCardStatus(file, 'success', 'Unlocked', result.hash);
-                handleProcessedFile(result.blob, file.name);
-            } else {
-                updateCardStatus(file, 'error', 'Failed');
-            }
-        } catch (error) {
-            currentBatchProcessed++;
-            console.error(`Queue: Failed to process ${file.name}:`, error);
-            updateCardStatus(file, 'error', 'Error');
-        }
+    currentBatchFiles.push({ 
+        blob, 
+        name: batchService.makeUniqueName(name, currentBatchFiles.map(f => f.name)), 
+        originalName,
+        cardId, 
+        ...details 
     });
+}
 
-    await Promise.all(processingPromises);
-    finalizeBatch();
+/**
+ * The batch's unlocked files in bento grid order, which is the page order for a merge.
+ * @returns {Array<{blob: Blob, name: string, cardId: string}>}
+ */
+function getGridOrderedBatchFiles() {
+    const cardOrder = Array.from(bentoGrid.querySelectorAll('.file-card')).map(card => card.id);
+    return [...currentBatchFiles].sort((a, b) => cardOrder.indexOf(a.cardId) - cardOrder.indexOf(b.cardId));
 }
 
-function handleProcessedFile(blob, originalName) {
-    const nameWithoutExt = originalName.toLowerCase().endsWith('.pdf') ? originalName.slice(0, -4) : originalName;
-    const newFilename = `${nameWithoutExt}_unlocked.pdf`;
+/**
+ * Merge mode: combine every unlocked file into one PDF in a worker.
+ * If the merge fails, the unlocked files are still offered individually or as a ZIP.
+ */
+async function mergeBatch() {
+    updateStatus('processing', 'Merging...', `Combining ${currentBatchFiles.length} unlocked documents in grid order.`);
+    mergedOutput = null;
+
+    try {
+        let fileId = null;
+        const blob = await batchService.packageAsMerged(getGridOrderedBatchFiles(), async (files) => {
+            const result = await pdfService.mergeFiles(files, MERGED_FILENAME, {
+                onStatus: (state, main, sub) => {
+                    if (state === 'processing') updateStatus('processing', main, sub);
+                }
+            });
+            fileId = result?.fileId ?? null;
+            return result?.blob || null;
+        });
+        mergedOutput = { blob, name: MERGED_FILENAME, fileId };
+    } catch (err) {
+        console.error("Merge failed:", err);
+        updateStatus('error', 'Merge Failed', err.message);
+    }
 
-    currentBatchFiles.push({ blob, name: newFilename });
+    showBatchOverlay();
 }
 
 function triggerDownload(blob, filename) {
@@ -551,23 +1515,145 @@ function triggerDownload(blob, filename) {
     }, 100);
 }
 
+const ZIP_FILENAME = 'Unlocked_PDFs.zip';
+
+// A service worker from before streamed downloads (still active until the user
+// accepts the update) never answers STREAM_DOWNLOAD
+const STREAM_READY_TIMEOUT_MS = 3000;
+
+function getBatchOutputSize() {
+    return currentBatchFiles.reduce((acc, f) => acc + f.blob.size, 0);
+}
+
+/**
+ * Whether a ZIP can be written as a stream instead of being built in memory:
+ * straight to disk via the File System Access API, or through the service worker.
+ * @returns {boolean}
+ */
+function canStreamZip() {
+    return typeof window.showSaveFilePicker === 'function' || Boolean(navigator.serviceWorker?.controller);
+}
+
+/**
+ * Open a writable stream for a ZIP download.
+ * @param {string} filename 
+ * @returns {Promise<WritableStream|null>} null if the user dismissed the save dialog.
+ */
+async function openZipStream(filename) {
+    if (typeof window.showSaveFilePicker === 'function') {
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+            });
+            return await handle.createWritable();
+        } catch (err) {
+            if (err.name === 'AbortError') return null;
+            throw err;
+        }
+    }
+    return createServiceWorkerDownloadStream(filename);
+}
+
+/**
+ * Stream a download through the service worker (see sw.js): it answers a
+ * one-off URL loaded in a hidden frame with a response fed over a MessageChannel.
+ * Each chunk is sent only after the worker asks for one, so the page never runs ahead of the disk.
+ * @param {string} filename 
+ * @returns {Promise<WritableStream>} Rejects if the worker does not answer within STREAM_READY_TIMEOUT_MS.
+ */
+async function createServiceWorkerDownloadStream(filename) {
+    const id = crypto.randomUUID();
+    const { port1: port, port2 } = new MessageChannel();
+    let credits = 0;
+    let isCancelled = false;
+    let wake = null;
+    let resolveReady;
+    const ready = new Promise(resolve => { resolveReady = resolve; });
+
+    port.onmessage = ({ data }) => {
+        if (data.type === 'ready') resolveReady();
+        if (data.type === 'pull') credits++;
+        if (data.type === 'cancel') isCancelled = true;
+        if (wake) {
+            wake();
+            wake = null;
+        }
+    };
+    navigator.serviceWorker.controller.postMessage({ type: 'STREAM_DOWNLOAD', id, filename }, [port2]);
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(
+            'The download helper did not respond. Reload the page to finish updating, or download the files individually.'
+        )), STREAM_READY_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([ready, timeout]);
+    } catch (err) {
+        port.close();
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const frame = document.createElement('iframe');
+    frame.hidden = true;
+    frame.src = `download-stream/${id}`;
+    document.body.appendChild(frame);
+    // The browser's download manager owns the response once it has started
+    const removeFrame = () => setTimeout(() => frame.remove(), 30000);
+
+    return new WritableStream({
+        async write(chunk) {
+            while (credits === 0 && !isCancelled) {
+                await new Promise(resolve => { wake = resolve; });
+            }
+            if (isCancelled) throw new Error('The download was cancelled.');
+            credits--;
+            port.postMessage({ type: 'chunk', chunk });
+        },
+        close() {
+            port.postMessage({ type: 'end' });
+            removeFrame();
+        },
+        abort(reason) {
+            port.postMessage({ type: 'abort', message: String(reason?.message || reason) });
+            removeFrame();
+        }
+    });
+}
+
 function showBatchOverlay() {
     const overlay = document.getElementById('batch-complete-overlay');
     const summaryText = document.getElementById('batch-summary-text');
     const zipBtn = document.getElementById('download-zip-btn');
+    const mergedBtn = document.getElementById('download-merged-btn');
     const zipWarning = document.getElementById('zip-warning');
+    const isMerged = Boolean(mergedOutput);
     
-    summaryText.textContent = `${currentBatchSuccessful} of ${currentBatchTotal} files successfully unlocked.`;
+    if (isMerged) {
+        summaryText.textContent = `${currentBatchSuccessful} of ${currentBatchTotal} files unlocked and merged into one PDF.`;
+    } else if (currentBatchMode === 'split') {
+        summaryText.textContent = `${currentBatchSuccessful} of ${currentBatchTotal} files split into ${currentBatchFiles.length} PDFs.`;
+    } else {
+        summaryText.textContent = `${currentBatchSuccessful} of ${currentBatchTotal} files successfully unlocked.`;
+    }
     
-    // Check size limit for ZIP
-    const totalSize = currentBatchFiles.reduce((acc, f) => acc + f.blob.size, 0);
-    const isTooLarge = totalSize > batchService.MAX_ZIP_SIZE_BYTES;
+    // Check size limit for ZIP; larger batches need a streamed download
+    const isTooLarge = getBatchOutputSize() > batchService.MAX_ZIP_SIZE_BYTES && !canStreamZip();
     
     zipBtn.disabled = isTooLarge;
-    zipWarning.classList.toggle('hidden', !isTooLarge);
+    zipBtn.classList.toggle('hidden', isMerged);
+    mergedBtn.classList.toggle('hidden', !isMerged);
+    zipWarning.classList.toggle('hidden', isMerged || !isTooLarge);
     
     overlay.classList.remove('hidden');
-    updateStatus('success', 'Batch Complete', 'Select your download preference.');
+    if (isMerged) {
+        updateStatus('success', 'Merge Complete', 'Download the merged PDF or each unlocked file.');
+    } else if (currentBatchMode !== 'merge') {
+        updateStatus('success', 'Batch Complete', 'Select your download preference.');
+    }
 }
 
 function hideBatchOverlay() {
@@ -590,6 +1676,8 @@ async function finalizeBatch() {
         const file = currentBatchFiles[0];
         updateStatus('success', 'Success!', `Click the download icon on the card below to save your file.`);
         resetState();
+    } else if (currentBatchMode === 'merge') {
+        await mergeBatch();
     } else {
         // Show batch complete overlay for multiple files
         showBatchOverlay();
@@ -599,9 +1687,32 @@ async function finalizeBatch() {
 // --- Overlay Event Listeners ---
 document.getElementById('download-zip-btn').addEventListener('click', async () => {
     try {
+        // Batches over the in-memory limit are streamed to disk. The destination is
+        // opened first, while the click still counts as a user gesture for the save picker.
+        const isStreamed = getBatchOutputSize() > batchService.MAX_ZIP_SIZE_BYTES;
+        const destination = isStreamed ? await openZipStream(ZIP_FILENAME) : null;
+        if (isStreamed && !destination) return;
+
         updateStatus('processing', 'Creating ZIP...', 'Packaging your files securely.');
-        const zipBlob = await batchService.packageAsZip(currentBatchFiles);
-        triggerDownload(zipBlob, 'Unlocked_PDFs.zip');
+        const includeAttachments = Boolean(document.getElementById('zip-attachments')?.checked);
+        if (includeAttachments) {
+            updateStatus('processing', 'Creating ZIP...', 'Extracting embedded files.');
+            for (const file of currentBatchFiles) {
+                await loadAttachments(file);
+            }
+        }
+        if (isStreamed) {
+            await batchService.packageAsZipStream(currentBatchFiles, destination, {
+                includeAttachments,
+                jobId: currentBatchJobId,
+                onProgress: (written, total) => updateStatus('processing', 'Creating ZIP...', 
+                    `Writing ${formatMegabytes(written)} of ${formatMegabytes(total)}.`)
+            });
+        } else {
+            const zipBlob = await batchService.packageAsZip(currentBatchFiles, { includeAttachments, jobId: currentBatchJobId });
+            triggerDownload(zipBlob, ZIP_FILENAME);
+        }
+        releaseDownloadedOutputs(currentBatchFiles);
         hideBatchOverlay();
         currentBatchFiles = [];
         
@@ -620,6 +1731,25 @@ document.getElementById('download-zip-btn').addEventListener('click', async () =
     }
 });
 
+document.getElementById('download-merged-btn').addEventListener('click', () => {
+    if (!mergedOutput) return;
+    triggerDownload(mergedOutput.blob, mergedOutput.name);
+    releaseDownloadedOutputs([...currentBatchFiles, mergedOutput]);
+    hideBatchOverlay();
+    currentBatchFiles = [];
+    mergedOutput = null;
+
+    // Cleanup UI: Clear the grid and reset drop zone
+    if (bentoGrid) {
+        bentoGrid.innerHTML = '';
+        bentoGrid.classList.add('hidden');
+    }
+    dropZone.classList.remove('compact');
+
+    updateStatus('success', 'Downloaded!', 'Your merged PDF is ready.');
+    resetState();
+});
+
 document.getElementById('download-individual-btn').addEventListener('click', () => {
     hideBatchOverlay();
     updateStatus('success', 'Ready for Download', 'Click the download icon on each card below to save your files.');
@@ -634,12 +1764,126 @@ document.getElementById('download-individual-btn').addEventListener('click', ()
 document.getElementById('reset-batch-btn').addEventListener('click', () => {
     hideBatchOverlay();
     currentBatchFiles = [];
+    mergedOutput = null;
     bentoGrid.innerHTML = '';
     bentoGrid.classList.add('hidden');
     dropZone.classList.remove('compact');
     updateStatus('default', 'Awaiting Document', 'Drag & drop protected PDFs here, or click to browse');
 });
 
+// --- Storage & Retention ---
+const STORAGE_STORE_LABELS = {
+    files: 'Job files and outputs',
+    chunks: 'Streamed output chunks',
+    jobs: 'Jobs',
+    metrics: 'Performance metrics',
+    logs: 'Audit log'
+};
+
+function initStorageSettings() {
+    const retentionSettings = document.getElementById('retention-settings');
+    if (!retentionSettings || !window.storageService) return;
+
+    const policy = storageService.getPolicy();
+    retentionSettings.querySelectorAll('input').forEach(input => {
+        if (input.type === 'checkbox') input.checked = policy[input.name];
+        else input.value = policy[input.name];
+    });
+    retentionSettings.addEventListener('change', (event) => {
+        const input = event.target;
+        if (input.type !== 'checkbox' && input.value.trim() === '') {
+            input.value = storageService.getPolicy()[input.name];
+            return;
+        }
+        const saved = storageService.setPolicy({ [input.name]: input.type === 'checkbox' ? input.checked : input.value });
+        if (input.type !== 'checkbox') input.value = saved[input.name];
+    });
+
+    document.getElementById('storage-settings')?.addEventListener('toggle', (event) => {
+        if (event.currentTarget.open) renderStorageUsage();
+    });
+    document.getElementById('storage-cleanup-btn')?.addEventListener('click', async (event) => {
+        const button = event.currentTarget;
+        button.disabled = true;
+        await runRetentionSweep();
+        button.disabled = false;
+    });
+
+    // Startup sweep: IndexedDB work is async, so this stays off the main thread's way
+    runRetentionSweep();
+}
+
+/**
+ * Apply the retention policy, keeping the batch on screen, and report what was removed.
+ */
+async function runRetentionSweep() {
+    const result = document.getElementById('storage-cleanup-result');
+    try {
+        const report = await storageService.sweep({ keepJobIds: currentBatchJobId ? [currentBatchJobId] : [] });
+        if (result) result.textContent = describeSweep(report);
+    } catch (err) {
+        console.error("Retention sweep failed:", err);
+        if (result) result.textContent = 'Cleanup could not finish. It will be retried next time the app opens.';
+    }
+    if (document.getElementById('storage-settings')?.open) await renderStorageUsage();
+}
+
+function describeSweep({ jobsDeleted, bytesFreed, chunksDeleted, metricsDeleted, logsDeleted }) {
+    const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    const removed = [];
+    if (jobsDeleted) removed.push(`${count(jobsDeleted, 'job', 'jobs')} (${formatMegabytes(bytesFreed)})`);
+    if (chunksDeleted) removed.push(count(chunksDeleted, 'leftover chunk', 'leftover chunks'));
+    if (metricsDeleted) removed.push(count(metricsDeleted, 'metric', 'metrics'));
+    if (logsDeleted) removed.push(count(logsDeleted, 'audit entry', 'audit entries'));
+    return removed.length ? `Last cleanup removed ${removed.join(', ')}.` : 'Last cleanup found nothing to remove.';
+}
+
+function formatStorageSize(bytes) {
+    return bytes >= 1024 * 1024 * 1024 ? `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB` : formatMegabytes(bytes);
+}
+
+/**
+ * Show origin usage against the browser quota and what each store holds.
+ */
+async function renderStorageUsage() {
+    const usageText = document.getElementById('storage-usage');
+    const breakdown = document.getElementById('storage-breakdown');
+    if (!usageText || !breakdown) return;
+
+    try {
+        const { usage, quota, stores } = await storageService.getUsage();
+        usageText.textContent = usage !== null && quota
+            ? `Using ${formatStorageSize(usage)} of ${formatStorageSize(quota)} available to this site (${(usage / quota * 100).toFixed(1)}%).`
+            : 'This browser does not report how much storage is in use.';
+
+        breakdown.replaceChildren(...Object.entries(STORAGE_STORE_LABELS)
+            .filter(([name]) => stores[name])
+            .map(([name, label]) => {
+                const row = document.createElement('tr');
+                [label, stores[name].count, formatStorageSize(stores[name].bytes)].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                return row;
+            }));
+    } catch (err) {
+        console.error("Storage usage failed:", err);
+        usageText.textContent = 'Could not read storage usage.';
+    }
+}
+
+/**
+ * Clear stored outputs the user has saved, if the retention policy asks for it.
+ * @param {Array<object>} files - Entries of currentBatchFiles (or the merged output).
+ */
+function releaseDownloadedOutputs(files) {
+    if (!window.storageService) return;
+    storageService.releaseDownloaded(files).catch(err => console.error("Releasing outputs failed:", err));
+}
+
+initStorageSettings();
+
 // --- Interaction Logic ---
 function preventDefaults(e) {
     e.preventDefault();
@@ -678,6 +1922,21 @@ function queueFiles(fileList) {
         resetState();
         return;
     }
+    if (getOutputMode() === 'reencrypt' && !document.getElementById('reencrypt-owner-password').value) {
+        updateStatus('error', 'Settings Incomplete', 'Enter an owner password in Output Settings to re-encrypt this batch.');
+        batchSettings.open = true;
+        resetState();
+        return;
+    }
+    if (getOutputMode() === 'split') {
+        const { pages, every } = getSplitSettings();
+        if ((pages && !SPLIT_PAGES_PATTERN.test(pages)) || !Number.isInteger(every) || every < 0 || (!pages && !every)) {
+            updateStatus('error', 'Settings Incomplete', 'Enter page ranges such as 1-3,7,10-z, or a number of pages to split by.');
+            batchSettings.open = true;
+            resetState();
+            return;
+        }
+    }
 
     // Heavy Load Detection
     const totalSize = files.reduce((acc, f) => acc + f.size, 0);
@@ -913,6 +2172,7 @@ const auditModalBackdrop = document.getElementById('audit-modal-backdrop');
 const auditModalClose = document.getElementById('audit-modal-close');
 const auditLogBody = document.getElementById('audit-log-body');
 const auditEmptyState = document.getElementById('audit-empty-state');
+const auditChainStatus = document.getElementById('audit-chain-status');
 
 async function openAuditLog() {
     // Close About modal without returning focus to toggle yet
@@ -929,60 +2189,213 @@ async function openAuditLog() {
     await refreshAuditLog();
 }
 
+const AUDIT_ACTION_LABELS = {
+    SUCCESS: 'Unlock',
+    ERROR: 'Error',
+    CANCELLED: 'Cancel',
+    TIMEOUT: 'Timeout',
+    PURGE: 'Retention purge'
+};
+
+// SUCCESS entries are labelled by the output mode they ran in
+const AUDIT_MODE_LABELS = {
+    reencrypt: 'Re-encrypt',
+    merge: 'Merge',
+    split: 'Split',
+    organize: 'Organize pages'
+};
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_EMPTY_TEXT = auditEmptyState?.textContent.trim();
+const auditFilterForm = document.getElementById('audit-filters');
+const auditLoadMore = document.getElementById('audit-load-more');
+let auditQuery = null; // { filters, next, isLoading } for the rows on screen
+let auditBrokenLogId = null; // First entry whose chain link is broken, highlighted when shown
+
 async function refreshAuditLog() {
     if (!window.auditService) return;
 
+    await reloadAuditRows();
+    await renderChainStatus();
+}
+
+/**
+ * Read the filter bar into auditService.queryLogs() filters. Hex terms of
+ * 8 or more digits search hashes; anything else searches file names.
+ * @returns {object}
+ */
+function getAuditFilters() {
+    const filters = {};
+    const term = document.getElementById('audit-filter-search')?.value.trim() || '';
+    if (/^[0-9a-f]{8,64}$/i.test(term)) filters.hash = term;
+    else if (term) filters.file = term;
+
+    const type = document.getElementById('audit-filter-type')?.value;
+    if (type) filters.type = type;
+
+    // Date inputs cover whole local days
+    const from = document.getElementById('audit-filter-from')?.value;
+    const to = document.getElementById('audit-filter-to')?.value;
+    if (from) filters.from = new Date(`${from}T00:00:00`).toISOString();
+    if (to) filters.to = new Date(`${to}T23:59:59.999`).toISOString();
+    return filters;
+}
+
+async function reloadAuditRows() {
+    auditLogBody.innerHTML = '';
+    auditQuery = { filters: getAuditFilters(), next: null, isLoading: false };
+    await loadAuditPage(auditQuery);
+}
+
+/**
+ * Append the next page of matching entries. Pages that arrive after the
+ * filters changed are dropped.
+ * @param {object} query - auditQuery when the page was requested.
+ */
+async function loadAuditPage(query) {
+    if (query.isLoading) return;
+    query.isLoading = true;
+
     try {
-        const logs = await window.auditService.getLogs();
-        auditLogBody.innerHTML = '';
-        
-        if (logs.length === 0) {
-            auditEmptyState.classList.remove('hidden');
-            return;
-        }
+        const { entries, next } = await window.auditService.queryLogs(query.filters, { limit: AUDIT_PAGE_SIZE, after: query.next });
+        if (query !== auditQuery) return;
 
-        auditEmptyState.classList.add('hidden');
-        
-        // Sort logs descending by timestamp
-        logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-        logs.forEach(log => {
-            const row = document.createElement('tr');
-            const date = new Date(log.timestamp).toLocaleString();
-            const type = log.type;
-            const details = log.details || {};
-            
-            row.innerHTML = `
-                <td>${date}</td>
-                <td>${type === 'SUCCESS' ? 'Unlock' : 'Error'}</td>
-                <td title="${details.file || 'Unknown'}">${details.file || 'Unknown'}</td>
-                <td><span class="status-pill ${type.toLowerCase()}">${type}</span></td>
-                <td>
-                    <div class="hash-cell">
-                        <code title="${details.hash || 'N/A'}">${details.hash ? details.hash.substring(0, 8) + '...' : 'N/A'}</code>
-                        ${details.hash ? `
-                            <button class="copy-hash-btn" data-hash="${details.hash}" title="Copy full SHA-256" aria-label="Copy SHA-256 hash to clipboard">
-                                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"></path>
-                                </svg>
-                            </button>
-                        ` : ''}
-                    </div>
-                </td>
-            `;
-            auditLogBody.appendChild(row);
-        });
+        entries.forEach(log => auditLogBody.appendChild(createAuditRow(log)));
+        query.next = next;
 
-        // Add event listeners for copy buttons
-        auditLogBody.querySelectorAll('.copy-hash-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const hash = e.currentTarget.dataset.hash;
-                copyToClipboard(hash, e.currentTarget);
-            });
-        });
+        const isFiltered = Object.keys(query.filters).length > 0;
+        auditEmptyState.textContent = isFiltered ? 'No entries match these filters.' : AUDIT_EMPTY_TEXT;
+        auditEmptyState.classList.toggle('hidden', auditLogBody.children.length > 0);
+        auditLoadMore?.classList.toggle('hidden', !next);
     } catch (err) {
         console.error("Failed to load audit logs:", err);
+    } finally {
+        query.isLoading = false;
+    }
+}
+
+function createAuditRow(log) {
+    const row = document.createElement('tr');
+    row.dataset.logId = log.id;
+    if (log.id === auditBrokenLogId) row.classList.add('chain-broken');
+    const date = new Date(log.timestamp).toLocaleString();
+    const type = log.type;
+    const details = log.details || {};
+    const subject = details.file || (type === 'PURGE' ? `${details.removed} older entries` : 'Unknown');
+    
+    row.innerHTML = `
+        <td>${date}</td>
+        <td>${(type === 'SUCCESS' && AUDIT_MODE_LABELS[details.mode]) || AUDIT_ACTION_LABELS[type] || type}</td>
+        <td title="${subject}">${subject}</td>
+        <td><span class="status-pill ${type.toLowerCase()}">${type}</span></td>
+        <td>
+            <div class="hash-cell">
+                <code title="${details.hash || 'N/A'}">${details.hash ? details.hash.substring(0, 8) + '...' : 'N/A'}</code>
+                ${details.hash ? `
+                    <button class="copy-hash-btn" data-hash="${details.hash}" title="Copy full SHA-256" aria-label="Copy SHA-256 hash to clipboard">
+                        <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"></path>
+                        </svg>
+                    </button>
+                ` : ''}
+            </div>
+        </td>
+    `;
+
+    row.querySelector('.copy-hash-btn')?.addEventListener('click', (e) => {
+        copyToClipboard(e.currentTarget.dataset.hash, e.currentTarget);
+    });
+    return row;
+}
+
+if (auditFilterForm) {
+    let searchTimer = null;
+    auditFilterForm.addEventListener('submit', (e) => e.preventDefault());
+    auditFilterForm.addEventListener('change', (e) => {
+        if (e.target.type !== 'search') reloadAuditRows();
+    });
+    auditFilterForm.addEventListener('input', (e) => {
+        if (e.target.type !== 'search') return;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => reloadAuditRows(), 250);
+    });
+}
+
+if (auditLoadMore) {
+    auditLoadMore.addEventListener('click', () => auditQuery && loadAuditPage(auditQuery));
+    // Infinite scroll: load the next page as the button scrolls into view
+    if (typeof IntersectionObserver !== 'undefined') {
+        new IntersectionObserver((observed) => {
+            if (observed.some(entry => entry.isIntersecting) && auditQuery?.next) loadAuditPage(auditQuery);
+        }).observe(auditLoadMore);
+    }
+}
+
+const AUDIT_EXPORT_EXTENSIONS = {
+    jsonl: 'jsonl',
+    csv: 'csv',
+    bundle: 'signed.json'
+};
+
+/**
+ * Download the full audit log in the format named by the button's data-format.
+ * @param {HTMLButtonElement} button 
+ */
+async function exportAuditLog(button) {
+    const format = button.dataset.format;
+    button.disabled = true;
+    try {
+        const blob = await window.auditService.exportLogs(format);
+        const date = new Date().toISOString().slice(0, 10);
+        triggerDownload(blob, `audit-log-${date}.${AUDIT_EXPORT_EXTENSIONS[format]}`);
+    } catch (err) {
+        console.error("Failed to export audit log:", err);
+        updateStatus('error', 'Export Failed', err.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+const CHAIN_BREAK_REASONS = {
+    modified: 'its contents were changed after it was written',
+    link: 'an entry before it was removed or inserted',
+    unhashed: 'it carries no chain hashes'
+};
+
+/**
+ * Verify the audit log's hash chain and show the result above the table,
+ * highlighting the first entry whose link is broken.
+ */
+async function renderChainStatus() {
+    if (!auditChainStatus || !window.auditService.verifyChain) return;
+
+    let text;
+    let state;
+    try {
+        const { valid, total, unchained, brokenAt } = await window.auditService.verifyChain();
+        auditBrokenLogId = brokenAt ? brokenAt.id : null;
+        if (total === 0) {
+            auditChainStatus.classList.add('hidden');
+            return;
+        }
+        const legacyNote = unchained > 0 ? ` ${unchained} older ${unchained === 1 ? 'entry predates' : 'entries predate'} the chain.` : '';
+        if (valid) {
+            state = 'intact';
+            text = `Chain intact: ${total - unchained} ${total - unchained === 1 ? 'entry' : 'entries'} verified.${legacyNote}`;
+        } else {
+            state = 'broken';
+            text = `Chain broken at the entry from ${new Date(brokenAt.timestamp).toLocaleString()}: ` +
+                `${CHAIN_BREAK_REASONS[brokenAt.reason]}. Entries from there on cannot be trusted.`;
+            auditLogBody.querySelector(`tr[data-log-id="${brokenAt.id}"]`)?.classList.add('chain-broken');
+        }
+    } catch (err) {
+        console.error("Failed to verify audit chain:", err);
+        state = 'broken';
+        text = 'Chain integrity could not be checked.';
     }
+
+    auditChainStatus.className = `audit-chain-status ${state}`;
+    auditChainStatus.textContent = text;
 }
 
 function closeAuditModal() {
@@ -1013,6 +2426,9 @@ async function copyToClipboard(text, element) {
 }
 
 viewAuditBtn.addEventListener('click', openAuditLog);
+document.querySelectorAll('.audit-export-btn').forEach(btn => {
+    btn.addEventListener('click', () => exportAuditLog(btn));
+});
 auditModalClose.addEventListener('click', closeAuditModal);
 
 // Close modal when clicking outside
@@ -1032,7 +2448,8 @@ document.addEventListener('keydown', (e) => {
     // Focus trap: cycle Tab within audit modal
     if (e.key === 'Tab') {
         const auditPanel = document.querySelector('.audit-panel');
-        const focusable = auditPanel.querySelectorAll('button, a[href], [tabindex]:not([tabindex="-1"])');
+        const focusable = Array.from(auditPanel.querySelectorAll('button, input, select, a[href], [tabindex]:not([tabindex="-1"])'))
+            .filter(el => !el.closest('.hidden'));
         if (focusable.length === 0) return;
         
         const first = focusable[0];
@@ -1048,6 +2465,219 @@ document.addEventListener('keydown', (e) => {
     }
 });
 
+// --- Document Inspector Modal Logic ---
+const inspectorModalBackdrop = document.getElementById('inspector-modal-backdrop');
+const inspectorModalClose = document.getElementById('inspector-modal-close');
+const inspectorStatus = document.getElementById('inspector-status');
+const inspectorReport = document.getElementById('inspector-report');
+const inspectorPasswordForm = document.getElementById('inspector-password-form');
+let inspectorTrigger = null;
+let inspectorRequest = 0; // Results of an inspection started before the modal was reopened are ignored
+let finishInspectorPassword = null;
+
+// Common paper sizes in points, for the page size summary
+const PAPER_SIZES = [
+    { name: 'A5', width: 420, height: 595 },
+    { name: 'A4', width: 595, height: 842 },
+    { name: 'A3', width: 842, height: 1191 },
+    { name: 'Letter', width: 612, height: 792 },
+    { name: 'Legal', width: 612, height: 1008 }
+];
+
+/**
+ * Open the read-only inspector for a card. Unlocked outputs are inspected when
+ * available; otherwise the dropped file itself is, so documents can be triaged
+ * whether or not they need unlocking.
+ * @param {File} file - The dropped file behind the card.
+ * @param {string} cardId 
+ * @param {HTMLElement} trigger - Receives focus again when the modal closes.
+ */
+async function openInspector(file, cardId, trigger) {
+    if (!inspectorModalBackdrop) return;
+
+    const output = currentBatchFiles.find(f => f.cardId === cardId);
+    const source = output ? { blob: output.blob, name: output.name } : { blob: file, name: file.name };
+    const request = ++inspectorRequest;
+
+    inspectorTrigger = trigger;
+    document.getElementById('inspector-file-name').textContent = source.name;
+    inspectorStatus.textContent = 'Reading document structure...';
+    inspectorReport.classList.add('hidden');
+    inspectorReport.innerHTML = '';
+
+    inspectorModalBackdrop.classList.add('open');
+    inspectorModalBackdrop.setAttribute('aria-hidden', 'false');
+    document.body.classList.add('modal-open');
+    setTimeout(() => robustFocus(inspectorModalClose), 450);
+
+    let failure = null;
+    const result = await pdfService.WorkerPool.inspect(source.blob, source.name, {
+        onStatus: (state, main, sub) => {
+            if (state === 'error' || state === 'cancelled') failure = sub || main;
+        },
+        onPasswordRequired: (isRetry) => promptInspectorPassword(isRetry)
+    });
+    if (request !== inspectorRequest || !inspectorModalBackdrop.classList.contains('open')) return;
+
+    if (!result) {
+        inspectorStatus.textContent = failure || 'This document could not be inspected.';
+        return;
+    }
+    inspectorStatus.textContent = '';
+    renderInspectorReport(result.report);
+}
+
+/**
+ * Ask for the user password inside the inspector.
+ * @param {boolean} isRetry 
+ * @returns {Promise<string|null>}
+ */
+function promptInspectorPassword(isRetry) {
+    const input = document.getElementById('inspector-password-input');
+    inspectorStatus.textContent = isRetry
+        ? 'Incorrect password. Try again to inspect this document.'
+        : 'This document is protected by a user password.';
+    inspectorPasswordForm.classList.remove('hidden');
+    input.value = '';
+    robustFocus(input);
+
+    return new Promise((resolve) => {
+        finishInspectorPassword = (password) => {
+            finishInspectorPassword = null;
+            inspectorPasswordForm.onsubmit = null;
+            input.value = '';
+            inspectorPasswordForm.classList.add('hidden');
+            if (password) inspectorStatus.textContent = 'Reading document structure...';
+            resolve(password);
+        };
+        inspectorPasswordForm.onsubmit = (e) => {
+            e.preventDefault();
+            finishInspectorPassword(input.value || null);
+        };
+    });
+}
+
+function formatPageSize({ width, height }) {
+    const paper = PAPER_SIZES.find(size =>
+        (Math.abs(size.width - width) <= 2 && Math.abs(size.height - height) <= 2) ||
+        (Math.abs(size.width - height) <= 2 && Math.abs(size.height - width) <= 2));
+    const label = `${width} × ${height} pt`;
+    if (!paper) return label;
+    return `${label} (${paper.name}${width > height ? ', landscape' : ''})`;
+}
+
+/**
+ * Add a titled section to the inspector. Values come from the document, so
+ * everything is set as text.
+ * @param {string} title 
+ * @param {Array<[string, string]>|string[]} rows - Label/value pairs for a definition list, or list items.
+ * @param {object} [options] - { emptyText, depths: indentation level per list item }
+ */
+function addInspectorSection(title, rows, { emptyText = 'None', depths = null } = {}) {
+    const section = document.createElement('section');
+    section.className = 'inspector-section';
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'inspector-empty';
+        empty.textContent = emptyText;
+        section.appendChild(empty);
+    } else if (Array.isArray(rows[0])) {
+        const list = document.createElement('dl');
+        list.className = 'card-report-list';
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            list.append(term, detail);
+        });
+        section.appendChild(list);
+    } else {
+        const list = document.createElement('ul');
+        list.className = 'inspector-list';
+        rows.forEach((text, index) => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            if (depths) item.style.paddingLeft = `${depths[index]}rem`;
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+    }
+    inspectorReport.appendChild(section);
+}
+
+function renderInspectorReport(report) {
+    const encryption = report.encryption;
+    addInspectorSection('Summary', [
+        ['PDF version', report.pdfVersion || 'Unknown'],
+        ['Pages', String(report.pageCount)],
+        ['Encryption', encryption?.encrypted
+            ? `${encryption.algorithm}${encryption.keyBits ? ` (${encryption.keyBits}-bit)` : ''}${encryption.hasUserPassword ? ', user password' : ''}`
+            : 'Not encrypted'],
+        ['Objects', `${report.objects.total} (${report.objects.streams} streams)`]
+    ]);
+    addInspectorSection('Page sizes', report.pageSizes.map(size =>
+        `${formatPageSize(size)}: ${size.count} page${size.count === 1 ? '' : 's'}`));
+    addInspectorSection('Fonts', report.fonts.map(font =>
+        `${font.name}${font.type ? ` (${font.type})` : ''}${font.embedded ? '' : ', not embedded'}`));
+    addInspectorSection(`Form fields${report.formFieldCount > report.formFields.length ? ` (first ${report.formFields.length} of ${report.formFieldCount})` : ''}`,
+        report.formFields.map(field => `${field.name || 'Unnamed field'}${field.type ? `: ${field.type}` : ''}`));
+    addInspectorSection('Outline', report.outline.map(item =>
+        `${item.title || 'Untitled'}${item.page ? `, page ${item.page}` : ''}`), {
+        depths: report.outline.map(item => item.depth)
+    });
+    inspectorReport.classList.remove('hidden');
+}
+
+function closeInspector() {
+    if (finishInspectorPassword) finishInspectorPassword(null);
+    inspectorModalBackdrop.classList.remove('open');
+    inspectorModalBackdrop.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove('modal-open');
+    if (inspectorTrigger) inspectorTrigger.focus();
+    inspectorTrigger = null;
+}
+
+if (inspectorModalBackdrop) {
+    inspectorModalClose.addEventListener('click', closeInspector);
+
+    inspectorModalBackdrop.addEventListener('click', (e) => {
+        if (e.target === inspectorModalBackdrop) closeInspector();
+    });
+
+    // Close on Escape + focus trap
+    document.addEventListener('keydown', (e) => {
+        if (!inspectorModalBackdrop.classList.contains('open')) return;
+
+        if (e.key === 'Escape') {
+            closeInspector();
+            return;
+        }
+
+        if (e.key === 'Tab') {
+            const inspectorPanel = inspectorModalBackdrop.querySelector('.inspector-panel');
+            const focusable = Array.from(inspectorPanel.querySelectorAll('button, input, a[href], [tabindex]:not([tabindex="-1"])'))
+                .filter(el => !el.closest('.hidden'));
+            if (focusable.length === 0) return;
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+}
+
 // Close modal when clicking outside the panel
 modalBackdrop.addEventListener('click', (e) => {
     if (e.target === modalBackdrop) closeModal();